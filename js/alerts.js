@@ -0,0 +1,67 @@
+// ===========================
+// Weather Alerts
+// - User-defined rules per city ("rain over 5 mm/h within 3h")
+// - Evaluated against every freshly rendered hourly dataset
+// - Thresholds are stored in metric and converted to the display units
+// ===========================
+
+const ALERT_METRICS = {
+    temperature: { labelKey: 'alerts.metric.temperature', field: 'temperature', unit: 'temperature', step: 1, convert: convertTemperature },
+    precipitation: { labelKey: 'alerts.metric.precipitation', field: 'precipitation', unit: 'precipitation', suffix: '/h', step: 0.5, convert: convertPrecipitation },
+    windSpeed: { labelKey: 'alerts.metric.windSpeed', field: 'windSpeed', unit: 'windSpeed', step: 1, convert: convertWindSpeed }
+};
+
+// Rules only look as far ahead as the default 24-hour forecast reaches
+const ALERT_MAX_HOURS = 24;
+
+const ALERT_PRESETS = [
+    { labelKey: 'alerts.preset.laundry', icon: 'fa-tshirt', metric: 'precipitation', comparison: 'above', threshold: 0.5, hours: 6 },
+    { labelKey: 'alerts.preset.heavyRain', icon: 'fa-cloud-showers-heavy', metric: 'precipitation', comparison: 'above', threshold: 5, hours: 3 },
+    { labelKey: 'alerts.preset.freezing', icon: 'fa-snowflake', metric: 'temperature', comparison: 'below', threshold: 0, hours: 12 },
+    { labelKey: 'alerts.preset.heat', icon: 'fa-temperature-high', metric: 'temperature', comparison: 'above', threshold: 35, hours: 24 },
+    { labelKey: 'alerts.preset.wind', icon: 'fa-wind', metric: 'windSpeed', comparison: 'above', threshold: 10, hours: 24 }
+];
+
+// Threshold in display units, e.g. "5 mm/h"
+function formatAlertThreshold(rule, units) {
+    const metric = ALERT_METRICS[rule.metric];
+    const value = Math.round(metric.convert(rule.threshold, units) * 10) / 10;
+    const unit = units[metric.unit];
+    return metric.unit === 'temperature' ? `${value}${unit}` : `${value} ${unit}${metric.suffix || ''}`;
+}
+
+// e.g. "3時間以内に降水量が5 mm/hを超える"
+function describeAlertRule(rule, units) {
+    return translate(`alerts.rule.${rule.comparison}`, {
+        hours: rule.hours,
+        metric: translate(ALERT_METRICS[rule.metric].labelKey),
+        threshold: formatAlertThreshold(rule, units)
+    });
+}
+
+// First hour within each rule's window that meets its condition.
+// Returns [{ rule, time, value }] for the rules that fire.
+function evaluateAlertRules(rules, hourly, units, now = Date.now()) {
+    return rules.map(rule => {
+        const metric = ALERT_METRICS[rule.metric];
+        const threshold = metric.convert(rule.threshold, units);
+        const end = now + rule.hours * HOUR_MS;
+        
+        for (let i = 0; i < hourly.time.length; i++) {
+            const time = hourly.time[i];
+            
+            // The hour slot containing "now" counts; earlier ones do not
+            if (time + HOUR_MS <= now) continue;
+            if (time > end) break;
+            
+            const value = hourly[metric.field][i];
+            if (value === null || value === undefined) continue;
+            
+            if (rule.comparison === 'above' ? value > threshold : value < threshold) {
+                return { rule, time, value };
+            }
+        }
+        
+        return null;
+    }).filter(Boolean);
+}
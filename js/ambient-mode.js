@@ -0,0 +1,116 @@
+// ===========================
+// Ambient Mode
+// - Full-screen screensaver shown after the remote has been idle
+// - Cycles through cities with a large temperature, icon and local time
+// - Content drifts slowly over a black screen to protect OLED panels
+// ===========================
+
+const AMBIENT_DRIFT_MS = 30 * 1000;
+const AMBIENT_FADE_MS = 1000;
+
+// excludedCities rather than a whitelist, so newly added favorites show up
+const AMBIENT_DEFAULTS = { enabled: true, idleMinutes: 10, intervalSeconds: 20, excludedCities: [] };
+const AMBIENT_IDLE_OPTIONS = [1, 2, 5, 10, 15, 30, 60];
+const AMBIENT_INTERVAL_OPTIONS = [10, 20, 30, 60, 120];
+
+class AmbientMode {
+    constructor(container) {
+        this.container = container;
+        this.content = container.querySelector('.ambient-content');
+        this.active = false;
+        this.cities = [];
+        this.weather = {};
+        this.index = 0;
+        this.timers = [];
+    }
+    
+    // cities: [{ key, name, timezone }]
+    // loadWeather(cities) resolves to { [cityKey]: { temperature, iconClass } }
+    start(cities, { intervalSeconds, temperatureUnit, loadWeather }) {
+        if (this.active || cities.length === 0) return;
+        
+        this.active = true;
+        this.cities = cities;
+        this.temperatureUnit = temperatureUnit;
+        this.loadWeather = loadWeather;
+        this.index = 0;
+        
+        this.container.classList.add('active');
+        this.refreshWeather();
+        this.showCity();
+        this.drift();
+        
+        this.timers = [
+            setInterval(() => this.next(), intervalSeconds * 1000),
+            setInterval(() => this.drift(), AMBIENT_DRIFT_MS),
+            setInterval(() => this.updateClock(), 60 * 1000)
+        ];
+    }
+    
+    stop() {
+        if (!this.active) return;
+        
+        this.active = false;
+        this.timers.forEach(timer => clearInterval(timer));
+        clearTimeout(this.fadeTimeout);
+        this.timers = [];
+        this.container.classList.remove('active');
+    }
+    
+    async refreshWeather() {
+        try {
+            this.weather = await this.loadWeather(this.cities);
+            if (this.active) {
+                this.showCity();
+            }
+        } catch (error) {
+            // Keep rotating with whatever was loaded before
+            console.warn('Could not load ambient weather:', error);
+        }
+    }
+    
+    next() {
+        this.content.classList.add('fading');
+        
+        clearTimeout(this.fadeTimeout);
+        this.fadeTimeout = setTimeout(() => {
+            this.index = (this.index + 1) % this.cities.length;
+            
+            // Fresh data once per full rotation
+            if (this.index === 0) {
+                this.refreshWeather();
+            }
+            
+            this.showCity();
+            this.content.classList.remove('fading');
+        }, AMBIENT_FADE_MS);
+    }
+    
+    showCity() {
+        const city = this.cities[this.index];
+        const current = this.weather[city.key];
+        
+        this.content.querySelector('.ambient-city').textContent = localizeCityName(city);
+        this.content.querySelector('.ambient-icon').className = `ambient-icon ${current ? current.iconClass : 'fas fa-spinner fa-spin'}`;
+        this.content.querySelector('.ambient-temp').textContent =
+            current && current.temperature !== null ? `${Math.round(current.temperature)}${this.temperatureUnit}` : '--';
+        this.updateClock();
+    }
+    
+    updateClock() {
+        const city = this.cities[this.index];
+        this.content.querySelector('.ambient-time').textContent = new Date().toLocaleTimeString(getLocaleTag(), {
+            timeZone: city.timezone || 'Asia/Tokyo',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+    }
+    
+    // Move to a random spot; the CSS transition makes the move a slow glide
+    drift() {
+        const x = (Math.random() - 0.5) * 50;
+        const y = (Math.random() - 0.5) * 50;
+        this.content.style.transform = `translate(${x.toFixed(1)}vw, ${y.toFixed(1)}vh)`;
+    }
+}
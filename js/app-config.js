@@ -0,0 +1,220 @@
+// ===========================
+// App Config
+// - Optional config.json next to index.html, for screens that need other
+//   cities, own Open-Meteo servers, interval, range, theme or fewer panels
+// - Every problem is reported with where it is; the valid parts still apply
+// - The last good file is kept for starting without a connection
+// ===========================
+
+const APP_CONFIG_URL = 'config.json';
+const APP_CONFIG_CACHE_KEY = 'appleTV_config';
+
+// Parts of the screen config.json can hide ("panels": { "map": false }), as ids in index.html
+const CONFIG_PANELS = {
+    map: ['mapBtn'],
+    alerts: ['alertsBtn'],
+    settings: ['settingsBtn'],
+    provider: ['providerBtn'],
+    units: ['unitBtn'],
+    export: ['exportBtn'],
+    layers: ['layerPicker'],
+    umbrella: ['umbrellaIndicator'],
+    sunTimes: ['sunDetails'],
+    remoteHelp: ['remoteHelp']
+};
+
+// config.json keys that stand in for a preference on every start
+const CONFIG_PREFERENCES = {
+    refreshMinutes: 'refreshMinutes',
+    defaultRange: 'defaultTimeRange',
+    theme: 'theme'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+function isNumberBetween(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Each check returns the value to use, or undefined after reporting why not
+function checkOneOf(values) {
+    return (value, path, fail) => {
+        if (values.includes(value)) return value;
+        fail(path, 'oneOf', { values: values.join(', ') });
+    };
+}
+
+// Fields of one city; key, name, lat, lon and timezone are required
+// (times on screen are in the city's zone, not the device's)
+const CONFIG_CITY_FIELDS = {
+    key: { required: true, check: (value, path, fail) => isText(value) ? value : fail(path, 'text') },
+    name: { required: true, check: (value, path, fail) => isText(value) ? value : fail(path, 'text') },
+    lat: { required: true, check: (value, path, fail) => isNumberBetween(value, -90, 90) ? value : fail(path, 'number', { min: -90, max: 90 }) },
+    lon: { required: true, check: (value, path, fail) => isNumberBetween(value, -180, 180) ? value : fail(path, 'number', { min: -180, max: 180 }) },
+    timezone: { required: true, check: (value, path, fail) => typeof value === 'string' && isTimeZone(value) ? value : fail(path, 'timeZone') },
+    names: {
+        check: (value, path, fail) => {
+            if (!isPlainObject(value)) return fail(path, 'object');
+            const invalid = Object.keys(value).filter(language => !isText(value[language]));
+            invalid.forEach(language => fail(`${path}.${language}`, 'text'));
+            return invalid.length === 0 ? value : undefined;
+        }
+    },
+    icon: { check: (value, path, fail) => isText(value) ? value : fail(path, 'text') },
+    jmaArea: { check: (value, path, fail) => typeof value === 'string' && /^\d{6}$/.test(value) ? value : fail(path, 'jmaArea') }
+};
+
+function checkCity(city, path, fail) {
+    if (!isPlainObject(city)) return fail(path, 'object');
+    
+    Object.keys(city).filter(field => !CONFIG_CITY_FIELDS[field]).forEach(field => fail(`${path}.${field}`, 'unknown'));
+    
+    let valid = true;
+    Object.entries(CONFIG_CITY_FIELDS).forEach(([field, { required, check }]) => {
+        if (!(field in city)) {
+            if (required) {
+                fail(`${path}.${field}`, 'required');
+                valid = false;
+            }
+        } else if (check(city[field], `${path}.${field}`, fail) === undefined) {
+            valid = false;
+        }
+    });
+    
+    // Only the known fields are kept
+    return valid ? Object.fromEntries(Object.keys(CONFIG_CITY_FIELDS).filter(field => field in city).map(field => [field, city[field]])) : undefined;
+}
+
+// Top-level keys of config.json
+const CONFIG_CHECKS = {
+    cities: (value, path, fail) => {
+        if (!Array.isArray(value) || value.length === 0) return fail(path, 'list');
+        
+        const cities = [];
+        value.forEach((item, index) => {
+            const city = checkCity(item, `${path}[${index}]`, fail);
+            if (!city) return;
+            if (cities.some(other => other.key === city.key)) {
+                fail(`${path}[${index}].key`, 'duplicate', { value: city.key });
+                return;
+            }
+            cities.push(city);
+        });
+        return cities.length > 0 ? cities : undefined;
+    },
+    providerUrl: (value, path, fail) => typeof value === 'string' && isHttpUrl(value) ? value : fail(path, 'url'),
+    archiveUrl: (value, path, fail) => typeof value === 'string' && isHttpUrl(value) ? value : fail(path, 'url'),
+    refreshMinutes: checkOneOf(REFRESH_INTERVAL_OPTIONS),
+    defaultRange: checkOneOf(Object.keys(TIME_RANGES)),
+    theme: checkOneOf(Object.keys(THEMES)),
+    panels: (value, path, fail) => {
+        if (!isPlainObject(value)) return fail(path, 'object');
+        
+        const panels = {};
+        Object.entries(value).forEach(([panel, visible]) => {
+            if (!CONFIG_PANELS[panel]) {
+                fail(`${path}.${panel}`, 'unknown');
+            } else if (typeof visible !== 'boolean') {
+                fail(`${path}.${panel}`, 'boolean');
+            } else {
+                panels[panel] = visible;
+            }
+        });
+        return panels;
+    }
+};
+
+// { config, errors }: config holds only the valid settings; each error is a
+// message key (config.error.*) with its params, path being where it is
+function validateAppConfig(data) {
+    const config = {};
+    const errors = [];
+    const fail = (path, reason, params = {}) => {
+        errors.push({ key: `config.error.${reason}`, params: { path, ...params } });
+    };
+    
+    if (!isPlainObject(data)) {
+        fail(APP_CONFIG_URL, 'object');
+        return { config, errors };
+    }
+    
+    Object.keys(data).filter(key => !CONFIG_CHECKS[key]).forEach(key => fail(key, 'unknown'));
+    Object.entries(CONFIG_CHECKS).forEach(([key, check]) => {
+        if (!(key in data)) return;
+        const value = check(data[key], key, fail);
+        if (value !== undefined) {
+            config[key] = value;
+        }
+    });
+    
+    return { config, errors };
+}
+
+function saveCachedAppConfig(data) {
+    try {
+        localStorage.setItem(APP_CONFIG_CACHE_KEY, JSON.stringify(data));
+    } catch (e) {
+        console.warn('Could not save config.json to localStorage:', e);
+    }
+}
+
+function loadCachedAppConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(APP_CONFIG_CACHE_KEY));
+    } catch (e) {
+        console.warn('Could not load config.json from localStorage:', e);
+        return null;
+    }
+}
+
+// Resolves to the { config, errors } of validateAppConfig. Without the file
+// the built-in settings apply; without a connection or on a server error,
+// the last file read.
+async function loadAppConfig(url = APP_CONFIG_URL) {
+    // The last file read, with any problems of this attempt on top
+    const fallBack = (errors = []) => {
+        const cached = loadCachedAppConfig();
+        const result = cached ? validateAppConfig(cached) : { config: {}, errors: [] };
+        return { config: result.config, errors: [...errors, ...result.errors] };
+    };
+    
+    let response;
+    try {
+        response = await fetch(new URL(url, document.baseURI).toString(), { cache: 'no-cache' });
+    } catch (e) {
+        console.warn('Could not load config.json:', e);
+        return fallBack();
+    }
+    
+    if (response.status === 404) {
+        try {
+            localStorage.removeItem(APP_CONFIG_CACHE_KEY);
+        } catch (e) {
+            console.warn('Could not remove config.json from localStorage:', e);
+        }
+        return { config: {}, errors: [] };
+    }
+    // A server error is reported, but the screen keeps its last settings
+    if (!response.ok) {
+        return fallBack([{ key: 'config.error.load', params: { path: APP_CONFIG_URL, status: response.status } }]);
+    }
+    
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        return { config: {}, errors: [{ key: 'config.error.json', params: { path: APP_CONFIG_URL, detail: e.message } }] };
+    }
+    
+    saveCachedAppConfig(data);
+    return validateAppConfig(data);
+}
@@ -0,0 +1,46 @@
+// ===========================
+// Chart Data
+// - Cuts the hourly series into the past / future parts the chart draws
+// - No DOM or Chart.js here
+// ===========================
+
+// Index of the hour slot containing "now". Times are absolute (epoch ms),
+// so this holds across DST changes and for cached data fetched hours ago.
+function getCurrentIndex(times, now = Date.now()) {
+    let index = 0;
+    for (let i = 0; i < times.length; i++) {
+        if (times[i] > now) break;
+        index = i;
+    }
+    return index;
+}
+
+// past: up to and including the current hour
+// future: the current hour and the next `hours` hours, so both lines meet at "now"
+// visible: past and future together, for the axis and the chart layers
+function splitPastFuture(values, currentIndex, hours) {
+    const end = currentIndex + hours + 1;
+    return {
+        past: values.slice(0, currentIndex + 1),
+        future: values.slice(currentIndex, end),
+        visible: values.slice(0, end)
+    };
+}
+
+// Chart.js {x, y} points from parallel time / value arrays
+function toPoints(times, values) {
+    return times.map((time, i) => ({ x: time, y: values[i] }));
+}
+
+// Forecast slots that get a weather icon above the chart: about eight
+// across the future part, never closer together than three hours
+function getTimelineIconIndexes(currentIndex, hours, length) {
+    const step = Math.max(3, Math.round(hours / 8));
+    const last = Math.min(currentIndex + hours, length - 1);
+    
+    const indexes = [];
+    for (let i = currentIndex + step; i <= last; i += step) {
+        indexes.push(i);
+    }
+    return indexes;
+}
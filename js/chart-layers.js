@@ -0,0 +1,111 @@
+// ===========================
+// Chart Layers
+// - Optional overlays on the hourly chart, toggled from the layer picker
+// - Temperature-like layers share the temperature axis; the rest get their own
+// - Only enabled layers are requested from the provider; archive layers
+//   come from the Open-Meteo archive instead (see history.js), model
+//   layers from a multi-model request (see model-spread.js) and hourly
+//   layers are part of every forecast already
+// ===========================
+
+const CHART_LAYERS = {
+    apparentTemperature: {
+        labelKey: 'layer.apparentTemperature',
+        icon: 'fa-user',
+        color: '#ff8a65',
+        axis: 'y',
+        unit: (units) => units.temperature
+    },
+    dewPoint: {
+        labelKey: 'layer.dewPoint',
+        icon: 'fa-water',
+        color: '#4db6ac',
+        axis: 'y',
+        unit: (units) => units.temperature
+    },
+    pressure: {
+        labelKey: 'layer.pressure',
+        icon: 'fa-tachometer-alt',
+        color: '#aed581',
+        axis: 'yPressure',
+        unit: () => ' hPa'
+    },
+    uvIndex: {
+        labelKey: 'layer.uvIndex',
+        icon: 'fa-sun',
+        color: '#ce93d8',
+        axis: 'yUv',
+        min: 0,
+        unit: () => ''
+    },
+    cloudCover: {
+        labelKey: 'layer.cloudCover',
+        icon: 'fa-cloud',
+        color: '#b0bec5',
+        axis: 'yCloud',
+        min: 0,
+        max: 100,
+        unit: () => '%'
+    },
+    snowfall: {
+        labelKey: 'layer.snowfall',
+        icon: 'fa-snowflake',
+        color: 'rgba(224, 247, 250, 0.7)',
+        axis: 'ySnow',
+        type: 'bar',
+        min: 0,
+        unit: (units) => units.precipitation === 'inch' ? ' inch' : ' cm'
+    },
+    // Also feeds the umbrella indicator, so it is fetched whether shown or not
+    precipitationProbability: {
+        labelKey: 'layer.precipitationProbability',
+        icon: 'fa-umbrella',
+        color: '#80deea',
+        axis: 'yProbability',
+        source: 'hourly',
+        min: 0,
+        max: 100,
+        unit: () => '%'
+    },
+    lastYear: {
+        labelKey: 'layer.lastYear',
+        icon: 'fa-history',
+        color: 'rgba(255, 255, 255, 0.55)',
+        axis: 'y',
+        source: 'archive',
+        unit: (units) => units.temperature
+    },
+    // A band between the normal high and low: { max: [...], min: [...] }
+    normals: {
+        labelKey: 'layer.normals',
+        icon: 'fa-chart-area',
+        color: 'rgba(129, 199, 132, 0.25)',
+        axis: 'y',
+        source: 'archive',
+        type: 'band',
+        bandLabelKeys: { max: 'layer.normalsMax', min: 'layer.normalsMin' },
+        unit: (units) => units.temperature
+    },
+    // Lowest to highest model forecast around their median: { max, min, median }
+    modelSpread: {
+        labelKey: 'layer.modelSpread',
+        icon: 'fa-layer-group',
+        color: 'rgba(255, 213, 79, 0.2)',
+        lineColor: '#ffd54f',
+        axis: 'y',
+        source: 'models',
+        type: 'band',
+        bandLabelKeys: { max: 'layer.modelMax', min: 'layer.modelMin', median: 'layer.modelMedian' },
+        unit: (units) => units.temperature
+    },
+    // One line per model: [{ labelKey, color, values }]
+    modelLines: {
+        labelKey: 'layer.modelLines',
+        icon: 'fa-stream',
+        color: '#90caf9',
+        axis: 'y',
+        source: 'models',
+        type: 'lines',
+        unit: (units) => units.temperature
+    }
+};
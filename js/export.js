@@ -0,0 +1,95 @@
+// ===========================
+// Export
+// - The displayed city and range as CSV or JSON, in the current units
+// - A link to the same view elsewhere (buildAppUrl in url-params.js), shown as a QR code
+// ===========================
+
+// Columns per view: key is the field of an export row, header may depend on the units
+const EXPORT_COLUMNS = {
+    hourly: [
+        { key: 'time', header: () => 'time' },
+        { key: 'temperature', header: (units) => `temperature (${units.temperature})` },
+        { key: 'precipitation', header: (units) => `precipitation (${units.precipitation})` },
+        { key: 'precipitationProbability', header: () => 'precipitation_probability (%)' },
+        { key: 'humidity', header: () => 'humidity (%)' },
+        { key: 'windSpeed', header: (units) => `wind_speed (${units.windSpeed})` },
+        { key: 'weatherCode', header: () => 'weather_code' },
+        { key: 'weather', header: () => 'weather' }
+    ],
+    daily: [
+        { key: 'date', header: () => 'date' },
+        { key: 'temperatureMax', header: (units) => `temperature_max (${units.temperature})` },
+        { key: 'temperatureMin', header: (units) => `temperature_min (${units.temperature})` },
+        { key: 'precipitationSum', header: (units) => `precipitation_sum (${units.precipitation})` },
+        { key: 'precipitationProbabilityMax', header: () => 'precipitation_probability_max (%)' },
+        { key: 'weatherCode', header: () => 'weather_code' },
+        { key: 'weather', header: () => 'weather' }
+    ]
+};
+
+// Hours [start, end) of the normalized hourly model as export rows
+function getHourlyExportRows(hourly, start, end, timeZone) {
+    const value = (values, i) => values && values[i] !== undefined ? values[i] : null;
+    
+    return hourly.time.slice(start, end).map((time, offset) => {
+        const i = start + offset;
+        const weatherCode = value(hourly.weatherCode, i);
+        return {
+            time: toIsoDateTime(time, timeZone),
+            temperature: value(hourly.temperature, i),
+            precipitation: value(hourly.precipitation, i),
+            precipitationProbability: value(hourly.precipitationProbability, i),
+            humidity: value(hourly.humidity, i),
+            windSpeed: value(hourly.windSpeed, i),
+            weatherCode,
+            weather: weatherCode === null ? null : describeWeather(weatherCode)
+        };
+    });
+}
+
+// Days as returned by getDailyDays() in main.js
+function getDailyExportRows(days, timeZone) {
+    return days.map(day => ({
+        date: toIsoDate(day.time, timeZone),
+        temperatureMax: day.temperatureMax,
+        temperatureMin: day.temperatureMin,
+        precipitationSum: day.precipitationSum,
+        precipitationProbabilityMax: day.precipitationProbabilityMax,
+        weatherCode: day.weatherCode,
+        weather: day.weatherCode === null || day.weatherCode === undefined ? null : describeWeather(day.weatherCode)
+    }));
+}
+
+function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// With a byte order mark so spreadsheet apps read the Japanese text as UTF-8
+function toCsv(view, rows, units) {
+    const columns = EXPORT_COLUMNS[view];
+    const lines = [
+        columns.map(column => escapeCsvField(column.header(units))).join(','),
+        ...rows.map(row => columns.map(column => escapeCsvField(row[column.key])).join(','))
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// The rows with what they describe: city, range, provider and units
+function toExportJson({ city, range, view, units, provider, exportedAt, rows }) {
+    return JSON.stringify({
+        city: { key: city.key, name: city.name, lat: city.lat, lon: city.lon, timezone: city.timezone || DEFAULT_TIME_ZONE },
+        range,
+        provider,
+        units: { temperature: units.temperature, precipitation: units.precipitation, windSpeed: units.windSpeed },
+        exportedAt: new Date(exportedAt).toISOString(),
+        [view]: rows
+    }, null, 2);
+}
+
+// "tokyo-24h-20250310-1230.csv"
+function getExportFileName(cityKey, range, exportedAt, timeZone, extension) {
+    const stamp = toIsoDateTime(exportedAt, timeZone).slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `${cityKey}-${range}-${stamp}.${extension}`;
+}
@@ -0,0 +1,162 @@
+// ===========================
+// Spatial Focus Engine
+// - Arrow keys move to the nearest focusable in that direction (like tvOS)
+// - Focus groups ([data-focus-group]) remember their last focused element
+// - Open overlays ([data-focus-trap] with the "active" class) keep focus inside
+// - Groups can register their own navigator (keyboard grid, map)
+// ===========================
+
+const FOCUS_HISTORY_LIMIT = 20;
+
+class FocusEngine {
+    constructor(root = document) {
+        this.root = root;
+        this.current = null;
+        this.history = [];
+        this.groupMemory = {};
+        this.navigators = {};
+    }
+    
+    // navigator(element, direction) returns the next element,
+    // or null to let the geometric search leave the group
+    setNavigator(group, navigator) {
+        this.navigators[group] = navigator;
+    }
+    
+    // The topmost open trap, or the whole page
+    getScope() {
+        const traps = Array.from(this.root.querySelectorAll('[data-focus-trap].active'));
+        if (traps.length === 0) return this.root.body;
+        
+        const zIndex = (el) => parseInt(getComputedStyle(el).zIndex, 10) || 0;
+        return traps.reduce((top, trap) => zIndex(trap) >= zIndex(top) ? trap : top);
+    }
+    
+    // Visible, enabled focusables in the scope; anything inside a trap
+    // other than the scope itself (i.e. a closed overlay) is skipped
+    getCandidates(scope = this.getScope()) {
+        return Array.from(scope.querySelectorAll('.focusable')).filter(el => {
+            if (el.disabled || el.tabIndex < 0) return false;
+            
+            const trap = el.closest('[data-focus-trap]');
+            if (trap && trap !== scope) return false;
+            
+            const rect = el.getBoundingClientRect();
+            return rect.width > 0 || rect.height > 0;
+        });
+    }
+    
+    getGroup(element) {
+        const group = element.closest('[data-focus-group]');
+        return group ? group.dataset.focusGroup : null;
+    }
+    
+    focus(element) {
+        if (!element || !element.isConnected) return false;
+        
+        if (this.current && this.current !== element) {
+            this.current.classList.remove('focused');
+            this.current.blur();
+        }
+        
+        this.current = element;
+        element.classList.add('focused');
+        element.focus();
+        
+        // Scroll into view if needed
+        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        
+        const group = this.getGroup(element);
+        if (group) {
+            this.groupMemory[group] = element;
+        }
+        
+        this.history = [element, ...this.history.filter(el => el !== element)].slice(0, FOCUS_HISTORY_LIMIT);
+        return true;
+    }
+    
+    // Most recently focused element still reachable in the scope,
+    // so closing an overlay returns focus to where it was opened from
+    focusDefault() {
+        const candidates = this.getCandidates();
+        const previous = this.history.find(el => candidates.includes(el));
+        return this.focus(previous || candidates[0]);
+    }
+    
+    // Returns true when focus moved
+    move(direction) {
+        const candidates = this.getCandidates();
+        
+        if (!this.current || !candidates.includes(this.current)) {
+            return this.focusDefault();
+        }
+        
+        const group = this.getGroup(this.current);
+        const navigator = this.navigators[group];
+        if (navigator) {
+            const next = navigator(this.current, direction);
+            if (next) return this.focus(next);
+        }
+        
+        const next = this.findNearest(this.current, direction, candidates);
+        if (!next) return false;
+        
+        // Entering another group returns to the element last focused there
+        const nextGroup = this.getGroup(next);
+        const remembered = this.groupMemory[nextGroup];
+        if (nextGroup && nextGroup !== group && remembered && candidates.includes(remembered)) {
+            return this.focus(remembered);
+        }
+        
+        return this.focus(next);
+    }
+    
+    // Nearest candidate in the pressed direction. The gap along the axis of
+    // travel counts once, misalignment across it twice, so "down" prefers
+    // what is directly below over something closer but off to the side.
+    findNearest(from, direction, candidates) {
+        const origin = from.getBoundingClientRect();
+        const horizontal = direction === 'left' || direction === 'right';
+        const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+        const center = (rect) => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+        const originCenter = center(origin);
+        
+        let best = null;
+        let bestScore = Infinity;
+        
+        candidates.forEach(candidate => {
+            if (candidate === from) return;
+            
+            const rect = candidate.getBoundingClientRect();
+            const candidateCenter = center(rect);
+            
+            // Must lie beyond the current element's center in that direction
+            const travel = horizontal
+                ? (candidateCenter.x - originCenter.x) * sign
+                : (candidateCenter.y - originCenter.y) * sign;
+            if (travel <= 0) return;
+            
+            const gap = horizontal
+                ? Math.max(0, sign > 0 ? rect.left - origin.right : origin.left - rect.right)
+                : Math.max(0, sign > 0 ? rect.top - origin.bottom : origin.top - rect.bottom);
+            
+            // Zero when the two elements overlap across the axis of travel
+            const misalignment = horizontal
+                ? Math.max(0, rect.top - origin.bottom, origin.top - rect.bottom)
+                : Math.max(0, rect.left - origin.right, origin.left - rect.right);
+            
+            // Center distance only breaks ties between equally placed candidates
+            const offset = horizontal
+                ? Math.abs(candidateCenter.y - originCenter.y)
+                : Math.abs(candidateCenter.x - originCenter.x);
+            
+            const score = gap + misalignment * 2 + offset * 0.01;
+            if (score < bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+        
+        return best;
+    }
+}
@@ -0,0 +1,239 @@
+// ===========================
+// Forecast Accuracy
+// - Keeps the forecast from every refresh in IndexedDB, per city
+// - The past hours of later refreshes are the observed values they are scored against,
+//   from providers whose past hours are measured (not JMA's interpolated forecast)
+// - Mean absolute error by lead time, and forecast vs. observed for one day
+// - Temperatures are stored in °C so a unit change does not mix scales
+// ===========================
+
+const ACCURACY_DB_NAME = 'appleTV_forecastAccuracy';
+const ACCURACY_DB_VERSION = 2;
+
+// Hours between issue and valid time that the stats screen reports
+const ACCURACY_LEAD_HOURS = [6, 24, 48];
+
+// Forecast hours to request: the hour at +48 is only 47.5 h ahead at :30,
+// so the longest lead needs a little more than itself to get samples
+const ACCURACY_FORECAST_HOURS = Math.max(...ACCURACY_LEAD_HOURS) + 2;
+
+// Refreshes every few minutes would store near-identical forecasts;
+// one per hour still gives every lead time a sample each hour
+const SNAPSHOT_INTERVAL_MS = HOUR_MS;
+
+// Older snapshots and observations are deleted
+const ACCURACY_RETENTION_MS = 30 * DAY_MS;
+
+class ForecastAccuracyStore {
+    // factory: window.indexedDB; missing (private browsing in some browsers) disables recording
+    constructor(factory = window.indexedDB) {
+        this.factory = factory || null;
+        this.db = null;
+        
+        // Latest issue time per city, so each refresh need not read every snapshot
+        this.latestIssuedAt = {};
+    }
+    
+    get available() {
+        return this.factory !== null;
+    }
+    
+    // snapshots: one forecast per issue time; observations: one value per city, provider and hour
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.factory.open(ACCURACY_DB_NAME, ACCURACY_DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                        snapshots.createIndex('city', 'city');
+                        snapshots.createIndex('issuedAt', 'issuedAt');
+                    }
+                    // Version 1 kept observations without their provider, JMA's
+                    // forecast hours among them; they cannot be told apart
+                    if (event.oldVersion >= 1) {
+                        db.deleteObjectStore('observations');
+                    }
+                    const observations = db.createObjectStore('observations', { keyPath: ['city', 'provider', 'time'] });
+                    observations.createIndex('city', 'city');
+                    observations.createIndex('time', 'time');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+    
+    // Stores the hours up to now as observed and the rest as a forecast
+    // issued now (unless one was stored within SNAPSHOT_INTERVAL_MS).
+    // data is the normalized hourly model, in whatever units it was fetched;
+    // its past hours are kept only if observesPast (see WeatherProvider).
+    async record(cityKey, data, now = Date.now(), observesPast = true) {
+        const units = UNIT_SYSTEMS[data.units] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM];
+        const hourly = data.hourly;
+        const observed = [];
+        const forecast = { time: [], temperature: [] };
+        
+        hourly.time.forEach((time, i) => {
+            const temperature = toCelsius(hourly.temperature[i], units);
+            if (temperature === null) return;
+            if (time <= now) {
+                if (observesPast) observed.push({ city: cityKey, provider: data.provider, time, temperature });
+            } else {
+                forecast.time.push(time);
+                forecast.temperature.push(temperature);
+            }
+        });
+        
+        const latest = await this.getLatestIssuedAt(cityKey);
+        const addSnapshot = forecast.time.length > 0 && (latest === null || now - latest >= SNAPSHOT_INTERVAL_MS);
+        
+        await this.transaction(['snapshots', 'observations'], 'readwrite', (stores) => {
+            // Later refreshes may revise a past hour; the latest value wins
+            observed.forEach(observation => stores.observations.put(observation));
+            if (addSnapshot) {
+                stores.snapshots.add({ city: cityKey, provider: data.provider, issuedAt: now, ...forecast });
+            }
+            
+            const expired = IDBKeyRange.upperBound(now - ACCURACY_RETENTION_MS);
+            this.deleteRange(stores.snapshots, 'issuedAt', expired);
+            this.deleteRange(stores.observations, 'time', expired);
+        });
+        
+        if (addSnapshot) {
+            this.latestIssuedAt[cityKey] = now;
+        }
+        return addSnapshot;
+    }
+    
+    // Forgets every forecast and observation of a city (removed from the favorites)
+    async remove(cityKey) {
+        await this.transaction(['snapshots', 'observations'], 'readwrite', (stores) => {
+            this.deleteRange(stores.snapshots, 'city', IDBKeyRange.only(cityKey));
+            this.deleteRange(stores.observations, 'city', IDBKeyRange.only(cityKey));
+        });
+        delete this.latestIssuedAt[cityKey];
+    }
+    
+    async getLatestIssuedAt(cityKey) {
+        if (!(cityKey in this.latestIssuedAt)) {
+            const { snapshots } = await this.load(cityKey, ['snapshots']);
+            this.latestIssuedAt[cityKey] = snapshots.length > 0 ? Math.max(...snapshots.map(snapshot => snapshot.issuedAt)) : null;
+        }
+        return this.latestIssuedAt[cityKey];
+    }
+    
+    // { snapshots, observations } of one city
+    async load(cityKey, storeNames = ['snapshots', 'observations']) {
+        const result = {};
+        await this.transaction(storeNames, 'readonly', (stores) => {
+            storeNames.forEach(name => {
+                const request = stores[name].index('city').getAll(cityKey);
+                request.onsuccess = () => {
+                    result[name] = request.result;
+                };
+            });
+        });
+        return result;
+    }
+    
+    // Runs fill(stores) in one transaction; resolves once it has committed
+    async transaction(storeNames, mode, fill) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            fill(Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)])));
+        });
+    }
+    
+    deleteRange(store, indexName, range) {
+        store.index(indexName).openKeyCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    }
+}
+
+// Lead time in whole hours from a snapshot's issue time to one of its hours
+function getLeadHours(snapshot, time) {
+    return Math.round((time - snapshot.issuedAt) / HOUR_MS);
+}
+
+// °C per hour from the observations of every provider that has them;
+// where two providers measured the same hour, their mean
+function getObservedTemperatures(observations) {
+    const values = new Map();
+    observations.forEach(observation => {
+        if (!values.has(observation.time)) values.set(observation.time, []);
+        values.get(observation.time).push(observation.temperature);
+    });
+    return new Map([...values].map(([time, temperatures]) => [
+        time,
+        temperatures.reduce((sum, value) => sum + value, 0) / temperatures.length
+    ]));
+}
+
+// [{ lead, mae, count }] per lead hour; mae is in °C, null without samples
+function getMeanAbsoluteErrors(snapshots, observations, leadHours = ACCURACY_LEAD_HOURS) {
+    const observed = getObservedTemperatures(observations);
+    const errors = Object.fromEntries(leadHours.map(lead => [lead, []]));
+    
+    snapshots.forEach(snapshot => {
+        snapshot.time.forEach((time, i) => {
+            const lead = getLeadHours(snapshot, time);
+            if (!errors[lead] || !observed.has(time)) return;
+            errors[lead].push(Math.abs(snapshot.temperature[i] - observed.get(time)));
+        });
+    });
+    
+    return leadHours.map(lead => {
+        const values = errors[lead];
+        const mae = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        return { lead, mae, count: values.length };
+    });
+}
+
+// Local dates ("YYYY-MM-DD") that have both observed values and a forecast to compare, oldest first
+function getComparableDays(snapshots, observations, timeZone) {
+    const forecastTimes = new Set(snapshots.flatMap(snapshot => snapshot.time));
+    const days = new Set([...getObservedTemperatures(observations).keys()]
+        .filter(time => forecastTimes.has(time))
+        .map(time => toIsoDate(time, timeZone)));
+    return [...days].sort();
+}
+
+// Observed °C for one local date and, per lead hour, what was forecast for
+// those hours that far ahead (the latest matching snapshot wins).
+// { observed: [{ x, y }], forecasts: { 6: [{ x, y }], ... } }
+function getDayComparison(snapshots, observations, day, timeZone, leadHours = ACCURACY_LEAD_HOURS) {
+    const onDay = (time) => toIsoDate(time, timeZone) === day;
+    const observed = [...getObservedTemperatures(observations)]
+        .filter(([time]) => onDay(time))
+        .sort((a, b) => a[0] - b[0])
+        .map(([x, y]) => ({ x, y }));
+    
+    const forecasts = Object.fromEntries(leadHours.map(lead => [lead, new Map()]));
+    snapshots.forEach(snapshot => {
+        snapshot.time.forEach((time, i) => {
+            const lead = getLeadHours(snapshot, time);
+            if (forecasts[lead] && onDay(time)) {
+                forecasts[lead].set(time, snapshot.temperature[i]);
+            }
+        });
+    });
+    
+    return {
+        observed,
+        forecasts: Object.fromEntries(leadHours.map(lead => [lead, [...forecasts[lead]]
+            .sort((a, b) => a[0] - b[0])
+            .map(([x, y]) => ({ x, y }))]))
+    };
+}
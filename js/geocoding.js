@@ -0,0 +1,34 @@
+// ===========================
+// City Geocoding
+// - Open-Meteo geocoding API (free, no key)
+// - Results normalized into city entries for the favorites list
+// ===========================
+
+class OpenMeteoGeocoder {
+    constructor() {
+        this.baseUrl = 'https://geocoding-api.open-meteo.com/v1/search';
+    }
+    
+    async search(query, { language = 'ja', count = 10 } = {}) {
+        const response = await fetch(
+            `${this.baseUrl}?name=${encodeURIComponent(query)}` +
+            `&count=${count}&language=${language}&format=json`
+        );
+        
+        if (!response.ok) {
+            throw new Error('Geocoding request failed');
+        }
+        
+        const data = await response.json();
+        
+        // The API omits "results" entirely when nothing matches
+        return (data.results || []).map(result => ({
+            key: `geo_${result.id}`,
+            name: result.name,
+            region: [result.admin1, result.country].filter(Boolean).join(', '),
+            lat: result.latitude,
+            lon: result.longitude,
+            timezone: result.timezone
+        }));
+    }
+}
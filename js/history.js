@@ -0,0 +1,182 @@
+// ===========================
+// History
+// - The same hours last year and 1991-2020 climate normals,
+//   from the Open-Meteo archive API
+// - Temperatures are kept in °C and converted for display
+// - A failed request is not repeated right away: the normals span 30 years,
+//   which the API counts as many calls
+// ===========================
+
+const ARCHIVE_API_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+// Wait before asking again for the same data after a failure, doubling up to the maximum
+const ARCHIVE_RETRY_BASE_MS = 30 * 60 * 1000;
+const ARCHIVE_RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Same hour 365 days earlier: the same calendar day unless Feb 29 lies between
+const LAST_YEAR_SHIFT_MS = 365 * DAY_MS;
+
+// The WMO reference period
+const NORMALS_PERIOD = { start: '1991-01-01', end: '2020-12-31' };
+
+// Days on each side averaged into a day's normal, to smooth out single years
+const NORMALS_SMOOTHING_DAYS = 7;
+
+// Days before each month in a leap year; normals have one slot per calendar day (Feb 29 included)
+const MONTH_OFFSETS = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+const NORMAL_SLOTS = 366;
+
+class ArchiveClient {
+    constructor(baseUrl = ARCHIVE_API_URL) {
+        this.baseUrl = baseUrl;
+        
+        // Failed requests per kind and place: { count, retryAt }
+        this.failures = new Map();
+    }
+    
+    // Hourly °C covering times shifted back one year: { time: [epoch ms], temperature: [°C] }
+    async fetchLastYear(city, times, { signal } = {}) {
+        const timeZone = city.timezone || DEFAULT_TIME_ZONE;
+        const data = await this.request(city, 'lastYear', {
+            hourly: 'temperature_2m',
+            start_date: toIsoDate(times[0] - LAST_YEAR_SHIFT_MS, timeZone),
+            end_date: toIsoDate(times[times.length - 1] - LAST_YEAR_SHIFT_MS, timeZone)
+        }, signal);
+        
+        return {
+            time: data.hourly.time.map(seconds => seconds * 1000),
+            temperature: data.hourly.temperature_2m
+        };
+    }
+    
+    // Normal daily mean / high / low in °C per calendar day (see computeNormals)
+    async fetchNormals(city, { signal } = {}) {
+        const data = await this.request(city, 'normals', {
+            daily: 'temperature_2m_mean,temperature_2m_max,temperature_2m_min',
+            start_date: NORMALS_PERIOD.start,
+            end_date: NORMALS_PERIOD.end
+        }, signal);
+        
+        return computeNormals(data.daily, data.utc_offset_seconds || 0);
+    }
+    
+    async request(city, kind, params, signal) {
+        const key = `${kind}:${city.lat},${city.lon}`;
+        const failure = this.failures.get(key);
+        if (failure && Date.now() < failure.retryAt) {
+            throw new Error('Open-Meteo archive request paused after a failure');
+        }
+        
+        const query = Object.entries({
+            latitude: city.lat,
+            longitude: city.lon,
+            ...params,
+            temperature_unit: 'celsius',
+            timezone: city.timezone || 'auto',
+            timeformat: 'unixtime'
+        }).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+        
+        try {
+            const response = await fetch(`${this.baseUrl}?${query}`, { signal });
+            if (!response.ok) {
+                throw new Error('Open-Meteo archive request failed');
+            }
+            
+            const data = await response.json();
+            this.failures.delete(key);
+            return data;
+        } catch (error) {
+            // A cancelled request says nothing about the API
+            if (!(signal && signal.aborted)) {
+                const count = failure ? failure.count + 1 : 1;
+                const delay = Math.min(ARCHIVE_RETRY_BASE_MS * 2 ** (count - 1), ARCHIVE_RETRY_MAX_MS);
+                this.failures.set(key, { count, retryAt: Date.now() + delay });
+            }
+            throw error;
+        }
+    }
+}
+
+// Slot 0 is January 1st, 59 is February 29th, 365 is December 31st
+function getNormalSlot(month, day) {
+    return MONTH_OFFSETS[month - 1] + day - 1;
+}
+
+// Averages the daily values of every year per calendar day, then over
+// NORMALS_SMOOTHING_DAYS on each side (wrapping around the new year).
+// daily.time is local midnight in unixtime; utcOffset shifts it to the local date.
+function computeNormals(daily, utcOffset) {
+    const sums = { mean: [], max: [], min: [] };
+    const counts = { mean: [], max: [], min: [] };
+    Object.keys(sums).forEach(key => {
+        sums[key] = new Array(NORMAL_SLOTS).fill(0);
+        counts[key] = new Array(NORMAL_SLOTS).fill(0);
+    });
+    
+    const series = { mean: daily.temperature_2m_mean, max: daily.temperature_2m_max, min: daily.temperature_2m_min };
+    daily.time.forEach((seconds, i) => {
+        // Noon avoids landing on the previous day when the offset changed with DST
+        const date = new Date((seconds + utcOffset) * 1000 + 12 * HOUR_MS);
+        const slot = getNormalSlot(date.getUTCMonth() + 1, date.getUTCDate());
+        
+        Object.keys(series).forEach(key => {
+            const value = series[key][i];
+            if (value === null || value === undefined) return;
+            sums[key][slot] += value;
+            counts[key][slot]++;
+        });
+    });
+    
+    const normals = {};
+    Object.keys(series).forEach(key => {
+        normals[key] = Array.from({ length: NORMAL_SLOTS }, (_, slot) => {
+            let sum = 0;
+            let count = 0;
+            for (let offset = -NORMALS_SMOOTHING_DAYS; offset <= NORMALS_SMOOTHING_DAYS; offset++) {
+                const neighbor = (slot + offset + NORMAL_SLOTS) % NORMAL_SLOTS;
+                sum += sums[key][neighbor];
+                count += counts[key][neighbor];
+            }
+            return count > 0 ? Math.round(sum / count * 10) / 10 : null;
+        });
+    });
+    return normals;
+}
+
+// Last year's °C for each of times, null where the archive has no value
+function alignLastYear(lastYear, times) {
+    const byTime = new Map(lastYear.time.map((time, i) => [time, lastYear.temperature[i]]));
+    return times.map(time => {
+        const value = byTime.get(time - LAST_YEAR_SHIFT_MS);
+        return value === undefined ? null : value;
+    });
+}
+
+// Whether lastYear has every hour needed for times
+function coversLastYear(lastYear, times) {
+    return lastYear.time.length > 0 &&
+        lastYear.time[0] <= times[0] - LAST_YEAR_SHIFT_MS &&
+        lastYear.time[lastYear.time.length - 1] >= times[times.length - 1] - LAST_YEAR_SHIFT_MS;
+}
+
+// Normal values ('mean' | 'max' | 'min', °C) on each time's calendar day
+function getNormalsAt(normals, key, times, timeZone) {
+    return times.map(time => {
+        const { month, day } = getDateInZone(time, timeZone);
+        return normals[key][getNormalSlot(month, day)];
+    });
+}
+
+// Today's mean temperature minus the normal mean, in the values' units.
+// null unless most of today's hours are known (JMA has no past hours).
+function getNormalDeparture(times, values, normals, { now = Date.now(), timeZone, units }) {
+    const today = toIsoDate(now, timeZone);
+    const todayValues = values.filter((value, i) => value !== null && toIsoDate(times[i], timeZone) === today);
+    if (todayValues.length < 18) return null;
+    
+    const mean = todayValues.reduce((sum, value) => sum + value, 0) / todayValues.length;
+    const [normal] = getNormalsAt(normals, 'mean', [now], timeZone);
+    if (normal === null) return null;
+    
+    return mean - convertTemperature(normal, units);
+}
@@ -0,0 +1,510 @@
+// ===========================
+// Localization
+// - Message catalogs for Japanese and English
+// - Static text in index.html is marked with data-i18n="key"
+// - Dates and numbers formatted for the current language
+// ===========================
+
+// Language names are shown in their own language
+const LANGUAGES = {
+    ja: '日本語',
+    en: 'English'
+};
+
+const DEFAULT_LANGUAGE = 'ja';
+
+// BCP 47 tags for Intl and Chart.js formatting
+const LOCALE_TAGS = {
+    ja: 'ja-JP',
+    en: 'en-US'
+};
+
+// Messages use {name} placeholders
+const MESSAGES = {
+    ja: {
+        'app.title': '気温予測',
+        'app.documentTitle': '気温予測 - Apple TV対応',
+        
+        'header.addCity': '都市を追加',
+        'header.editCities': '並べ替え・削除',
+        'header.citiesFromConfig': '都市の一覧はconfig.jsonで設定されています',
+        'header.editDone': '完了',
+        'header.map': '全国',
+        'header.alerts': 'アラート',
+        'header.settings': '設定',
+        
+        'common.loading': '読み込み中...',
+        'common.loadingData': 'データを読み込み中...',
+        'common.dismiss': '閉じる',
+        'common.on': 'オン',
+        'common.off': 'オフ',
+        'common.seconds': '{n}秒',
+        'common.minutes': '{n}分',
+        'time.hoursMinutes': '{h}時間{m}分',
+        'time.minutesSeconds': '{m}分{s}秒',
+        
+        'current.updating': '更新中...',
+        'current.lastUpdate': '最終更新: {time}',
+        'stale.offline': 'オフライン: {age}のデータを表示しています',
+        'stale.minutesAgo': '{n}分前',
+        'stale.hoursAgo': '{n}時間前',
+        'config.title': '設定ファイル（config.json）に問題があります。正しい項目だけを使っています',
+        'config.error.load': '{path}: 読み込めませんでした（HTTP {status}）',
+        'config.error.json': '{path}: JSONとして読めません（{detail}）',
+        'config.error.unknown': '{path}: 使えない項目です',
+        'config.error.required': '{path}: 必須の項目です',
+        'config.error.object': '{path}: { } で囲んだオブジェクトにしてください',
+        'config.error.list': '{path}: 1件以上の [ ] のリストにしてください',
+        'config.error.text': '{path}: 文字列にしてください',
+        'config.error.number': '{path}: {min}〜{max}の数値にしてください',
+        'config.error.boolean': '{path}: true か false にしてください',
+        'config.error.oneOf': '{path}: {values} のいずれかにしてください',
+        'config.error.url': '{path}: http:// または https:// のURLにしてください',
+        'config.error.timeZone': '{path}: タイムゾーン名（例: Asia/Tokyo）にしてください',
+        'config.error.jmaArea': '{path}: 気象庁の6桁の地域コード（例: 130000）にしてください',
+        'config.error.duplicate': '{path}: キー「{value}」が重複しています',
+        
+        'sun.sunrise': '日の出 {time}',
+        'sun.sunset': '日の入り {time}',
+        'sun.dayLength': '昼の長さ {duration}',
+        'sun.change': '（昨日より {change}）',
+        'normals.departure': '平年より {diff}',
+        'umbrella.label': '傘: {level}',
+        'umbrella.needed': '必要',
+        'umbrella.folding': '折りたたみ',
+        'umbrella.none': '不要',
+        'umbrella.today': '今日 {start}〜{end}',
+        'umbrella.tomorrow': '明日 {start}〜{end}',
+        'umbrella.probability': '降水確率 最大{value}%',
+        'umbrella.precipitation': '降水量 {value}',
+        
+        'export.button': '書き出し',
+        'export.title': 'データの書き出し',
+        'export.summary': '{city} · {range} · {n}件',
+        'export.empty': '書き出せるデータがまだありません',
+        'export.csv': 'CSVで保存',
+        'export.json': 'JSONで保存',
+        'export.phone': 'スマートフォンで開く',
+        'export.qrTooLong': 'リンクが長すぎるためQRコードにできません。このアドレスを入力して開いてください',
+        
+        'weather.clearSky': '快晴',
+        'weather.mainlyClear': '晴れ',
+        'weather.partlyCloudy': '晴れ時々曇り',
+        'weather.overcast': '曇り',
+        'weather.fog': '霧',
+        'weather.rimeFog': '着氷性の霧',
+        'weather.drizzleLight': '弱い霧雨',
+        'weather.drizzleModerate': '霧雨',
+        'weather.drizzleDense': '強い霧雨',
+        'weather.freezingDrizzleLight': '弱い着氷性の霧雨',
+        'weather.freezingDrizzleDense': '強い着氷性の霧雨',
+        'weather.rainSlight': '小雨',
+        'weather.rainModerate': '雨',
+        'weather.rainHeavy': '大雨',
+        'weather.freezingRainLight': '弱い着氷性の雨',
+        'weather.freezingRainHeavy': '強い着氷性の雨',
+        'weather.snowSlight': '小雪',
+        'weather.snowModerate': '雪',
+        'weather.snowHeavy': '大雪',
+        'weather.snowGrains': '霧雪',
+        'weather.showersSlight': '弱いにわか雨',
+        'weather.showersModerate': 'にわか雨',
+        'weather.showersViolent': '激しいにわか雨',
+        'weather.snowShowersSlight': '弱いにわか雪',
+        'weather.snowShowersHeavy': '強いにわか雪',
+        'weather.thunderstorm': '雷雨',
+        'weather.thunderstormHailSlight': '雷雨（ひょうを伴う）',
+        'weather.thunderstormHailHeavy': '激しい雷雨（ひょうを伴う）',
+        
+        'range.24h': '24時間予測',
+        'range.48h': '48時間予測',
+        'range.7d': '7日間',
+        'range.16d': '16日間',
+        
+        'provider.openMeteo': 'Open-Meteo',
+        'provider.jma': '気象庁',
+        
+        'chart.title': '気温と降水量の推移',
+        'chart.pastTemperature': '過去の気温',
+        'chart.futureTemperature': '未来の気温',
+        'chart.pastPrecipitation': '過去の降水量',
+        'chart.futurePrecipitation': '未来の降水量',
+        'chart.now': '現在',
+        'chart.night': '夜間',
+        'chart.rainDisagreement': '雨の予想が分かれる',
+        'chart.temperatureAxis': '気温 ({unit})',
+        'chart.precipitationAxis': '降水量 ({unit})',
+        
+        'layer.apparentTemperature': '体感温度',
+        'layer.dewPoint': '露点温度',
+        'layer.pressure': '気圧',
+        'layer.uvIndex': 'UV指数',
+        'layer.cloudCover': '雲量',
+        'layer.snowfall': '降雪量',
+        'layer.precipitationProbability': '降水確率',
+        'layer.lastYear': '昨年の気温',
+        'layer.normals': '平年値',
+        'layer.normalsMax': '平年の最高気温',
+        'layer.normalsMin': '平年の最低気温',
+        'layer.modelSpread': 'モデルの幅',
+        'layer.modelMax': '最も高いモデル',
+        'layer.modelMin': '最も低いモデル',
+        'layer.modelMedian': 'モデルの中央値',
+        'layer.modelLines': '各モデル',
+        
+        'model.jma': '気象庁',
+        'model.ecmwf': 'ECMWF（欧州）',
+        'model.gfs': 'GFS（米国）',
+        'model.icon': 'ICON（ドイツ）',
+        
+        'daily.title': '日別の最高・最低気温',
+        'daily.max': '最高気温',
+        'daily.min': '最低気温',
+        'daily.precipitation': '降水量',
+        'daily.today': '今日',
+        'daily.error': '日別予報を取得できませんでした',
+        
+        'error.weather': '天気データの取得に失敗しました。<br>インターネット接続を確認してください。',
+        'error.weatherShort': '天気データの取得に失敗しました',
+        'error.retry': '再試行',
+        
+        'search.title': '都市を追加',
+        'search.tooShort': '都市名を2文字以上入力してください',
+        'search.searching': '検索中...',
+        'search.noResults': '見つかりませんでした',
+        'search.failed': '検索に失敗しました',
+        
+        'keyboard.space': '空白',
+        'keyboard.backspace': '1字消す',
+        'keyboard.clear': '全消去',
+        
+        'alerts.title': 'アラート',
+        'alerts.titleCity': 'アラート - {city}',
+        'alerts.rules': 'ルール',
+        'alerts.addRule': 'ルールを追加',
+        'alerts.noneActive': '現在、条件に当てはまる予報はありません',
+        'alerts.noRules': 'ルールはまだありません。下から追加してください',
+        'alerts.threshold': 'しきい値',
+        'alerts.hours': '時間',
+        'alerts.forecast': '{rule}予報です（{time} に {value}）',
+        'alerts.more': '（ほか{n}件）',
+        'alerts.rule.above': '{hours}時間以内に{metric}が{threshold}を超える',
+        'alerts.rule.below': '{hours}時間以内に{metric}が{threshold}を下回る',
+        'alerts.metric.temperature': '気温',
+        'alerts.metric.precipitation': '降水量',
+        'alerts.metric.windSpeed': '風速',
+        'alerts.preset.laundry': '洗濯物（雨）',
+        'alerts.preset.heavyRain': '強い雨',
+        'alerts.preset.freezing': '氷点下',
+        'alerts.preset.heat': '猛暑',
+        'alerts.preset.wind': '強風',
+        
+        'settings.title': '設定',
+        'settings.defaultCity': '起動時の都市',
+        'settings.defaultTimeRange': '起動時の表示期間',
+        'settings.refreshInterval': '自動更新の間隔',
+        'settings.units': '単位',
+        'settings.language': '言語',
+        'settings.theme': 'テーマ',
+        'settings.umbrellaStart': '傘の判定（開始）',
+        'settings.umbrellaEnd': '傘の判定（終了）',
+        'settings.more': 'その他',
+        'settings.lastCity': '前回の都市',
+        'settings.reset': '初期設定に戻す',
+        'settings.resetConfirm': 'もう一度押すとリセット',
+        
+        'theme.midnight': 'ミッドナイト',
+        'theme.ocean': 'オーシャン',
+        'theme.black': 'ブラック',
+        
+        'ambient.title': 'スクリーンセーバー',
+        'ambient.enabled': 'リモコン操作がないときに表示',
+        'ambient.idle': '表示までの時間',
+        'ambient.interval': '都市の切り替え間隔',
+        'ambient.cities': '表示する都市',
+        'ambient.preview': 'プレビュー',
+        'ambient.startNow': '今すぐ開始',
+        
+        'accuracy.title': '予報の精度',
+        'accuracy.titleCity': '予報の精度 - {city}',
+        'accuracy.lead': '{hours}時間前の予報',
+        'accuracy.mae': '平均誤差 ±{error}',
+        'accuracy.samples': '{n}件の比較',
+        'accuracy.noSamples': 'データ不足',
+        'accuracy.comparison': '予報と実際の気温',
+        'accuracy.observed': '実際の気温',
+        'accuracy.noDays': 'まだ比較できる日がありません。予報が当たったかどうかは、その時刻が過ぎてからわかります',
+        'accuracy.unavailable': 'このブラウザでは予報を記録できません',
+        
+        'map.title': '全国の天気',
+        
+        'help.move': '十字キー: 移動',
+        'help.select': 'タッチパッド/Enter: 選択',
+        'help.menu': 'Menu: ヘルプ表示'
+    },
+    en: {
+        'app.title': 'Temperature Forecast',
+        'app.documentTitle': 'Temperature Forecast - for Apple TV',
+        
+        'header.addCity': 'Add city',
+        'header.editCities': 'Reorder / remove',
+        'header.citiesFromConfig': 'The city list is set in config.json',
+        'header.editDone': 'Done',
+        'header.map': 'Japan',
+        'header.alerts': 'Alerts',
+        'header.settings': 'Settings',
+        
+        'common.loading': 'Loading...',
+        'common.loadingData': 'Loading data...',
+        'common.dismiss': 'Dismiss',
+        'common.on': 'On',
+        'common.off': 'Off',
+        'common.seconds': '{n} s',
+        'common.minutes': '{n} min',
+        'time.hoursMinutes': '{h} h {m} min',
+        'time.minutesSeconds': '{m} min {s} s',
+        
+        'current.updating': 'Updating...',
+        'current.lastUpdate': 'Last updated: {time}',
+        'stale.offline': 'Offline: showing data from {age}',
+        'stale.minutesAgo': '{n} min ago',
+        'stale.hoursAgo': '{n} h ago',
+        'config.title': 'Problems in config.json. Only the valid settings are used',
+        'config.error.load': '{path}: could not be loaded (HTTP {status})',
+        'config.error.json': '{path}: not valid JSON ({detail})',
+        'config.error.unknown': '{path}: not a known setting',
+        'config.error.required': '{path}: is required',
+        'config.error.object': '{path}: must be an object in { }',
+        'config.error.list': '{path}: must be a list in [ ] with at least one entry',
+        'config.error.text': '{path}: must be text',
+        'config.error.number': '{path}: must be a number from {min} to {max}',
+        'config.error.boolean': '{path}: must be true or false',
+        'config.error.oneOf': '{path}: must be one of {values}',
+        'config.error.url': '{path}: must be an http:// or https:// URL',
+        'config.error.timeZone': '{path}: must be a time zone name (e.g. Asia/Tokyo)',
+        'config.error.jmaArea': '{path}: must be a 6-digit JMA area code (e.g. 130000)',
+        'config.error.duplicate': '{path}: the key "{value}" is used twice',
+        
+        'sun.sunrise': 'Sunrise {time}',
+        'sun.sunset': 'Sunset {time}',
+        'sun.dayLength': 'Day length {duration}',
+        'sun.change': ' ({change} vs yesterday)',
+        'normals.departure': '{diff} vs normal',
+        'umbrella.label': 'Umbrella: {level}',
+        'umbrella.needed': 'Needed',
+        'umbrella.folding': 'Folding',
+        'umbrella.none': 'Not needed',
+        'umbrella.today': 'Today {start}–{end}',
+        'umbrella.tomorrow': 'Tomorrow {start}–{end}',
+        'umbrella.probability': 'Up to {value}% chance of rain',
+        'umbrella.precipitation': '{value} of rain',
+        
+        'export.button': 'Export',
+        'export.title': 'Export data',
+        'export.summary': '{city} · {range} · {n} rows',
+        'export.empty': 'No data to export yet',
+        'export.csv': 'Save as CSV',
+        'export.json': 'Save as JSON',
+        'export.phone': 'Open on your phone',
+        'export.qrTooLong': 'This link is too long for a QR code. Type in this address instead',
+        
+        'weather.clearSky': 'Clear sky',
+        'weather.mainlyClear': 'Mainly clear',
+        'weather.partlyCloudy': 'Partly cloudy',
+        'weather.overcast': 'Overcast',
+        'weather.fog': 'Fog',
+        'weather.rimeFog': 'Freezing fog',
+        'weather.drizzleLight': 'Light drizzle',
+        'weather.drizzleModerate': 'Drizzle',
+        'weather.drizzleDense': 'Dense drizzle',
+        'weather.freezingDrizzleLight': 'Light freezing drizzle',
+        'weather.freezingDrizzleDense': 'Dense freezing drizzle',
+        'weather.rainSlight': 'Light rain',
+        'weather.rainModerate': 'Rain',
+        'weather.rainHeavy': 'Heavy rain',
+        'weather.freezingRainLight': 'Light freezing rain',
+        'weather.freezingRainHeavy': 'Heavy freezing rain',
+        'weather.snowSlight': 'Light snow',
+        'weather.snowModerate': 'Snow',
+        'weather.snowHeavy': 'Heavy snow',
+        'weather.snowGrains': 'Snow grains',
+        'weather.showersSlight': 'Light showers',
+        'weather.showersModerate': 'Showers',
+        'weather.showersViolent': 'Violent showers',
+        'weather.snowShowersSlight': 'Light snow showers',
+        'weather.snowShowersHeavy': 'Heavy snow showers',
+        'weather.thunderstorm': 'Thunderstorm',
+        'weather.thunderstormHailSlight': 'Thunderstorm with hail',
+        'weather.thunderstormHailHeavy': 'Thunderstorm with heavy hail',
+        
+        'range.24h': '24 hours',
+        'range.48h': '48 hours',
+        'range.7d': '7 days',
+        'range.16d': '16 days',
+        
+        'provider.openMeteo': 'Open-Meteo',
+        'provider.jma': 'JMA',
+        
+        'chart.title': 'Temperature and precipitation',
+        'chart.pastTemperature': 'Past temperature',
+        'chart.futureTemperature': 'Forecast temperature',
+        'chart.pastPrecipitation': 'Past precipitation',
+        'chart.futurePrecipitation': 'Forecast precipitation',
+        'chart.now': 'Now',
+        'chart.night': 'Night',
+        'chart.rainDisagreement': 'Models disagree on rain',
+        'chart.temperatureAxis': 'Temperature ({unit})',
+        'chart.precipitationAxis': 'Precipitation ({unit})',
+        
+        'layer.apparentTemperature': 'Feels like',
+        'layer.dewPoint': 'Dew point',
+        'layer.pressure': 'Pressure',
+        'layer.uvIndex': 'UV index',
+        'layer.cloudCover': 'Cloud cover',
+        'layer.snowfall': 'Snowfall',
+        'layer.precipitationProbability': 'Chance of rain',
+        'layer.lastYear': 'Last year',
+        'layer.normals': 'Normal range',
+        'layer.normalsMax': 'Normal high',
+        'layer.normalsMin': 'Normal low',
+        'layer.modelSpread': 'Model spread',
+        'layer.modelMax': 'Highest model',
+        'layer.modelMin': 'Lowest model',
+        'layer.modelMedian': 'Model median',
+        'layer.modelLines': 'Each model',
+        
+        'model.jma': 'JMA',
+        'model.ecmwf': 'ECMWF (Europe)',
+        'model.gfs': 'GFS (US)',
+        'model.icon': 'ICON (Germany)',
+        
+        'daily.title': 'Daily highs and lows',
+        'daily.max': 'High',
+        'daily.min': 'Low',
+        'daily.precipitation': 'Precipitation',
+        'daily.today': 'Today',
+        'daily.error': 'Could not load the daily forecast',
+        
+        'error.weather': 'Could not load weather data.<br>Please check your internet connection.',
+        'error.weatherShort': 'Could not load weather data',
+        'error.retry': 'Retry',
+        
+        'search.title': 'Add city',
+        'search.tooShort': 'Enter at least 2 characters',
+        'search.searching': 'Searching...',
+        'search.noResults': 'No cities found',
+        'search.failed': 'Search failed',
+        
+        'keyboard.space': 'Space',
+        'keyboard.backspace': 'Delete',
+        'keyboard.clear': 'Clear',
+        
+        'alerts.title': 'Alerts',
+        'alerts.titleCity': 'Alerts - {city}',
+        'alerts.rules': 'Rules',
+        'alerts.addRule': 'Add a rule',
+        'alerts.noneActive': 'No forecast matches your rules right now',
+        'alerts.noRules': 'No rules yet. Add one below',
+        'alerts.threshold': 'Threshold',
+        'alerts.hours': 'Hours',
+        'alerts.forecast': 'Forecast: {rule} ({value} at {time})',
+        'alerts.more': ' (+{n} more)',
+        'alerts.rule.above': '{metric} above {threshold} within {hours} h',
+        'alerts.rule.below': '{metric} below {threshold} within {hours} h',
+        'alerts.metric.temperature': 'Temperature',
+        'alerts.metric.precipitation': 'Precipitation',
+        'alerts.metric.windSpeed': 'Wind speed',
+        'alerts.preset.laundry': 'Laundry (rain)',
+        'alerts.preset.heavyRain': 'Heavy rain',
+        'alerts.preset.freezing': 'Below freezing',
+        'alerts.preset.heat': 'Extreme heat',
+        'alerts.preset.wind': 'Strong wind',
+        
+        'settings.title': 'Settings',
+        'settings.defaultCity': 'City at startup',
+        'settings.defaultTimeRange': 'Range at startup',
+        'settings.refreshInterval': 'Refresh interval',
+        'settings.units': 'Units',
+        'settings.language': 'Language',
+        'settings.theme': 'Theme',
+        'settings.umbrellaStart': 'Umbrella check from',
+        'settings.umbrellaEnd': 'Umbrella check until',
+        'settings.more': 'More',
+        'settings.lastCity': 'Last viewed',
+        'settings.reset': 'Reset to defaults',
+        'settings.resetConfirm': 'Press again to reset',
+        
+        'theme.midnight': 'Midnight',
+        'theme.ocean': 'Ocean',
+        'theme.black': 'Black',
+        
+        'ambient.title': 'Screensaver',
+        'ambient.enabled': 'Show when the remote is idle',
+        'ambient.idle': 'Start after',
+        'ambient.interval': 'Switch cities every',
+        'ambient.cities': 'Cities to show',
+        'ambient.preview': 'Preview',
+        'ambient.startNow': 'Start now',
+        
+        'accuracy.title': 'Forecast accuracy',
+        'accuracy.titleCity': 'Forecast accuracy - {city}',
+        'accuracy.lead': '{hours} h ahead',
+        'accuracy.mae': 'Mean error ±{error}',
+        'accuracy.samples': '{n} compared',
+        'accuracy.noSamples': 'Not enough data',
+        'accuracy.comparison': 'Forecast vs. actual',
+        'accuracy.observed': 'Actual',
+        'accuracy.noDays': 'Nothing to compare yet. A forecast can only be scored once its hours have passed',
+        'accuracy.unavailable': 'This browser cannot store forecasts',
+        
+        'map.title': 'Weather across Japan',
+        
+        'help.move': 'D-pad: move',
+        'help.select': 'Touchpad / Enter: select',
+        'help.menu': 'Menu: help'
+    }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+function setLanguage(language) {
+    currentLanguage = MESSAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function getLanguage() {
+    return currentLanguage;
+}
+
+function getLocaleTag() {
+    return LOCALE_TAGS[currentLanguage];
+}
+
+// Missing messages fall back to Japanese, then to the key itself
+function translate(key, params = {}) {
+    const message = MESSAGES[currentLanguage][key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Static text in the page; dynamic text is re-rendered by the app
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = translate(el.dataset.i18n);
+    });
+    
+    document.documentElement.lang = currentLanguage;
+    document.title = translate('app.documentTitle');
+}
+
+function formatNumber(value, digits = 0) {
+    return new Intl.NumberFormat(getLocaleTag(), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        useGrouping: false
+    }).format(value);
+}
+
+// City entries may carry names per language ({ en: 'Tokyo' }); the plain
+// name is whatever the city was added as
+function localizeCityName(city) {
+    return (city.names && city.names[currentLanguage]) || city.name;
+}
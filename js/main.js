@@ -1,36 +1,185 @@
 // ===========================
 // Apple TV Weather App
-// - Keyboard navigation for Apple TV Remote
-// - Auto-refresh every 5 minutes
-// - Remember last selected city
+// - Spatial keyboard navigation for Apple TV Remote
+// - Auto-refresh with backoff, cancellation and visibility pausing
+// - Settings screen backed by versioned preferences
+// - Japanese / English UI, switchable at runtime
 // - Hourly temperature and precipitation
+// - 7 / 16-day daily highs and lows
+// - Metric / imperial unit setting
+// - Remote-driven chart cursor with hourly readout
+// - User-defined weather alert rules per city
+// - Optional chart layers (feels-like, UV, pressure, ...)
+// - Last year / climate normal overlays and the departure from normal
+// - Forecast accuracy tracking (stored forecasts vs. what happened)
+// - Multi-model comparison (JMA / ECMWF / GFS / ICON) with an uncertainty band
+// - Umbrella indicator from the probability of precipitation
+// - CSV / JSON export and a QR code deep link to the same city and range
+// - URL parameters for the city or a place, range, language, units and kiosk mode
+// - Optional config.json per screen (cities, API URLs, interval, range, theme, panels)
+// - Ambient screensaver after the remote has been idle
+// - Offline cache of the last forecast per city
+// - Pluggable weather providers (Open-Meteo / JMA)
+// - Per-city timezones
+// - User-managed favorite cities with geocoding search
+// - Japan overview map of all saved cities
 // ===========================
 
+// Initial favorites (jmaArea: 気象庁 office code for the JMA provider,
+// timezone: IANA zone used for chart labels and tooltips,
+// names: display names for languages other than Japanese)
+const DEFAULT_CITIES = [
+    { key: 'tokyo', names: { en: 'Tokyo' }, name: '東京', icon: 'fa-building', lat: 35.6762, lon: 139.6503, jmaArea: '130000', timezone: 'Asia/Tokyo' },
+    { key: 'osaka', names: { en: 'Osaka' }, name: '大阪', icon: 'fa-city', lat: 34.6937, lon: 135.5023, jmaArea: '270000', timezone: 'Asia/Tokyo' },
+    { key: 'nagoya', names: { en: 'Nagoya' }, name: '名古屋', icon: 'fa-torii-gate', lat: 35.1815, lon: 136.9066, jmaArea: '230000', timezone: 'Asia/Tokyo' },
+    { key: 'sapporo', names: { en: 'Sapporo' }, name: '札幌', icon: 'fa-snowflake', lat: 43.0642, lon: 141.3469, jmaArea: '016000', timezone: 'Asia/Tokyo' },
+    { key: 'fukuoka', names: { en: 'Fukuoka' }, name: '福岡', icon: 'fa-mountain', lat: 33.5904, lon: 130.4017, jmaArea: '400000', timezone: 'Asia/Tokyo' },
+    { key: 'sendai', names: { en: 'Sendai' }, name: '仙台', icon: 'fa-tree', lat: 38.2682, lon: 140.8694, jmaArea: '040000', timezone: 'Asia/Tokyo' },
+    { key: 'hiroshima', names: { en: 'Hiroshima' }, name: '広島', icon: 'fa-peace', lat: 34.3853, lon: 132.4553, jmaArea: '340000', timezone: 'Asia/Tokyo' },
+    { key: 'kyoto', names: { en: 'Kyoto' }, name: '京都', icon: 'fa-temple', lat: 35.0116, lon: 135.7681, jmaArea: '260000', timezone: 'Asia/Tokyo' },
+    { key: 'naha', names: { en: 'Naha' }, name: '那覇', icon: 'fa-umbrella-beach', lat: 26.2124, lon: 127.6809, jmaArea: '471000', timezone: 'Asia/Tokyo' },
+    { key: 'okayama', names: { en: 'Okayama' }, name: '岡山', icon: 'fa-landmark', lat: 34.6551, lon: 133.9195, jmaArea: '330000', timezone: 'Asia/Tokyo' }
+];
+
 class AppleTVWeatherApp {
-    constructor() {
+    // appConfig: the result of loadAppConfig() (config.json)
+    constructor(appConfig = { config: {}, errors: [] }) {
+        this.config = appConfig.config;
+        this.configErrors = appConfig.errors;
+        
+        // The page address can pick the city or a place, the range, the language
+        // and units (for this visit only) and kiosk mode
+        this.urlParams = parseAppParams(window.location.search, window.location.hash);
+        this.isKiosk = this.urlParams.kiosk;
+        
+        // Preferences (default city and range, refresh interval, units, language, theme)
+        // config.json stands in for its preferences on every start, the address
+        // for this visit only
+        this.preferences = new PreferencesStore(localStorage);
+        Object.entries(CONFIG_PREFERENCES).filter(([key]) => key in this.config).forEach(([key, preference]) => {
+            this.preferences.override(preference, this.config[key]);
+        });
+        ['language', 'units'].filter(key => this.urlParams[key]).forEach(key => {
+            this.preferences.override(key, this.urlParams[key]);
+        });
+        setLanguage(this.preferences.get('language'));
+        
+        // Keeps the current city fresh; every load goes through it so a
+        // response for a previously selected city is aborted, never shown
+        this.refresher = new RefreshScheduler(
+            (signal) => this.fetchWeatherData(signal),
+            this.preferences.get('refreshMinutes') * 60 * 1000
+        );
+        
         // State
-        this.currentCity = this.loadSavedCity() || 'tokyo';
-        this.currentTimeRange = 24;
-        this.focusableElements = [];
-        this.currentFocusIndex = 0;
+        this.currentCity = this.preferences.get('defaultCity') || this.preferences.get('lastCity') || 'tokyo';
+        const defaultRange = TIME_RANGES[this.urlParams.range || this.preferences.get('defaultTimeRange')];
+        this.currentView = defaultRange.view; // 'hourly' | 'daily'
+        this.currentTimeRange = defaultRange.view === 'hourly' ? defaultRange.value : 24;
+        this.currentDailyRange = defaultRange.view === 'daily' ? defaultRange.value : 7;
         this.isDropdownOpen = false;
         this.weatherData = null;
+        this.weatherDataCity = null;
+        this.weatherDataSavedAt = null;
+        this.dailyData = null;
+        this.dailyDataCity = null;
+        this.sunTimes = null;
+        this.sunTimesCity = null;
+        this.lastYear = null;
+        this.lastYearCity = null;
+        this.normals = null;
+        this.normalsCity = null;
+        this.modelForecast = null;
+        this.modelForecastCity = null;
+        this.selectedDayIndex = 0;
         this.chart = null;
-        this.autoRefreshInterval = null;
-        
-        // City coordinates
-        this.cities = {
-            tokyo: { name: '東京', lat: 35.6762, lon: 139.6503 },
-            osaka: { name: '大阪', lat: 34.6937, lon: 135.5023 },
-            nagoya: { name: '名古屋', lat: 35.1815, lon: 136.9066 },
-            sapporo: { name: '札幌', lat: 43.0642, lon: 141.3469 },
-            fukuoka: { name: '福岡', lat: 33.5904, lon: 130.4017 },
-            sendai: { name: '仙台', lat: 38.2682, lon: 140.8694 },
-            hiroshima: { name: '広島', lat: 34.3853, lon: 132.4553 },
-            kyoto: { name: '京都', lat: 35.0116, lon: 135.7681 },
-            naha: { name: '那覇', lat: 26.2124, lon: 127.6809 },
-            okayama: { name: '岡山', lat: 34.6551, lon: 133.9195 }
+        this.dailyChart = null;
+        this.chartCursorTime = null;
+        this.chartScrubRepeats = 0;
+        this.dailyRequest = null;
+        this.staleBannerInterval = null;
+        
+        this.isEditingCities = false;
+        this.isSearchOpen = false;
+        this.isMapOpen = false;
+        this.isAlertsOpen = false;
+        this.isAmbientSettingsOpen = false;
+        this.isAccuracyOpen = false;
+        this.accuracyData = null;
+        this.accuracyDays = [];
+        this.accuracyDayIndex = 0;
+        this.accuracyChart = null;
+        this.isExportOpen = false;
+        this.idleTimeout = null;
+        this.isSettingsOpen = false;
+        this.isResetPending = false;
+        this.searchTimeout = null;
+        this.searchRequestId = 0;
+        this.searchResults = [];
+        
+        // Favorite cities in dropdown order; this.cities is the lookup by key.
+        // Cities from config.json replace the saved ones on every start.
+        this.favoriteCities = this.config.cities
+            ? this.config.cities.map(city => ({ ...city }))
+            : this.loadFavoriteCities() || DEFAULT_CITIES.map(city => ({ ...city }));
+        
+        // A place from the address is shown like a city but never saved
+        this.linkedPlace = this.urlParams.place ? createPlaceCity(this.urlParams.place) : null;
+        this.rebuildCities();
+        if (this.linkedPlace) {
+            this.currentCity = this.linkedPlace.key;
+        } else if (this.urlParams.city && this.cities[this.urlParams.city]) {
+            this.currentCity = this.urlParams.city;
+        }
+        if (!this.cities[this.currentCity]) {
+            this.currentCity = this.favoriteCities[0].key;
+        }
+        
+        // Weather providers, selectable per city
+        this.providers = {
+            openMeteo: new OpenMeteoProvider(this.config.providerUrl),
+            jma: new JMAProvider()
         };
+        this.cityProviders = this.loadCityProviders();
+        
+        // Last year and the climate normals (chart layers and the badge)
+        this.archive = new ArchiveClient(this.config.archiveUrl);
+        
+        // Every fetched forecast, scored once its hours have passed
+        this.accuracy = new ForecastAccuracyStore();
+        
+        // Enabled chart layers (keys of CHART_LAYERS)
+        this.chartLayers = this.loadChartLayers();
+        
+        // Alert rules per city; dismissed alerts stay hidden until they clear
+        this.alertRules = this.loadAlertRules();
+        this.activeAlerts = [];
+        this.dismissedAlerts = new Set();
+        
+        // City search
+        this.geocoder = new OpenMeteoGeocoder();
+        this.keyboard = new OnScreenKeyboard(
+            document.getElementById('onscreenKeyboard'),
+            (query) => this.onSearchQueryChange(query)
+        );
+        
+        // Overview map
+        this.japanMap = new JapanMap(
+            document.getElementById('mapCanvas'),
+            document.getElementById('mapOtherCities')
+        );
+        
+        // Screensaver
+        this.ambientSettings = this.loadAmbientSettings();
+        this.ambient = new AmbientMode(document.getElementById('ambientMode'));
+        
+        // Spatial navigation; the keyboard grid and the map steer their own groups
+        this.focusEngine = new FocusEngine();
+        this.focusEngine.setNavigator('keyboard', (key, direction) => this.keyboard.navigate(key, direction));
+        this.focusEngine.setNavigator('map', (marker, direction) => {
+            const next = this.japanMap.findNearest(marker.dataset.city, direction);
+            return next ? this.japanMap.getMarker(next) : null;
+        });
         
         // Initialize
         this.init();
@@ -39,20 +188,32 @@ class AppleTVWeatherApp {
     init() {
         console.log('🍎 Initializing Apple TV Weather App...');
         
+        // Render the favorites dropdown, search keyboard and layer picker
+        this.renderCityDropdown();
+        this.keyboard.render();
+        this.renderLayerPicker();
+        
         // Set up event listeners
         this.setupEventListeners();
         
-        // Initialize focusable elements
-        this.updateFocusableElements();
+        // Apply the stored look and the starting view
+        this.applyPreference('theme');
+        this.applyKioskMode();
+        this.applyConfigPanels();
+        translatePage();
+        this.renderConfigErrors();
+        this.setView(this.currentView);
         
-        // Load weather data for saved city
-        this.loadWeatherData();
+        // Load weather data for saved city and start auto-refresh
+        this.refresher.start();
         
-        // Start auto-refresh
-        this.startAutoRefresh();
+        // Start counting towards the screensaver
+        this.resetIdleTimer();
         
         // Update selected city display
-        document.getElementById('selectedCity').textContent = this.cities[this.currentCity].name;
+        this.updateSelectedCity();
+        this.updateProviderButton();
+        this.updateUnitButton();
         
         console.log('✅ App initialized successfully');
     }
@@ -67,99 +228,169 @@ class AppleTVWeatherApp {
         // City selector
         document.getElementById('citySelector').addEventListener('click', () => this.toggleCityDropdown());
         
-        // City options
-        document.querySelectorAll('.city-option').forEach(option => {
-            option.addEventListener('click', () => this.selectCity(option.dataset.city));
+        // Overview map
+        document.getElementById('mapBtn').addEventListener('click', () => this.openOverviewMap());
+        document.getElementById('overviewMap').addEventListener('click', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker) {
+                this.closeOverviewMap();
+                this.selectCity(marker.dataset.city);
+            }
+        });
+        
+        // Settings and screensaver
+        document.getElementById('settingsBtn').addEventListener('click', () => this.openSettings());
+        document.getElementById('settingsPanel').addEventListener('click', (e) => this.handleSettingsClick(e));
+        document.getElementById('ambientSettings').addEventListener('click', (e) => this.handleAmbientSettingsClick(e));
+        document.getElementById('accuracyPanel').addEventListener('click', (e) => this.handleAccuracyPanelClick(e));
+        document.getElementById('ambientMode').addEventListener('click', () => this.stopAmbientMode());
+        
+        // Export
+        document.getElementById('exportBtn').addEventListener('click', () => this.openExportPanel());
+        document.getElementById('exportPanel').addEventListener('click', (e) => this.handleExportPanelClick(e));
+        
+        // Alerts
+        document.getElementById('alertsBtn').addEventListener('click', () => this.openAlertsPanel());
+        document.getElementById('alertDismissBtn').addEventListener('click', () => this.dismissAlerts());
+        document.getElementById('alertsPanel').addEventListener('click', (e) => this.handleAlertsPanelClick(e));
+        
+        // City options and favorites editing (rendered dynamically)
+        document.getElementById('cityDropdown').addEventListener('click', (e) => this.handleCityDropdownClick(e));
+        
+        // City search keyboard and results
+        document.getElementById('onscreenKeyboard').addEventListener('click', (e) => {
+            const key = e.target.closest('.keyboard-key');
+            if (key) {
+                this.focusOnElement(this.keyboard.press(key));
+            }
+        });
+        document.getElementById('searchResults').addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (result) {
+                this.addFavoriteCity(this.searchResults[result.dataset.index]);
+            }
         });
         
         // Time range buttons
         document.getElementById('range24h').addEventListener('click', () => this.setTimeRange(24));
         document.getElementById('range48h').addEventListener('click', () => this.setTimeRange(48));
+        document.getElementById('range7d').addEventListener('click', () => this.setDailyRange(7));
+        document.getElementById('range16d').addEventListener('click', () => this.setDailyRange(16));
+        
+        // Day cards (rendered dynamically); focusing a card highlights its day on the chart
+        const dayCards = document.getElementById('dayCards');
+        dayCards.addEventListener('focusin', (e) => {
+            const card = e.target.closest('.day-card');
+            if (card) {
+                this.selectDay(Number(card.dataset.index));
+            }
+        });
+        dayCards.addEventListener('click', (e) => {
+            const card = e.target.closest('.day-card');
+            if (card) {
+                this.selectDay(Number(card.dataset.index));
+            }
+        });
+        
+        // Chart layer toggles
+        document.getElementById('layerPicker').addEventListener('click', (e) => {
+            const toggle = e.target.closest('.layer-toggle');
+            if (toggle) {
+                this.toggleChartLayer(toggle.dataset.layer);
+            }
+        });
+        
+        // Chart cursor appears while the chart has focus
+        const chartWrapper = document.getElementById('chartWrapper');
+        chartWrapper.addEventListener('focus', () => this.showChartCursor());
+        chartWrapper.addEventListener('blur', () => this.hideChartCursor());
+        
+        // Provider button
+        document.getElementById('providerBtn').addEventListener('click', () => this.cycleProvider());
+        
+        // Unit button
+        document.getElementById('unitBtn').addEventListener('click', () => this.cycleUnits());
         
         // Retry button
         document.getElementById('retryBtn').addEventListener('click', () => this.loadWeatherData());
         
         // Focus on first element
-        setTimeout(() => this.focusElement(0), 100);
+        setTimeout(() => this.focusEngine.focusDefault(), 100);
     }
     
     handleKeyDown(e) {
         const key = e.key;
         
+        // Any key only wakes the screen from the screensaver
+        if (this.ambient.active) {
+            e.preventDefault();
+            this.stopAmbientMode();
+            return;
+        }
+        this.resetIdleTimer();
+        
         // Prevent default for arrow keys
         if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter', ' '].includes(key)) {
             e.preventDefault();
         }
         
+        // Left/right scrub the chart instead of leaving it; holding the key speeds up
+        if (this.isChartFocused() && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+            this.moveChartCursor(key === 'ArrowLeft' ? -1 : 1, e.repeat);
+            return;
+        }
+        
+        const directions = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+        if (directions[key]) {
+            this.focusEngine.move(directions[key]);
+            return;
+        }
+        
         switch(key) {
-            case 'ArrowRight':
-            case 'ArrowDown':
-                this.focusNext();
-                break;
-            case 'ArrowLeft':
-            case 'ArrowUp':
-                this.focusPrevious();
-                break;
             case 'Enter':
             case ' ':
                 this.activateFocusedElement();
                 break;
-            case 'Escape':
             case 'Backspace':
+                if (this.isSearchOpen) {
+                    this.keyboard.deleteLast();
+                    break;
+                }
                 this.closeDropdown();
                 break;
+            case 'Escape':
+                if (this.isSearchOpen) {
+                    this.closeCitySearch();
+                } else if (this.isMapOpen) {
+                    this.closeOverviewMap();
+                } else if (this.isAlertsOpen) {
+                    this.closeAlertsPanel();
+                } else if (this.isExportOpen) {
+                    this.closeExportPanel();
+                } else if (this.isAmbientSettingsOpen) {
+                    this.closeAmbientSettings();
+                } else if (this.isAccuracyOpen) {
+                    this.closeAccuracyPanel();
+                } else if (this.isSettingsOpen) {
+                    this.closeSettings();
+                } else if (this.isChartFocused()) {
+                    this.leaveChart();
+                } else {
+                    this.closeDropdown();
+                }
+                break;
         }
     }
     
-    updateFocusableElements() {
-        // Get all focusable elements based on current state
-        if (this.isDropdownOpen) {
-            // When dropdown is open, only city options are focusable
-            this.focusableElements = Array.from(document.querySelectorAll('.city-option'));
-        } else {
-            // Normal navigation
-            this.focusableElements = [
-                document.getElementById('citySelector'),
-                document.getElementById('range24h'),
-                document.getElementById('range48h')
-            ];
+    // Focus a specific element, or the best remaining one if it is gone
+    focusOnElement(element) {
+        if (!this.focusEngine.focus(element)) {
+            this.focusEngine.focusDefault();
         }
-        
-        // Filter out null elements
-        this.focusableElements = this.focusableElements.filter(el => el !== null);
-    }
-    
-    focusElement(index) {
-        if (this.focusableElements.length === 0) return;
-        
-        // Remove focus from all elements
-        this.focusableElements.forEach(el => {
-            el.classList.remove('focused');
-            el.blur();
-        });
-        
-        // Ensure index is within bounds
-        this.currentFocusIndex = Math.max(0, Math.min(index, this.focusableElements.length - 1));
-        
-        // Focus the element
-        const element = this.focusableElements[this.currentFocusIndex];
-        element.classList.add('focused');
-        element.focus();
-        
-        // Scroll into view if needed
-        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }
-    
-    focusNext() {
-        this.focusElement(this.currentFocusIndex + 1);
-    }
-    
-    focusPrevious() {
-        this.focusElement(this.currentFocusIndex - 1);
     }
     
     activateFocusedElement() {
-        const element = this.focusableElements[this.currentFocusIndex];
+        const element = this.focusEngine.current;
         if (element) {
             element.click();
         }
@@ -174,164 +405,2116 @@ class AppleTVWeatherApp {
         
         if (this.isDropdownOpen) {
             dropdown.classList.add('active');
-            this.updateFocusableElements();
-            this.focusElement(0);
+            this.focusOnElement(dropdown.querySelector(`.city-row[data-city="${this.currentCity}"] .city-option`));
         } else {
             dropdown.classList.remove('active');
-            this.updateFocusableElements();
-            this.focusElement(0);
+            this.focusOnElement(document.getElementById('citySelector'));
         }
     }
     
     closeDropdown() {
         if (this.isDropdownOpen) {
             this.isDropdownOpen = false;
+            this.setCityEditing(false);
             document.getElementById('cityDropdown').classList.remove('active');
-            this.updateFocusableElements();
-            this.focusElement(0);
+            this.focusOnElement(document.getElementById('citySelector'));
         }
     }
     
     selectCity(cityKey) {
-        this.currentCity = cityKey;
-        this.saveCity(cityKey);
-        document.getElementById('selectedCity').textContent = this.cities[cityKey].name;
+        if (this.isKiosk) return;
+        
         this.closeDropdown();
+        this.setCurrentCity(cityKey);
+    }
+    
+    setCurrentCity(cityKey) {
+        this.currentCity = cityKey;
+        // The banner dated the previous city's data; the new load decides again
+        this.hideStaleBanner();
+        this.preferences.set('lastCity', cityKey);
+        this.updateUrl();
+        this.updateSelectedCity();
+        this.updateProviderButton();
+        this.evaluateAlerts();
         this.loadWeatherData();
     }
     
+    updateSelectedCity() {
+        document.getElementById('selectedCity').textContent = localizeCityName(this.cities[this.currentCity]);
+    }
+    
     // ===========================
-    // Local Storage
+    // Favorite Cities
+    // ===========================
+    rebuildCities() {
+        const cities = this.linkedPlace ? [...this.favoriteCities, this.linkedPlace] : this.favoriteCities;
+        this.cities = Object.fromEntries(cities.map(city => [city.key, city]));
+    }
+    
+    renderCityDropdown() {
+        const list = document.getElementById('cityList');
+        list.innerHTML = '';
+        
+        this.favoriteCities.forEach(city => {
+            const row = document.createElement('div');
+            row.className = 'city-row';
+            row.dataset.city = city.key;
+            row.innerHTML = `
+                <div class="city-option focusable" data-action="select" tabindex="${this.isEditingCities ? -1 : 0}">
+                    <i class="fas ${city.icon || 'fa-map-pin'}"></i><span class="city-name"></span>
+                </div>
+                <div class="city-edit-actions">
+                    <button class="city-action-btn focusable" data-action="moveUp"><i class="fas fa-arrow-up"></i></button>
+                    <button class="city-action-btn focusable" data-action="moveDown"><i class="fas fa-arrow-down"></i></button>
+                    <button class="city-action-btn focusable" data-action="delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            // Names may come from the geocoding API, so never inject them as HTML
+            row.querySelector('.city-name').textContent = localizeCityName(city);
+            list.appendChild(row);
+        });
+    }
+    
+    handleCityDropdownClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const row = target.closest('.city-row');
+        const cityKey = row ? row.dataset.city : null;
+        
+        // config.json replaces the list on every start, so edits would be lost
+        if (this.config.cities && target.dataset.action !== 'select') return;
+        
+        switch (target.dataset.action) {
+            case 'select':
+                this.selectCity(cityKey);
+                break;
+            case 'moveUp':
+                this.moveFavoriteCity(cityKey, -1, 'moveUp');
+                break;
+            case 'moveDown':
+                this.moveFavoriteCity(cityKey, 1, 'moveDown');
+                break;
+            case 'delete':
+                this.removeFavoriteCity(cityKey);
+                break;
+            case 'add':
+                this.openCitySearch();
+                break;
+            case 'edit':
+                this.setCityEditing(!this.isEditingCities);
+                this.focusOnElement(target);
+                break;
+        }
+    }
+    
+    setCityEditing(editing) {
+        this.isEditingCities = editing;
+        document.getElementById('cityDropdown').classList.toggle('editing', editing);
+        document.getElementById('editCitiesLabel').textContent = translate(editing ? 'header.editDone' : 'header.editCities');
+        
+        // Edit mode swaps the city options for their move/delete buttons
+        document.querySelectorAll('#cityList [data-action="select"]').forEach(option => {
+            option.tabIndex = editing ? -1 : 0;
+        });
+    }
+    
+    updateFavoriteCities() {
+        this.saveFavoriteCities();
+        this.rebuildCities();
+        this.renderCityDropdown();
+    }
+    
+    moveFavoriteCity(cityKey, offset, action) {
+        const index = this.favoriteCities.findIndex(city => city.key === cityKey);
+        const target = index + offset;
+        if (target < 0 || target >= this.favoriteCities.length) return;
+        
+        const [city] = this.favoriteCities.splice(index, 1);
+        this.favoriteCities.splice(target, 0, city);
+        this.updateFavoriteCities();
+        
+        // Keep focus on the button that moved along with the city
+        this.focusOnElement(document.querySelector(`.city-row[data-city="${cityKey}"] [data-action="${action}"]`));
+    }
+    
+    removeFavoriteCity(cityKey) {
+        // Always keep at least one city to show
+        if (this.favoriteCities.length <= 1) return;
+        
+        const index = this.favoriteCities.findIndex(city => city.key === cityKey);
+        this.favoriteCities.splice(index, 1);
+        this.updateFavoriteCities();
+        
+        // A later favorite may get the same key (custom cities), so nothing of this one is kept
+        delete this.cityProviders[cityKey];
+        this.saveCityProviders();
+        this.removeWeatherCache(cityKey);
+        this.removeSavedNormals(cityKey);
+        this.forgetLoadedData(cityKey);
+        this.removeForecastRecords(cityKey);
+        delete this.alertRules[cityKey];
+        this.saveAlertRules();
+        if (this.preferences.get('defaultCity') === cityKey) {
+            this.preferences.set('defaultCity', null);
+        }
+        
+        if (this.currentCity === cityKey) {
+            this.setCurrentCity(this.favoriteCities[Math.min(index, this.favoriteCities.length - 1)].key);
+        }
+        
+        // Focus the delete button that took the removed row's place
+        const rows = document.querySelectorAll('.city-row');
+        const nextRow = rows[Math.min(index, rows.length - 1)];
+        this.focusOnElement(nextRow.querySelector('[data-action="delete"]'));
+    }
+    
+    addFavoriteCity(result) {
+        if (!this.cities[result.key]) {
+            this.favoriteCities.push({
+                key: result.key,
+                name: result.name,
+                names: { [getLanguage()]: result.name },
+                icon: 'fa-map-pin',
+                lat: result.lat,
+                lon: result.lon,
+                timezone: result.timezone
+            });
+            this.updateFavoriteCities();
+        }
+        
+        this.closeCitySearch();
+        this.selectCity(result.key);
+    }
+    
+    // ===========================
+    // City Search
+    // ===========================
+    openCitySearch() {
+        this.isSearchOpen = true;
+        this.keyboard.reset();
+        this.onSearchQueryChange('');
+        document.getElementById('citySearch').classList.add('active');
+        this.focusOnElement(this.keyboard.keyAt(0, 0));
+    }
+    
+    closeCitySearch() {
+        this.isSearchOpen = false;
+        clearTimeout(this.searchTimeout);
+        this.searchRequestId++;
+        document.getElementById('citySearch').classList.remove('active');
+        this.focusOnElement(document.getElementById('addCityBtn'));
+    }
+    
+    onSearchQueryChange(query) {
+        document.getElementById('searchQueryText').textContent = query;
+        
+        // Wait for a pause in typing before hitting the API
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.searchCities(query.trim()), 500);
+    }
+    
+    async searchCities(query) {
+        const requestId = ++this.searchRequestId;
+        
+        // The geocoding API needs at least two characters
+        if (Array.from(query).length < 2) {
+            this.renderSearchResults([], translate('search.tooShort'));
+            return;
+        }
+        
+        this.renderSearchResults([], translate('search.searching'));
+        
+        try {
+            const results = await this.geocoder.search(query, { language: getLanguage() });
+            
+            // Ignore responses for queries that have since changed
+            if (requestId !== this.searchRequestId) return;
+            this.renderSearchResults(results, results.length > 0 ? '' : translate('search.noResults'));
+        } catch (error) {
+            if (requestId !== this.searchRequestId) return;
+            console.error('Error searching cities:', error);
+            this.renderSearchResults([], translate('search.failed'));
+        }
+    }
+    
+    renderSearchResults(results, message) {
+        const container = document.getElementById('searchResults');
+        const focused = this.focusEngine.current;
+        
+        this.searchResults = results;
+        container.innerHTML = '';
+        
+        if (message) {
+            const status = document.createElement('div');
+            status.className = 'search-status';
+            status.textContent = message;
+            container.appendChild(status);
+        }
+        
+        results.forEach((result, index) => {
+            const item = document.createElement('div');
+            item.className = 'search-result focusable';
+            item.tabIndex = 0;
+            item.dataset.index = index;
+            item.innerHTML = `
+                <i class="fas fa-map-pin"></i>
+                <div>
+                    <div class="search-result-name"></div>
+                    <div class="search-result-region"></div>
+                </div>
+            `;
+            item.querySelector('.search-result-name').textContent = result.name;
+            item.querySelector('.search-result-region').textContent = result.region;
+            container.appendChild(item);
+        });
+        
+        // Results update underneath the keyboard; keep focus where it was
+        if (this.isSearchOpen) {
+            this.focusOnElement(focused && focused.isConnected ? focused : null);
+        }
+    }
+    
+    // ===========================
+    // Overview Map
     // ===========================
-    saveCity(cityKey) {
+    openOverviewMap() {
+        this.isMapOpen = true;
+        this.japanMap.render(this.favoriteCities);
+        document.getElementById('overviewMap').classList.add('active');
+        this.focusOnElement(this.japanMap.getMarker(this.currentCity));
+        this.loadOverviewWeather();
+    }
+    
+    closeOverviewMap() {
+        this.isMapOpen = false;
+        document.getElementById('overviewMap').classList.remove('active');
+        this.focusOnElement(document.getElementById('mapBtn'));
+    }
+    
+    async loadOverviewWeather() {
+        const status = document.getElementById('overviewStatus');
+        status.textContent = translate('common.loadingData');
+        
         try {
-            localStorage.setItem('appleTV_selectedCity', cityKey);
-        } catch (e) {
-            console.warn('Could not save city to localStorage:', e);
+            this.japanMap.updateWeather(await this.fetchCurrentWeather(this.favoriteCities.slice()));
+            status.textContent = '';
+        } catch (error) {
+            console.error('Error loading overview weather:', error);
+            status.textContent = translate('error.weatherShort');
+        }
+    }
+    
+    // One batched Open-Meteo request for every city, whatever their detail provider.
+    // Resolves to { [cityKey]: { temperature, iconClass } }
+    async fetchCurrentWeather(cities) {
+        const results = await this.providers.openMeteo.fetchCurrentBatch(cities, this.getUnits());
+        const weather = {};
+        results.forEach((current, i) => {
+            weather[cities[i].key] = {
+                temperature: current.temperature,
+                iconClass: getWeatherIconClass(current.weatherCode, current.isDay)
+            };
+        });
+        return weather;
+    }
+    
+    // ===========================
+    // Screensaver
+    // ===========================
+    resetIdleTimer() {
+        clearTimeout(this.idleTimeout);
+        this.idleTimeout = null;
+        
+        if (this.ambientSettings.enabled) {
+            this.idleTimeout = setTimeout(() => this.startAmbientMode(), this.ambientSettings.idleMinutes * 60 * 1000);
+        }
+    }
+    
+    // A kiosk stays on its one city, also in the screensaver
+    getAmbientCities() {
+        if (this.isKiosk) return [this.cities[this.currentCity]];
+        return this.favoriteCities.filter(city => !this.ambientSettings.excludedCities.includes(city.key));
+    }
+    
+    startAmbientMode() {
+        const cities = this.getAmbientCities();
+        if (cities.length === 0) return;
+        
+        this.ambient.start(cities, {
+            intervalSeconds: this.ambientSettings.intervalSeconds,
+            temperatureUnit: this.getUnits().temperature,
+            loadWeather: (list) => this.fetchCurrentWeather(list)
+        });
+    }
+    
+    stopAmbientMode() {
+        this.ambient.stop();
+        
+        // Return to whatever had focus before the screen went idle
+        this.focusOnElement(this.focusEngine.current);
+        this.resetIdleTimer();
+    }
+    
+    openAmbientSettings() {
+        this.closeDropdown();
+        this.isAmbientSettingsOpen = true;
+        this.renderAmbientSettings();
+        document.getElementById('ambientSettings').classList.add('active');
+        this.focusOnElement(document.querySelector('#ambientSettings [data-action="toggleEnabled"]'));
+    }
+    
+    // Back to the settings screen the panel was opened from
+    closeAmbientSettings() {
+        this.isAmbientSettingsOpen = false;
+        document.getElementById('ambientSettings').classList.remove('active');
+        this.openSettings();
+        this.focusOnElement(document.querySelector('#settingsPanel [data-action="ambient"]'));
+    }
+    
+    renderAmbientSettings() {
+        const settings = this.ambientSettings;
+        document.getElementById('ambientEnabledValue').textContent = translate(settings.enabled ? 'common.on' : 'common.off');
+        document.getElementById('ambientIdleValue').textContent = translate('common.minutes', { n: settings.idleMinutes });
+        document.getElementById('ambientIntervalValue').textContent = settings.intervalSeconds < 60
+            ? translate('common.seconds', { n: settings.intervalSeconds })
+            : translate('common.minutes', { n: settings.intervalSeconds / 60 });
+        
+        // Keep focus on the same chip when the list is rebuilt
+        const focused = this.focusEngine.current;
+        const focusedCity = focused && focused.closest('#ambientCities') ? focused.dataset.city : null;
+        
+        const list = document.getElementById('ambientCities');
+        list.innerHTML = '';
+        this.favoriteCities.forEach(city => {
+            const chip = document.createElement('button');
+            chip.className = 'toggle-chip focusable';
+            chip.classList.toggle('active', !settings.excludedCities.includes(city.key));
+            chip.dataset.action = 'toggleCity';
+            chip.dataset.city = city.key;
+            chip.disabled = this.isKiosk;
+            chip.innerHTML = '<i class="fas fa-check"></i><span></span>';
+            chip.querySelector('span').textContent = localizeCityName(city);
+            list.appendChild(chip);
+        });
+        
+        if (focusedCity) {
+            this.focusOnElement(list.querySelector(`[data-city="${focusedCity}"]`));
+        }
+    }
+    
+    handleAmbientSettingsClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const settings = this.ambientSettings;
+        
+        // Step through the preset values, stopping at either end
+        const step = (options, value, direction) => {
+            const index = options.indexOf(value);
+            return options[Math.max(0, Math.min(index + direction, options.length - 1))];
+        };
+        
+        switch (target.dataset.action) {
+            case 'toggleEnabled':
+                settings.enabled = !settings.enabled;
+                break;
+            case 'idleDown':
+            case 'idleUp':
+                settings.idleMinutes = step(AMBIENT_IDLE_OPTIONS, settings.idleMinutes, target.dataset.action === 'idleUp' ? 1 : -1);
+                break;
+            case 'intervalDown':
+            case 'intervalUp':
+                settings.intervalSeconds = step(AMBIENT_INTERVAL_OPTIONS, settings.intervalSeconds, target.dataset.action === 'intervalUp' ? 1 : -1);
+                break;
+            case 'toggleCity': {
+                const cityKey = target.dataset.city;
+                settings.excludedCities = settings.excludedCities.includes(cityKey)
+                    ? settings.excludedCities.filter(key => key !== cityKey)
+                    : [...settings.excludedCities, cityKey];
+                break;
+            }
+            case 'preview':
+                this.closeAmbientSettings();
+                this.startAmbientMode();
+                return;
+        }
+        
+        this.saveAmbientSettings();
+        this.renderAmbientSettings();
+        this.resetIdleTimer();
+    }
+    
+    // ===========================
+    // Forecast Accuracy
+    // ===========================
+    async openAccuracyPanel() {
+        this.closeDropdown();
+        this.isAccuracyOpen = true;
+        this.accuracyData = null;
+        this.accuracyDays = [];
+        this.renderAccuracyPanel();
+        document.getElementById('accuracyPanel').classList.add('active');
+        this.focusOnElement(document.querySelector('#accuracyPanel [data-action="dayPrev"]'));
+        
+        if (!this.accuracy.available) return;
+        
+        const cityKey = this.currentCity;
+        const timeZone = this.cities[cityKey].timezone;
+        try {
+            const data = await this.accuracy.load(cityKey);
+            if (!this.isAccuracyOpen || this.currentCity !== cityKey) return;
+            
+            this.accuracyData = data;
+            this.accuracyDays = getComparableDays(data.snapshots, data.observations, timeZone);
+            
+            // Start on the latest day that is over, or today if none is
+            const today = toIsoDate(Date.now(), timeZone);
+            const finished = this.accuracyDays.filter(day => day < today);
+            this.accuracyDayIndex = finished.length > 0 ? finished.length - 1 : this.accuracyDays.length - 1;
+        } catch (error) {
+            console.warn('Could not load recorded forecasts:', error);
+            this.accuracyData = { snapshots: [], observations: [] };
+        }
+        this.renderAccuracyPanel();
+    }
+    
+    // Back to the settings screen the panel was opened from
+    closeAccuracyPanel() {
+        this.isAccuracyOpen = false;
+        document.getElementById('accuracyPanel').classList.remove('active');
+        if (this.accuracyChart) {
+            this.accuracyChart.destroy();
+            this.accuracyChart = null;
+        }
+        this.openSettings();
+        this.focusOnElement(document.querySelector('#settingsPanel [data-action="accuracy"]'));
+    }
+    
+    renderAccuracyPanel() {
+        const data = this.accuracyData;
+        const units = this.getUnits();
+        const timeZone = this.cities[this.currentCity].timezone;
+        
+        document.getElementById('accuracyTitle').textContent =
+            translate('accuracy.titleCity', { city: localizeCityName(this.cities[this.currentCity]) });
+        
+        // One card per lead time
+        const stats = document.getElementById('accuracyStats');
+        stats.innerHTML = '';
+        const errors = data ? getMeanAbsoluteErrors(data.snapshots, data.observations) : [];
+        errors.forEach(({ lead, mae, count }) => {
+            const card = document.createElement('div');
+            card.className = 'accuracy-stat';
+            card.innerHTML = '<div class="accuracy-lead"></div><div class="accuracy-error"></div><div class="accuracy-samples"></div>';
+            card.querySelector('.accuracy-lead').textContent = translate('accuracy.lead', { hours: lead });
+            card.querySelector('.accuracy-error').textContent = mae === null
+                ? translate('accuracy.noSamples')
+                : translate('accuracy.mae', { error: `${formatNumber(convertTemperatureDifference(mae, units), 1)}${units.temperature}` });
+            card.querySelector('.accuracy-samples').textContent = translate('accuracy.samples', { n: count });
+            stats.appendChild(card);
+        });
+        
+        const day = this.accuracyDays[this.accuracyDayIndex];
+        let message = '';
+        if (!this.accuracy.available) {
+            message = translate('accuracy.unavailable');
+        } else if (!data) {
+            message = translate('common.loading');
+        } else if (!day) {
+            message = translate('accuracy.noDays');
+        }
+        document.getElementById('accuracyEmpty').textContent = message;
+        
+        // Dates carry no time, so they are formatted as UTC
+        document.getElementById('accuracyDayLabel').textContent = day
+            ? formatTimeInZone(Date.parse(`${day}T12:00:00Z`), 'UTC', { month: 'long', day: 'numeric', weekday: 'short' })
+            : '--';
+        document.getElementById('accuracyChartWrapper').classList.toggle('hidden', !day);
+        
+        if (day) {
+            this.drawAccuracyChart(getDayComparison(data.snapshots, data.observations, day, timeZone));
+        }
+    }
+    
+    // ←→ step through the recorded days, stopping at either end
+    handleAccuracyPanelClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || this.accuracyDays.length === 0) return;
+        
+        const step = target.dataset.action === 'dayNext' ? 1 : -1;
+        this.accuracyDayIndex = Math.max(0, Math.min(this.accuracyDayIndex + step, this.accuracyDays.length - 1));
+        this.renderAccuracyPanel();
+    }
+    
+    drawAccuracyChart(comparison) {
+        const units = this.getUnits();
+        const toUnits = (points) => points.map(point => ({ x: point.x, y: convertTemperature(point.y, units) }));
+        const leadColors = ['#ffd54f', '#ff8a65', '#ce93d8'];
+        const time = (timestamp) => this.formatCityTime(timestamp, { hour: '2-digit', minute: '2-digit', hour12: false });
+        
+        if (this.accuracyChart) {
+            this.accuracyChart.destroy();
+        }
+        
+        const ctx = document.getElementById('accuracyChart').getContext('2d');
+        
+        this.accuracyChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: translate('accuracy.observed'),
+                        data: toUnits(comparison.observed),
+                        borderColor: '#4fc3f7',
+                        backgroundColor: '#4fc3f7',
+                        borderWidth: 5,
+                        tension: 0.4,
+                        pointRadius: 0,
+                        pointHoverRadius: 8
+                    },
+                    // One dashed line per lead time
+                    ...ACCURACY_LEAD_HOURS.map((lead, i) => ({
+                        label: translate('accuracy.lead', { hours: lead }),
+                        data: toUnits(comparison.forecasts[lead]),
+                        borderColor: leadColors[i % leadColors.length],
+                        backgroundColor: leadColors[i % leadColors.length],
+                        borderWidth: 3,
+                        borderDash: [10, 5],
+                        tension: 0.4,
+                        spanGaps: true,
+                        pointRadius: 0,
+                        pointHoverRadius: 6
+                    }))
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                locale: getLocaleTag(),
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: 'rgba(255, 255, 255, 0.9)',
+                            font: { size: 16 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+                        titleFont: { size: 18, weight: 'bold' },
+                        bodyFont: { size: 16 },
+                        padding: 20,
+                        cornerRadius: 15,
+                        callbacks: {
+                            title: (context) => time(context[0].parsed.x),
+                            label: (context) => `${context.dataset.label}: ${formatNumber(context.parsed.y, 1)}${units.temperature}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            unit: 'hour'
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)',
+                            lineWidth: 1
+                        },
+                        ticks: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            font: { size: 14 },
+                            maxRotation: 0,
+                            autoSkip: true,
+                            maxTicksLimit: 12,
+                            // Label ticks in the city's timezone, not the device's
+                            callback: (value) => time(value)
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: translate('chart.temperatureAxis', { unit: units.temperature }),
+                            color: 'rgba(255, 255, 255, 0.9)',
+                            font: { size: 18, weight: 'bold' }
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)',
+                            lineWidth: 1
+                        },
+                        ticks: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            font: { size: 14 }
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    // Scored later on the accuracy screen; a failure only costs statistics
+    recordForecast(cityKey, data) {
+        if (!this.accuracy.available) return;
+        
+        const observesPast = this.providers[data.provider].observesPast;
+        this.accuracy.record(cityKey, data, Date.now(), observesPast).catch(error => {
+            console.warn('Could not record the forecast:', error);
+        });
+    }
+    
+    removeForecastRecords(cityKey) {
+        if (!this.accuracy.available) return;
+        
+        this.accuracy.remove(cityKey).catch(error => {
+            console.warn('Could not remove the recorded forecasts:', error);
+        });
+    }
+    
+    // ===========================
+    // Export
+    // ===========================
+    openExportPanel() {
+        this.closeDropdown();
+        this.isExportOpen = true;
+        this.renderExportPanel();
+        document.getElementById('exportPanel').classList.add('active');
+        this.focusOnElement(document.querySelector('#exportPanel [data-action="csv"]'));
+    }
+    
+    closeExportPanel() {
+        this.isExportOpen = false;
+        document.getElementById('exportPanel').classList.remove('active');
+        this.focusOnElement(document.getElementById('exportBtn'));
+    }
+    
+    // Key of TIME_RANGES for what is on screen
+    getCurrentRangeKey() {
+        return this.currentView === 'hourly' ? `${this.currentTimeRange}h` : `${this.currentDailyRange}d`;
+    }
+    
+    // The rows on screen: the hourly chart from its first hour, or the day cards
+    getExportRows() {
+        const timeZone = this.cities[this.currentCity].timezone;
+        if (this.currentView === 'daily') {
+            return getDailyExportRows(this.getDailyDays(), timeZone);
+        }
+        if (!this.weatherData || this.weatherDataCity !== this.currentCity) return [];
+        
+        const hourly = this.weatherData.hourly;
+        const end = getCurrentIndex(hourly.time) + this.currentTimeRange + 1;
+        return getHourlyExportRows(hourly, 0, end, timeZone);
+    }
+    
+    renderExportPanel() {
+        const city = this.cities[this.currentCity];
+        const range = this.getCurrentRangeKey();
+        const rows = this.getExportRows();
+        
+        document.getElementById('exportSummary').textContent = rows.length > 0
+            ? translate('export.summary', { city: localizeCityName(city), range: translate(TIME_RANGES[range].labelKey), n: rows.length })
+            : translate('export.empty');
+        
+        const link = buildAppUrl(window.location.href, this.getLinkState());
+        const qrCode = document.getElementById('exportQrCode');
+        try {
+            qrCode.innerHTML = renderQrSvg(createQrMatrix(link));
+        } catch (error) {
+            // A place with a long name can outgrow the largest QR code; the link still shows
+            console.warn('Could not draw the QR code:', error);
+            qrCode.innerHTML = '<p class="export-qr-message"></p>';
+            qrCode.querySelector('p').textContent = translate('export.qrTooLong');
+        }
+        document.getElementById('exportLink').textContent = link;
+    }
+    
+    handleExportPanelClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const rows = this.getExportRows();
+        if (rows.length === 0) return;
+        
+        const city = this.cities[this.currentCity];
+        const range = this.getCurrentRangeKey();
+        const units = this.getUnits();
+        const exportedAt = Date.now();
+        const fileName = (extension) => getExportFileName(city.key, range, exportedAt, city.timezone, extension);
+        
+        if (target.dataset.action === 'csv') {
+            this.saveFile(fileName('csv'), 'text/csv', toCsv(this.currentView, rows, units));
+        } else if (target.dataset.action === 'json') {
+            this.saveFile(fileName('json'), 'application/json', toExportJson({
+                city,
+                range,
+                view: this.currentView,
+                units,
+                provider: this.getProvider(this.currentCity).id,
+                exportedAt,
+                rows
+            }));
+        }
+    }
+    
+    // Hands the content to the browser as a download
+    saveFile(fileName, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // ===========================
+    // Weather Alerts
+    // ===========================
+    getCityAlertRules() {
+        return this.alertRules[this.currentCity] || [];
+    }
+    
+    // Check the current city's rules against the data on screen
+    evaluateAlerts() {
+        const cityKey = this.currentCity;
+        const rules = this.getCityAlertRules();
+        
+        this.activeAlerts = this.weatherData && this.weatherDataCity === cityKey
+            ? evaluateAlertRules(rules, this.weatherData.hourly, this.getUnits())
+            : [];
+        
+        // A dismissed alert that has cleared may fire again later
+        const firing = new Set(this.activeAlerts.map(alert => `${cityKey}:${alert.rule.id}`));
+        this.dismissedAlerts.forEach(id => {
+            if (id.startsWith(`${cityKey}:`) && !firing.has(id)) {
+                this.dismissedAlerts.delete(id);
+            }
+        });
+        
+        this.renderAlertBanner();
+        if (this.isAlertsOpen) {
+            this.renderAlertsPanel();
+        }
+    }
+    
+    describeAlert(alert) {
+        const units = this.getUnits();
+        const metric = ALERT_METRICS[alert.rule.metric];
+        const time = this.formatCityTime(alert.time, { hour: '2-digit', minute: '2-digit', hour12: false });
+        const value = this.formatValue(Math.round(alert.value * 10) / 10, metric.unit === 'temperature'
+            ? units.temperature
+            : ` ${units[metric.unit]}`);
+        
+        return translate('alerts.forecast', { rule: describeAlertRule(alert.rule, units), time, value });
+    }
+    
+    renderAlertBanner() {
+        const pending = this.activeAlerts.filter(alert => !this.dismissedAlerts.has(`${this.currentCity}:${alert.rule.id}`));
+        const banner = document.getElementById('alertBanner');
+        const badge = document.getElementById('alertsBadge');
+        
+        badge.textContent = this.activeAlerts.length;
+        badge.classList.toggle('active', this.activeAlerts.length > 0);
+        
+        if (pending.length === 0) {
+            // Don't strand focus on the dismiss button as it disappears
+            const hadFocus = banner.contains(this.focusEngine.current);
+            banner.classList.remove('active');
+            if (hadFocus) {
+                this.focusOnElement(document.getElementById('alertsBtn'));
+            }
+            return;
+        }
+        
+        const more = pending.length > 1 ? translate('alerts.more', { n: pending.length - 1 }) : '';
+        document.getElementById('alertText').textContent =
+            `${localizeCityName(this.cities[this.currentCity])}: ${this.describeAlert(pending[0])}${more}`;
+        banner.classList.add('active');
+    }
+    
+    dismissAlerts() {
+        this.activeAlerts.forEach(alert => this.dismissedAlerts.add(`${this.currentCity}:${alert.rule.id}`));
+        this.renderAlertBanner();
+    }
+    
+    openAlertsPanel() {
+        this.isAlertsOpen = true;
+        this.renderAlertsPanel();
+        document.getElementById('alertsPanel').classList.add('active');
+        this.focusOnElement(document.querySelector('#alertPresets .alert-preset'));
+    }
+    
+    closeAlertsPanel() {
+        this.isAlertsOpen = false;
+        document.getElementById('alertsPanel').classList.remove('active');
+        this.focusOnElement(document.getElementById('alertsBtn'));
+    }
+    
+    renderAlertsPanel() {
+        const units = this.getUnits();
+        const focused = this.focusEngine.current;
+        const focusedRule = focused && focused.closest('.alert-rule');
+        const focusedKey = focusedRule ? [focusedRule.dataset.rule, focused.dataset.action] : null;
+        const focusedPreset = focused && focused.classList.contains('alert-preset') ? focused.dataset.preset : null;
+        
+        document.getElementById('alertsTitle').textContent =
+            translate('alerts.titleCity', { city: localizeCityName(this.cities[this.currentCity]) });
+        
+        // Currently firing
+        const active = document.getElementById('alertsActive');
+        active.innerHTML = '';
+        if (this.activeAlerts.length === 0) {
+            active.innerHTML = `<div class="alert-empty">${translate('alerts.noneActive')}</div>`;
+        }
+        this.activeAlerts.forEach(alert => {
+            const item = document.createElement('div');
+            item.className = 'alert-active-item';
+            item.innerHTML = '<i class="fas fa-exclamation-triangle"></i><span></span>';
+            item.querySelector('span').textContent = this.describeAlert(alert);
+            active.appendChild(item);
+        });
+        
+        // Rules with their adjust / delete buttons
+        const rules = document.getElementById('alertRules');
+        rules.innerHTML = '';
+        if (this.getCityAlertRules().length === 0) {
+            rules.innerHTML = `<div class="alert-empty">${translate('alerts.noRules')}</div>`;
+        }
+        this.getCityAlertRules().forEach(rule => {
+            const row = document.createElement('div');
+            row.className = 'alert-rule';
+            row.dataset.rule = rule.id;
+            row.innerHTML = `
+                <span class="alert-rule-text"></span>
+                <span class="alert-rule-control">
+                    ${translate('alerts.threshold')}
+                    <button class="city-action-btn focusable" data-action="thresholdDown"><i class="fas fa-minus"></i></button>
+                    <button class="city-action-btn focusable" data-action="thresholdUp"><i class="fas fa-plus"></i></button>
+                </span>
+                <span class="alert-rule-control">
+                    ${translate('alerts.hours')}
+                    <button class="city-action-btn focusable" data-action="hoursDown"><i class="fas fa-minus"></i></button>
+                    <button class="city-action-btn focusable" data-action="hoursUp"><i class="fas fa-plus"></i></button>
+                </span>
+                <button class="city-action-btn focusable" data-action="toggleComparison"><i class="fas fa-exchange-alt"></i></button>
+                <button class="city-action-btn focusable" data-action="delete"><i class="fas fa-trash"></i></button>
+            `;
+            row.querySelector('.alert-rule-text').textContent = describeAlertRule(rule, units);
+            rules.appendChild(row);
+        });
+        
+        // Presets to add
+        const presets = document.getElementById('alertPresets');
+        presets.innerHTML = '';
+        ALERT_PRESETS.forEach((preset, index) => {
+            const button = document.createElement('button');
+            button.className = 'alert-preset focusable';
+            button.dataset.action = 'add';
+            button.dataset.preset = index;
+            button.innerHTML = `<i class="fas ${preset.icon}"></i><span></span>`;
+            button.querySelector('span').textContent = translate(preset.labelKey);
+            presets.appendChild(button);
+        });
+        
+        // Keep focus on the same button of the same rule after re-rendering
+        if (focusedKey) {
+            const [ruleId, action] = focusedKey;
+            const row = rules.querySelector(`.alert-rule[data-rule="${ruleId}"]`);
+            this.focusOnElement(row ? row.querySelector(`[data-action="${action}"]`) : rules.querySelector('.focusable'));
+        } else if (focusedPreset !== null) {
+            this.focusOnElement(presets.querySelector(`[data-preset="${focusedPreset}"]`));
+        }
+    }
+    
+    handleAlertsPanelClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        if (target.dataset.action === 'add') {
+            this.addAlertRule(ALERT_PRESETS[target.dataset.preset]);
+            return;
+        }
+        
+        const ruleId = target.closest('.alert-rule').dataset.rule;
+        const rule = this.getCityAlertRules().find(item => item.id === ruleId);
+        const step = ALERT_METRICS[rule.metric].step;
+        
+        switch (target.dataset.action) {
+            case 'thresholdDown':
+                this.updateAlertRule(ruleId, { threshold: rule.threshold - step });
+                break;
+            case 'thresholdUp':
+                this.updateAlertRule(ruleId, { threshold: rule.threshold + step });
+                break;
+            case 'hoursDown':
+                this.updateAlertRule(ruleId, { hours: Math.max(1, rule.hours - 1) });
+                break;
+            case 'hoursUp':
+                this.updateAlertRule(ruleId, { hours: Math.min(ALERT_MAX_HOURS, rule.hours + 1) });
+                break;
+            case 'toggleComparison':
+                this.updateAlertRule(ruleId, { comparison: rule.comparison === 'above' ? 'below' : 'above' });
+                break;
+            case 'delete':
+                this.removeAlertRule(ruleId);
+                break;
+        }
+    }
+    
+    addAlertRule(preset) {
+        const rule = {
+            id: `rule_${Date.now()}`,
+            metric: preset.metric,
+            comparison: preset.comparison,
+            threshold: preset.threshold,
+            hours: preset.hours
+        };
+        
+        this.alertRules[this.currentCity] = [...this.getCityAlertRules(), rule];
+        this.saveAlertRules();
+        this.evaluateAlerts();
+        
+        // Focus the new rule so it can be adjusted straight away
+        this.focusOnElement(document.querySelector(`.alert-rule[data-rule="${rule.id}"] [data-action="thresholdUp"]`));
+    }
+    
+    updateAlertRule(ruleId, changes) {
+        this.alertRules[this.currentCity] = this.getCityAlertRules().map(rule => {
+            if (rule.id !== ruleId) return rule;
+            
+            // Avoid float drift from repeated 0.5 steps
+            const updated = { ...rule, ...changes };
+            updated.threshold = Math.round(updated.threshold * 10) / 10;
+            return updated;
+        });
+        this.saveAlertRules();
+        this.evaluateAlerts();
+    }
+    
+    removeAlertRule(ruleId) {
+        const rules = this.getCityAlertRules();
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        
+        this.alertRules[this.currentCity] = rules.filter(rule => rule.id !== ruleId);
+        this.saveAlertRules();
+        this.evaluateAlerts();
+        
+        // Focus the delete button that took the removed row's place
+        const rows = document.querySelectorAll('.alert-rule');
+        const nextRow = rows[Math.min(index, rows.length - 1)];
+        this.focusOnElement(nextRow
+            ? nextRow.querySelector('[data-action="delete"]')
+            : document.querySelector('#alertPresets .alert-preset'));
+    }
+    
+    // ===========================
+    // Weather Provider
+    // ===========================
+    getProvider(cityKey) {
+        const provider = this.providers[this.cityProviders[cityKey]];
+        if (provider && provider.supports(this.cities[cityKey])) {
+            return provider;
+        }
+        return this.providers.openMeteo;
+    }
+    
+    cycleProvider() {
+        const city = this.cities[this.currentCity];
+        const available = Object.values(this.providers).filter(provider => provider.supports(city));
+        const index = available.indexOf(this.getProvider(this.currentCity));
+        const next = available[(index + 1) % available.length];
+        
+        this.cityProviders[this.currentCity] = next.id;
+        this.saveCityProviders();
+        this.updateProviderButton();
+        
+        // Force a fresh render for the new source
+        this.weatherDataCity = null;
+        this.dailyDataCity = null;
+        this.loadWeatherData();
+    }
+    
+    updateProviderButton() {
+        document.getElementById('providerName').textContent = translate(`provider.${this.getProvider(this.currentCity).id}`);
+    }
+    
+    // ===========================
+    // Units
+    // ===========================
+    getUnits() {
+        return UNIT_SYSTEMS[this.preferences.get('units')];
+    }
+    
+    cycleUnits() {
+        const ids = Object.keys(UNIT_SYSTEMS);
+        this.setPreference('units', ids[(ids.indexOf(this.preferences.get('units')) + 1) % ids.length]);
+    }
+    
+    updateUnitButton() {
+        document.getElementById('unitName').textContent = this.getUnits().name;
+    }
+    
+    // ===========================
+    // Settings
+    // ===========================
+    openSettings() {
+        this.closeDropdown();
+        this.isSettingsOpen = true;
+        this.isResetPending = false;
+        this.renderSettings();
+        document.getElementById('settingsPanel').classList.add('active');
+        const firstRow = this.isKiosk ? 'defaultTimeRange' : 'defaultCity';
+        this.focusOnElement(document.querySelector(`#settingsPanel [data-pref="${firstRow}"][data-step="1"]`));
+    }
+    
+    closeSettings() {
+        this.isSettingsOpen = false;
+        document.getElementById('settingsPanel').classList.remove('active');
+        this.focusOnElement(document.getElementById('settingsBtn'));
+    }
+    
+    renderSettings() {
+        const values = {
+            prefCityValue: 'defaultCity',
+            prefRangeValue: 'defaultTimeRange',
+            prefRefreshValue: 'refreshMinutes',
+            prefUnitsValue: 'units',
+            prefLanguageValue: 'language',
+            prefThemeValue: 'theme',
+            prefUmbrellaStartValue: 'umbrellaStartHour',
+            prefUmbrellaEndValue: 'umbrellaEndHour'
+        };
+        Object.entries(values).forEach(([id, key]) => {
+            document.getElementById(id).textContent = this.formatPreference(key);
+        });
+        
+        document.getElementById('resetPreferencesLabel').textContent =
+            translate(this.isResetPending ? 'settings.resetConfirm' : 'settings.reset');
+    }
+    
+    formatPreference(key) {
+        const value = this.preferences.get(key);
+        switch (key) {
+            case 'defaultCity':
+                return value && this.cities[value] ? localizeCityName(this.cities[value]) : translate('settings.lastCity');
+            case 'defaultTimeRange':
+                return translate(TIME_RANGES[value].labelKey);
+            case 'refreshMinutes':
+                return translate('common.minutes', { n: value });
+            case 'units':
+                return UNIT_SYSTEMS[value].name;
+            case 'language':
+                return LANGUAGES[value];
+            case 'theme':
+                return translate(THEMES[value]);
+            case 'umbrellaStartHour':
+            case 'umbrellaEndHour':
+                return `${value}:00`;
+        }
+    }
+    
+    getPreferenceOptions(key) {
+        switch (key) {
+            case 'defaultCity':
+                return [null, ...this.favoriteCities.map(city => city.key)];
+            case 'defaultTimeRange':
+                return Object.keys(TIME_RANGES);
+            case 'refreshMinutes':
+                return REFRESH_INTERVAL_OPTIONS;
+            case 'units':
+                return Object.keys(UNIT_SYSTEMS);
+            case 'language':
+                return Object.keys(LANGUAGES);
+            case 'theme':
+                return Object.keys(THEMES);
+            // The window never ends before it starts
+            case 'umbrellaStartHour':
+                return UMBRELLA_HOUR_OPTIONS.filter(hour => hour < this.preferences.get('umbrellaEndHour'));
+            case 'umbrellaEndHour':
+                return UMBRELLA_HOUR_OPTIONS.filter(hour => hour > this.preferences.get('umbrellaStartHour'));
+        }
+    }
+    
+    handleSettingsClick(e) {
+        const target = e.target.closest('[data-pref], [data-action]');
+        if (!target) return;
+        
+        if (target.dataset.pref) {
+            const key = target.dataset.pref;
+            const options = this.getPreferenceOptions(key);
+            const index = options.indexOf(this.preferences.get(key));
+            const step = Number(target.dataset.step);
+            
+            // Lists wrap around; the refresh interval and hours stop at either end
+            const next = ['refreshMinutes', 'umbrellaStartHour', 'umbrellaEndHour'].includes(key)
+                ? Math.max(0, Math.min(index + step, options.length - 1))
+                : (index + step + options.length) % options.length;
+            
+            this.setPreference(key, options[next]);
+            this.isResetPending = false;
+        } else if (target.dataset.action === 'ambient') {
+            this.isSettingsOpen = false;
+            document.getElementById('settingsPanel').classList.remove('active');
+            this.openAmbientSettings();
+            return;
+        } else if (target.dataset.action === 'accuracy') {
+            this.isSettingsOpen = false;
+            document.getElementById('settingsPanel').classList.remove('active');
+            this.openAccuracyPanel();
+            return;
+        } else if (target.dataset.action === 'reset') {
+            // A second press confirms, so a stray click cannot wipe the settings
+            if (this.isResetPending) {
+                this.resetPreferences();
+            }
+            this.isResetPending = !this.isResetPending;
+        }
+        
+        this.renderSettings();
+    }
+    
+    setPreference(key, value) {
+        if (this.preferences.get(key) === value) return;
+        
+        this.preferences.set(key, value);
+        this.applyPreference(key);
+    }
+    
+    resetPreferences() {
+        const keys = Object.keys(PREFERENCE_DEFAULTS);
+        const previous = Object.fromEntries(keys.map(key => [key, this.preferences.get(key)]));
+        this.preferences.reset();
+        
+        keys.filter(key => previous[key] !== this.preferences.get(key))
+            .forEach(key => this.applyPreference(key));
+        this.updateUrl();
+    }
+    
+    // Makes a changed preference take effect without a reload. The default
+    // city and range only matter at startup.
+    applyPreference(key) {
+        const value = this.preferences.get(key);
+        switch (key) {
+            case 'units':
+                this.updateUnitButton();
+                this.updateUrl();
+                
+                // Values are converted by the API, so refetch in the new units
+                this.weatherDataCity = null;
+                this.dailyDataCity = null;
+                this.loadWeatherData();
+                break;
+            case 'refreshMinutes':
+                this.refresher.setInterval(value * 60 * 1000);
+                break;
+            case 'language':
+                setLanguage(value);
+                this.updateLanguage();
+                this.updateUrl();
+                break;
+            case 'theme':
+                document.documentElement.dataset.theme = value;
+                break;
+            case 'umbrellaStartHour':
+            case 'umbrellaEndHour':
+                this.updateUmbrella();
+                break;
+        }
+    }
+    
+    // Re-render everything that shows translated text
+    updateLanguage() {
+        translatePage();
+        this.renderCityDropdown();
+        this.setCityEditing(this.isEditingCities);
+        this.keyboard.render();
+        this.renderLayerPicker();
+        this.updateSelectedCity();
+        this.updateProviderButton();
+        this.renderAlertBanner();
+        this.renderConfigErrors();
+        
+        if (this.weatherData) {
+            this.updateCurrentWeather(this.weatherData);
+            this.drawChart();
+            this.updateLastUpdateTime(this.weatherDataSavedAt);
+        }
+        if (this.currentView === 'daily') {
+            this.renderDaily();
+        }
+        if (document.getElementById('staleBanner').classList.contains('active')) {
+            this.showStaleBanner(this.weatherDataSavedAt);
+        }
+        if (this.isSettingsOpen) {
+            this.renderSettings();
+        }
+        if (this.isAccuracyOpen) {
+            this.renderAccuracyPanel();
+        }
+        if (this.isExportOpen) {
+            this.renderExportPanel();
+        }
+    }
+    
+    // ===========================
+    // Local Storage
+    // ===========================
+    saveFavoriteCities() {
+        try {
+            localStorage.setItem('appleTV_favoriteCities', JSON.stringify(this.favoriteCities));
+        } catch (e) {
+            console.warn('Could not save favorite cities to localStorage:', e);
+        }
+    }
+    
+    loadFavoriteCities() {
+        try {
+            const cities = JSON.parse(localStorage.getItem('appleTV_favoriteCities'));
+            if (!Array.isArray(cities) || cities.length === 0) return null;
+            
+            // Built-in cities saved before they had localized names
+            return cities.map(city => {
+                const builtIn = DEFAULT_CITIES.find(item => item.key === city.key);
+                return builtIn && !city.names ? { ...city, names: builtIn.names } : city;
+            });
+        } catch (e) {
+            console.warn('Could not load favorite cities from localStorage:', e);
+            return null;
+        }
+    }
+    
+    saveCityProviders() {
+        try {
+            localStorage.setItem('appleTV_cityProviders', JSON.stringify(this.cityProviders));
+        } catch (e) {
+            console.warn('Could not save providers to localStorage:', e);
+        }
+    }
+    
+    loadCityProviders() {
+        try {
+            return JSON.parse(localStorage.getItem('appleTV_cityProviders')) || {};
+        } catch (e) {
+            console.warn('Could not load providers from localStorage:', e);
+            return {};
+        }
+    }
+    
+    saveAmbientSettings() {
+        try {
+            localStorage.setItem('appleTV_ambientSettings', JSON.stringify(this.ambientSettings));
+        } catch (e) {
+            console.warn('Could not save screensaver settings to localStorage:', e);
+        }
+    }
+    
+    loadAmbientSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('appleTV_ambientSettings'));
+            return { ...AMBIENT_DEFAULTS, ...settings };
+        } catch (e) {
+            console.warn('Could not load screensaver settings from localStorage:', e);
+            return { ...AMBIENT_DEFAULTS };
+        }
+    }
+    
+    saveAlertRules() {
+        try {
+            localStorage.setItem('appleTV_alertRules', JSON.stringify(this.alertRules));
+        } catch (e) {
+            console.warn('Could not save alert rules to localStorage:', e);
+        }
+    }
+    
+    loadAlertRules() {
+        try {
+            return JSON.parse(localStorage.getItem('appleTV_alertRules')) || {};
+        } catch (e) {
+            console.warn('Could not load alert rules from localStorage:', e);
+            return {};
+        }
+    }
+    
+    // kind: 'weather' (hourly) or 'daily'
+    saveWeatherCache(cityKey, data, kind = 'weather') {
+        try {
+            const entry = { savedAt: Date.now(), data };
+            localStorage.setItem(`appleTV_${kind}Cache_${cityKey}`, JSON.stringify(entry));
+            return entry;
+        } catch (e) {
+            console.warn('Could not save weather cache to localStorage:', e);
+            return null;
+        }
+    }
+    
+    loadWeatherCache(cityKey, providerId, kind = 'weather') {
+        try {
+            const raw = localStorage.getItem(`appleTV_${kind}Cache_${cityKey}`);
+            const entry = raw ? JSON.parse(raw) : null;
+            
+            // Only reuse data normalized by the same provider in the current units
+            return entry && entry.data.provider === providerId && entry.data.units === this.preferences.get('units') ? entry : null;
+        } catch (e) {
+            console.warn('Could not load weather cache from localStorage:', e);
+            return null;
+        }
+    }
+    
+    removeWeatherCache(cityKey) {
+        try {
+            localStorage.removeItem(`appleTV_weatherCache_${cityKey}`);
+            localStorage.removeItem(`appleTV_dailyCache_${cityKey}`);
+        } catch (e) {
+            console.warn('Could not remove weather cache from localStorage:', e);
+        }
+    }
+    
+    // Normals take 30 years of daily data to compute, so they are kept per place
+    saveNormals(cityKey, normals) {
+        const city = this.cities[cityKey];
+        try {
+            localStorage.setItem(`appleTV_normals_${cityKey}`, JSON.stringify({ lat: city.lat, lon: city.lon, normals }));
+        } catch (e) {
+            console.warn('Could not save climate normals to localStorage:', e);
+        }
+    }
+    
+    loadSavedNormals(cityKey) {
+        const city = this.cities[cityKey];
+        try {
+            const entry = JSON.parse(localStorage.getItem(`appleTV_normals_${cityKey}`));
+            
+            // A custom city key may be reused for another place
+            return entry && entry.lat === city.lat && entry.lon === city.lon ? entry.normals : null;
+        } catch (e) {
+            console.warn('Could not load climate normals from localStorage:', e);
+            return null;
+        }
+    }
+    
+    removeSavedNormals(cityKey) {
+        try {
+            localStorage.removeItem(`appleTV_normals_${cityKey}`);
+        } catch (e) {
+            console.warn('Could not remove climate normals from localStorage:', e);
+        }
+    }
+    
+    // Data in memory is reused while its *City key matches; unmark what belongs to cityKey
+    forgetLoadedData(cityKey) {
+        ['weatherDataCity', 'dailyDataCity', 'sunTimesCity', 'lastYearCity', 'normalsCity', 'modelForecastCity'].forEach(name => {
+            if (this[name] === cityKey) {
+                this[name] = null;
+            }
+        });
+    }
+    
+    saveChartLayers() {
+        try {
+            localStorage.setItem('appleTV_chartLayers', JSON.stringify(this.chartLayers));
+        } catch (e) {
+            console.warn('Could not save chart layers to localStorage:', e);
+        }
+    }
+    
+    loadChartLayers() {
+        try {
+            const layers = JSON.parse(localStorage.getItem('appleTV_chartLayers'));
+            return Array.isArray(layers) ? layers.filter(layer => CHART_LAYERS[layer]) : [];
+        } catch (e) {
+            console.warn('Could not load chart layers from localStorage:', e);
+            return [];
+        }
+    }
+    
+    // ===========================
+    // Chart Layers
+    // ===========================
+    renderLayerPicker() {
+        const picker = document.getElementById('layerPicker');
+        picker.innerHTML = '';
+        
+        Object.entries(CHART_LAYERS).forEach(([layerId, layer]) => {
+            const toggle = document.createElement('button');
+            toggle.className = 'layer-toggle focusable';
+            toggle.classList.toggle('active', this.chartLayers.includes(layerId));
+            toggle.dataset.layer = layerId;
+            toggle.innerHTML = `
+                <span class="layer-swatch" style="background: ${layer.color}"></span>
+                <i class="fas ${layer.icon}"></i>
+                ${translate(layer.labelKey)}
+            `;
+            picker.appendChild(toggle);
+        });
+    }
+    
+    toggleChartLayer(layerId) {
+        const enabled = !this.chartLayers.includes(layerId);
+        this.chartLayers = enabled
+            ? [...this.chartLayers, layerId]
+            : this.chartLayers.filter(layer => layer !== layerId);
+        this.saveChartLayers();
+        
+        document.querySelector(`.layer-toggle[data-layer="${layerId}"]`).classList.toggle('active', enabled);
+        
+        // Layers are only requested while enabled, so a new one needs a fetch
+        if (enabled) {
+            this.loadWeatherData();
+        } else if (this.weatherData) {
+            this.drawChart();
+        }
+    }
+    
+    // ===========================
+    // Time Range
+    // ===========================
+    setTimeRange(hours) {
+        this.currentTimeRange = hours;
+        this.setView('hourly');
+        
+        // Redraw chart if data exists
+        if (this.weatherData) {
+            this.drawChart();
+        }
+    }
+    
+    setDailyRange(days) {
+        this.currentDailyRange = days;
+        this.setView('daily');
+        
+        // Both ranges come from the same 16-day response
+        if (this.dailyDataCity === this.currentCity) {
+            this.renderDaily();
+        } else {
+            this.loadDailyData();
+        }
+    }
+    
+    setView(view) {
+        this.currentView = view;
+        
+        // Update button states
+        const isHourly = view === 'hourly';
+        document.getElementById('range24h').classList.toggle('active', isHourly && this.currentTimeRange === 24);
+        document.getElementById('range48h').classList.toggle('active', isHourly && this.currentTimeRange === 48);
+        document.getElementById('range7d').classList.toggle('active', !isHourly && this.currentDailyRange === 7);
+        document.getElementById('range16d').classList.toggle('active', !isHourly && this.currentDailyRange === 16);
+        
+        document.getElementById('hourlySection').classList.toggle('hidden', !isHourly);
+        document.getElementById('dailySection').classList.toggle('hidden', isHourly);
+        
+        this.updateUrl();
+    }
+    
+    // ===========================
+    // config.json
+    // ===========================
+    applyConfigPanels() {
+        const panels = this.config.panels || {};
+        Object.entries(CONFIG_PANELS).forEach(([panel, ids]) => {
+            ids.forEach(id => {
+                document.getElementById(id).classList.toggle('config-hidden', panels[panel] === false);
+            });
+        });
+        
+        // Cities from config.json cannot be edited on screen; a note says why
+        document.getElementById('cityEditActions').classList.toggle('config-hidden', Boolean(this.config.cities));
+        document.getElementById('cityConfigNote').classList.toggle('config-hidden', !this.config.cities);
+    }
+    
+    // Stays on screen until config.json is fixed, so a wrong setting is noticed
+    renderConfigErrors() {
+        const list = document.getElementById('configErrorsList');
+        list.innerHTML = '';
+        this.configErrors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = translate(error.key, error.params);
+            list.appendChild(item);
+        });
+        document.getElementById('configErrors').classList.toggle('active', this.configErrors.length > 0);
+    }
+    
+    // ===========================
+    // Page Address
+    // ===========================
+    // The city and range on screen for a link; a linked place goes by its coordinates
+    getLinkState() {
+        const city = this.cities[this.currentCity];
+        return {
+            city: this.currentCity,
+            place: city === this.linkedPlace ? city : null,
+            range: this.getCurrentRangeKey()
+        };
+    }
+    
+    // Keeps the address bookmarkable. Language and units stay in it only while
+    // they override the settings.
+    updateUrl() {
+        const url = buildAppUrl(window.location.href, {
+            ...this.getLinkState(),
+            language: this.preferences.isOverridden('language') ? this.preferences.get('language') : null,
+            units: this.preferences.isOverridden('units') ? this.preferences.get('units') : null,
+            kiosk: this.isKiosk
+        });
+        
+        try {
+            window.history.replaceState(window.history.state, '', url);
+        } catch (e) {
+            console.warn('Could not update the page address:', e);
+        }
+    }
+    
+    // Kiosk mode (kiosk=1): a display that always shows one city, so the
+    // city controls are disabled, the city settings hidden (.kiosk-locked)
+    // and the remote help is hidden
+    applyKioskMode() {
+        if (!this.isKiosk) return;
+        
+        document.body.classList.add('kiosk');
+        ['citySelector', 'mapBtn'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+        document.querySelectorAll('.kiosk-locked .focusable').forEach(element => {
+            element.disabled = true;
+        });
+    }
+    
+    // ===========================
+    // Weather Data
+    // ===========================
+    // Reload the current city now, aborting any request still in flight
+    loadWeatherData() {
+        return this.refresher.refreshNow();
+    }
+    
+    // Refresh task run by this.refresher; rejects when the request failed
+    async fetchWeatherData(signal) {
+        const cityKey = this.currentCity;
+        const city = this.cities[cityKey];
+        const provider = this.getProvider(cityKey);
+        
+        if (this.currentView === 'daily') {
+            this.loadDailyData();
+        }
+        
+        // Show the last successful forecast right away instead of a blank screen
+        if (this.weatherDataCity !== cityKey) {
+            const cached = this.loadWeatherCache(cityKey, provider.id);
+            if (cached) {
+                this.adoptTimeZone(cityKey, cached.data);
+                this.renderWeather(cached.data, cached.savedAt);
+            }
+        }
+        
+        const hasData = this.weatherDataCity === cityKey;
+        this.showLoading(!hasData);
+        this.hideError();
+        
+        // Sunrise / sunset and the models load alongside; the chart is drawn once
+        // they are in. The normals start too, but the forecast does not wait for them.
+        const sunRequest = this.loadSunTimes(cityKey, signal);
+        const normalsRequest = this.loadNormals(cityKey, signal);
+        const modelsRequest = this.loadModels(cityKey, signal);
+        
+        let data;
+        try {
+            // Fetch hourly weather data (past 24h + future 24h/48h)
+            data = await provider.fetchHourly(city, {
+                pastHours: 24,
+                // Always the longest range: switching to 48 h needs no new
+                // request, and the accuracy tracker gets 48 h lead times
+                forecastHours: ACCURACY_FORECAST_HOURS,
+                units: this.getUnits(),
+                layers: this.chartLayers.filter(layerId => !CHART_LAYERS[layerId].source),
+                signal
+            });
+            await Promise.all([sunRequest, modelsRequest]);
+            if (signal.aborted) return;
+            this.adoptTimeZone(cityKey, data);
+            const entry = this.saveWeatherCache(cityKey, data);
+            this.recordForecast(cityKey, data);
+            
+            this.renderWeather(data, entry ? entry.savedAt : Date.now());
+            this.hideStaleBanner();
+            this.showLoading(false);
+        
+        } catch (error) {
+            // A newer load took over; leave the screen to it
+            if (signal.aborted) return;
+            
+            console.error('Error loading weather data:', error);
+            this.showLoading(false);
+            
+            if (this.weatherDataCity === cityKey) {
+                // Keep the previous data on screen and flag it as stale
+                this.showStaleBanner(this.weatherDataSavedAt);
+            } else {
+                this.hideStaleBanner();
+                this.showError(translate('error.weather'));
+            }
+            throw error;
+        }
+        
+        this.addArchiveData(cityKey, [normalsRequest, this.loadLastYear(cityKey, data.hourly.time, signal)], signal);
+    }
+    
+    // A place linked without tz= is asked for with timezone=auto; the zone of
+    // the answer is kept on the city before anything is shown in local time,
+    // and written into the address so a bookmark has it
+    adoptTimeZone(cityKey, data) {
+        const city = this.cities[cityKey];
+        if (city.timezone || !data.timezone || !isTimeZone(data.timezone)) return;
+        
+        city.timezone = data.timezone;
+        if (city === this.linkedPlace) {
+            this.updateUrl();
+        }
+    }
+    
+    // The archive can be slow or down: its layers and the departure badge are
+    // added to the forecast on screen once the requests resolve to true (new data)
+    async addArchiveData(cityKey, requests, signal) {
+        const loaded = await Promise.all(requests);
+        if (signal.aborted || this.weatherDataCity !== cityKey || !loaded.some(Boolean)) return;
+        
+        this.updateNormalBadge();
+        this.drawChart();
+    }
+    
+    // Only needed for the shading and the day length, so a failure is not an error.
+    // Reused while it still covers the whole forecast.
+    async loadSunTimes(cityKey, signal) {
+        const sun = this.sunTimesCity === cityKey ? this.sunTimes : null;
+        if (sun && sun.time[sun.time.length - 1] + DAY_MS >= Date.now() + 48 * HOUR_MS) return;
+        
+        try {
+            const sunTimes = await this.providers.openMeteo.fetchSunTimes(this.cities[cityKey], { days: 3, signal });
+            if (signal.aborted) return;
+            this.sunTimes = sunTimes;
+            this.sunTimesCity = cityKey;
+        } catch (error) {
+            if (signal.aborted) return;
+            console.warn('Could not load sunrise / sunset:', error);
+        }
+    }
+    
+    getSunTimes() {
+        return this.sunTimesCity === this.currentCity ? this.sunTimes : null;
+    }
+    
+    // Needed for the badge, so loaded whether or not the normals layer is on.
+    // Like the sun times, a failure only leaves them out. True when new normals
+    // were set, as for loadLastYear.
+    async loadNormals(cityKey, signal) {
+        if (this.normalsCity === cityKey) return;
+        
+        const saved = this.loadSavedNormals(cityKey);
+        if (saved) {
+            this.normals = saved;
+            this.normalsCity = cityKey;
+            return true;
+        }
+        
+        try {
+            const normals = await this.archive.fetchNormals(this.cities[cityKey], { signal });
+            if (signal.aborted) return;
+            this.normals = normals;
+            this.normalsCity = cityKey;
+            this.saveNormals(cityKey, normals);
+            return true;
+        } catch (error) {
+            if (signal.aborted) return;
+            console.warn('Could not load climate normals:', error);
+        }
+    }
+    
+    // Only while the layer is on; reused while it covers the hours on the chart
+    async loadLastYear(cityKey, times, signal) {
+        if (!this.chartLayers.includes('lastYear')) return;
+        if (this.lastYearCity === cityKey && coversLastYear(this.lastYear, times)) return;
+        
+        try {
+            const lastYear = await this.archive.fetchLastYear(this.cities[cityKey], times, { signal });
+            if (signal.aborted) return;
+            this.lastYear = lastYear;
+            this.lastYearCity = cityKey;
+            return true;
+        } catch (error) {
+            if (signal.aborted) return;
+            console.warn('Could not load last year\'s temperatures:', error);
+        }
+    }
+    
+    getNormals() {
+        return this.normalsCity === this.currentCity ? this.normals : null;
+    }
+    
+    // Only while a model layer is on; models update with every run, so
+    // this is fetched again on every refresh
+    async loadModels(cityKey, signal) {
+        if (!this.chartLayers.some(layerId => CHART_LAYERS[layerId].source === 'models')) return;
+        
+        try {
+            const forecast = await this.providers.openMeteo.fetchModels(this.cities[cityKey], {
+                forecastHours: 48,
+                units: this.getUnits(),
+                models: Object.values(FORECAST_MODELS).map(model => model.apiModel),
+                signal
+            });
+            if (signal.aborted) return;
+            this.modelForecast = forecast;
+            this.modelForecastCity = cityKey;
+        } catch (error) {
+            if (signal.aborted) return;
+            console.warn('Could not load the model comparison:', error);
+        }
+    }
+    
+    // Lined up with the hourly data, or null (another city or unit system)
+    getAlignedModels(hourly) {
+        const forecast = this.modelForecast;
+        if (this.modelForecastCity !== this.currentCity || !forecast || forecast.units !== this.getUnits().id) return null;
+        return alignModels(forecast, hourly.time);
+    }
+    
+    // Model layers in the same shape as hourly.layers
+    getModelLayers(aligned) {
+        if (!aligned || Object.keys(aligned).length === 0) return {};
+        
+        return {
+            modelSpread: getModelSpread(aligned, 'temperature'),
+            modelLines: Object.entries(aligned).map(([modelId, series]) => ({
+                labelKey: FORECAST_MODELS[modelId].labelKey,
+                color: FORECAST_MODELS[modelId].color,
+                values: series.temperature
+            }))
+        };
+    }
+    
+    // Names the models on the chart and the rain disagreement shading
+    renderModelLegend(aligned, hasDisagreement) {
+        const legend = document.getElementById('modelLegend');
+        legend.innerHTML = '';
+        
+        const addItem = (className, color, label) => {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+            item.innerHTML = `<span class="legend-color ${className}"></span><span></span>`;
+            if (color) {
+                item.querySelector('.legend-color').style.background = color;
+            }
+            item.querySelector('span:last-child').textContent = label;
+            legend.appendChild(item);
+        };
+        
+        if (aligned && this.chartLayers.includes('modelLines')) {
+            Object.keys(aligned).forEach(modelId => {
+                addItem('model', FORECAST_MODELS[modelId].color, translate(FORECAST_MODELS[modelId].labelKey));
+            });
+        }
+        if (hasDisagreement) {
+            addItem('rain-disagreement', null, translate('chart.rainDisagreement'));
         }
     }
     
-    loadSavedCity() {
-        try {
-            return localStorage.getItem('appleTV_selectedCity');
-        } catch (e) {
-            console.warn('Could not load city from localStorage:', e);
-            return null;
+    // Archive layers in the same shape as hourly.layers, in display units.
+    // normals is { max, min } for the band.
+    getHistoryLayers(hourly) {
+        const units = this.getUnits();
+        const timeZone = this.cities[this.currentCity].timezone;
+        const toUnits = (values) => values.map(value => convertTemperature(value, units));
+        const layers = {};
+        
+        if (this.lastYearCity === this.currentCity) {
+            layers.lastYear = toUnits(alignLastYear(this.lastYear, hourly.time));
+        }
+        
+        const normals = this.getNormals();
+        if (normals) {
+            layers.normals = {
+                max: toUnits(getNormalsAt(normals, 'max', hourly.time, timeZone)),
+                min: toUnits(getNormalsAt(normals, 'min', hourly.time, timeZone))
+            };
         }
+        return layers;
     }
     
-    // ===========================
-    // Time Range
-    // ===========================
-    setTimeRange(hours) {
-        this.currentTimeRange = hours;
+    renderWeather(data, savedAt) {
+        this.weatherData = data;
+        this.weatherDataCity = this.currentCity;
+        this.weatherDataSavedAt = savedAt;
         
-        // Update button states
-        document.getElementById('range24h').classList.toggle('active', hours === 24);
-        document.getElementById('range48h').classList.toggle('active', hours === 48);
+        // Update current weather
+        this.updateCurrentWeather(data);
         
-        // Redraw chart if data exists
-        if (this.weatherData) {
-            this.drawChart();
-        }
+        // Draw chart
+        this.drawChart();
+        
+        // Check alert rules against the new data
+        this.evaluateAlerts();
+        
+        // Update last update time
+        this.updateLastUpdateTime(savedAt);
     }
     
-    // ===========================
-    // Weather Data
-    // ===========================
-    async loadWeatherData() {
-        const city = this.cities[this.currentCity];
+    async loadDailyData() {
+        const cityKey = this.currentCity;
+        const city = this.cities[cityKey];
+        const provider = this.getProvider(cityKey);
         
-        this.showLoading(true);
-        this.hideError();
+        if (this.dailyDataCity !== cityKey) {
+            const cached = this.loadWeatherCache(cityKey, provider.id, 'daily');
+            if (cached) {
+                this.dailyData = cached.data;
+                this.dailyDataCity = cityKey;
+            }
+            this.renderDaily();
+        }
+        
+        // Only the latest daily request may render
+        if (this.dailyRequest) {
+            this.dailyRequest.abort();
+        }
+        const request = new AbortController();
+        this.dailyRequest = request;
         
         try {
-            // Fetch hourly weather data (past 24h + future 48h)
-            const response = await fetch(
-                `https://api.open-meteo.com/v1/forecast?` +
-                `latitude=${city.lat}&longitude=${city.lon}` +
-                `&hourly=temperature_2m,precipitation,relative_humidity_2m,wind_speed_10m,weather_code` +
-                `&past_hours=24&forecast_hours=${this.currentTimeRange}` +
-                `&timezone=Asia/Tokyo`
-            );
+            // Always fetch the longest range so switching 7 ⇄ 16 days is instant
+            const data = await provider.fetchDaily(city, { days: 16, units: this.getUnits(), signal: request.signal });
+            if (request.signal.aborted) return;
+            this.saveWeatherCache(cityKey, data, 'daily');
             
-            if (!response.ok) {
-                throw new Error('Weather API request failed');
-            }
-            
-            const data = await response.json();
-            this.weatherData = data;
+            // The user may have switched city while the request was in flight
+            if (this.currentCity !== cityKey) return;
             
-            // Update current weather
-            this.updateCurrentWeather(data);
-            
-            // Draw chart
-            this.drawChart();
+            this.dailyData = data;
+            this.dailyDataCity = cityKey;
+            this.renderDaily();
+        } catch (error) {
+            if (request.signal.aborted) return;
+            console.error('Error loading daily data:', error);
             
-            // Update last update time
-            this.updateLastUpdateTime();
+            if (this.currentCity === cityKey && this.dailyDataCity !== cityKey) {
+                this.dailyData = null;
+                this.dailyDataCity = cityKey;
+                this.renderDaily();
+            }
+        }
+    }
+    
+    // Days from today onwards, limited to the selected range
+    getDailyDays() {
+        if (!this.dailyData || this.dailyDataCity !== this.currentCity) return [];
+        
+        const daily = this.dailyData.daily;
+        const todayIndex = getCurrentIndex(daily.time);
+        
+        return daily.time.slice(todayIndex, todayIndex + this.currentDailyRange).map((time, i) => {
+            const index = todayIndex + i;
+            return {
+                time,
+                temperatureMax: daily.temperatureMax[index],
+                temperatureMin: daily.temperatureMin[index],
+                precipitationSum: daily.precipitationSum[index],
+                precipitationProbabilityMax: daily.precipitationProbabilityMax[index],
+                weatherCode: daily.weatherCode[index]
+            };
+        });
+    }
+    
+    renderDaily() {
+        const days = this.getDailyDays();
+        const container = document.getElementById('dayCards');
+        
+        // Keep focus on the same card across refreshes
+        const focused = this.focusEngine.current;
+        const focusedIndex = focused && container.contains(focused) ? Number(focused.dataset.index) : null;
+        
+        container.innerHTML = '';
+        
+        if (days.length === 0) {
+            const message = translate(this.dailyDataCity === this.currentCity ? 'daily.error' : 'common.loading');
+            container.innerHTML = `<div class="day-card-empty">${message}</div>`;
+        }
+        
+        const units = this.getUnits();
+        const format = (value, unit) => value === null || value === undefined ? `--${unit}` : `${Math.round(value)}${unit}`;
+        
+        days.forEach((day, index) => {
+            const card = document.createElement('div');
+            card.className = 'day-card focusable';
+            card.tabIndex = 0;
+            card.dataset.index = index;
             
-            this.showLoading(false);
+            const weekday = this.formatCityTime(day.time, { weekday: 'short' });
+            const weekdayClass = { 0: ' sunday', 6: ' saturday' }[this.getCityWeekday(day.time)] || '';
+            const precip = day.precipitationSum === null || day.precipitationSum === undefined
+                ? ''
+                : ` / ${day.precipitationSum.toFixed(units.precipitationDigits)} ${units.precipitation}`;
             
-        } catch (error) {
-            console.error('Error loading weather data:', error);
-            this.showError('天気データの取得に失敗しました。<br>インターネット接続を確認してください。');
-            this.showLoading(false);
+            card.innerHTML = `
+                <span class="day-card-date">${this.formatCityTime(day.time, { month: 'numeric', day: 'numeric' })}</span>
+                <span class="day-card-weekday${weekdayClass}">${index === 0 ? translate('daily.today') : weekday}</span>
+                <i class="${getWeatherIconClass(day.weatherCode)}"></i>
+                <span class="day-card-temps">
+                    <span class="day-card-max">${format(day.temperatureMax, '°')}</span>
+                    /
+                    <span class="day-card-min">${format(day.temperatureMin, '°')}</span>
+                </span>
+                <span class="day-card-precip"><i class="fas fa-umbrella"></i> ${format(day.precipitationProbabilityMax, '%')}${precip}</span>
+            `;
+            container.appendChild(card);
+        });
+        
+        this.selectedDayIndex = Math.min(this.selectedDayIndex, Math.max(days.length - 1, 0));
+        this.drawDailyChart(days);
+        
+        const cards = container.querySelectorAll('.day-card');
+        if (focusedIndex !== null && cards.length > 0) {
+            this.focusOnElement(cards[Math.min(focusedIndex, cards.length - 1)]);
+        }
+    }
+    
+    selectDay(index) {
+        this.selectedDayIndex = index;
+        
+        if (this.dailyChart) {
+            const highlight = this.dailyChart.options.plugins.annotation.annotations.selectedDay;
+            highlight.xMin = index - 0.5;
+            highlight.xMax = index + 0.5;
+            this.dailyChart.update('none');
         }
     }
     
     updateCurrentWeather(data) {
         const hourly = data.hourly;
-        const currentIndex = 24; // Current hour is at index 24 (after 24 past hours)
+        const currentIndex = getCurrentIndex(hourly.time);
         
-        const currentTemp = hourly.temperature_2m[currentIndex];
-        const currentHumidity = hourly.relative_humidity_2m[currentIndex];
-        const currentWindSpeed = hourly.wind_speed_10m[currentIndex];
+        const currentTemp = hourly.temperature[currentIndex];
+        const currentHumidity = hourly.humidity[currentIndex];
+        const currentWindSpeed = hourly.windSpeed[currentIndex];
         const currentPrecipitation = hourly.precipitation[currentIndex];
-        const weatherCode = hourly.weather_code[currentIndex];
+        const weatherCode = hourly.weatherCode[currentIndex];
+        const isDay = hourly.isDay ? hourly.isDay[currentIndex] : null;
+        
+        const units = this.getUnits();
         
         // Update UI
-        document.getElementById('currentTemp').textContent = `${Math.round(currentTemp)}°C`;
-        document.getElementById('humidity').textContent = `${currentHumidity}%`;
-        document.getElementById('windSpeed').textContent = `${currentWindSpeed} m/s`;
-        document.getElementById('precipitation').textContent = `${currentPrecipitation} mm`;
+        document.getElementById('currentTemp').textContent = this.formatValue(currentTemp, units.temperature, true);
+        document.getElementById('humidity').textContent = this.formatValue(currentHumidity, '%');
+        document.getElementById('windSpeed').textContent = this.formatValue(currentWindSpeed, ` ${units.windSpeed}`);
+        document.getElementById('precipitation').textContent = this.formatValue(currentPrecipitation, ` ${units.precipitation}`);
         
-        // Update weather icon
-        this.updateWeatherIcon(weatherCode);
+        // Update weather icon and description
+        this.updateWeatherIcon(weatherCode, isDay);
+        document.getElementById('weatherDescription').textContent = describeWeather(weatherCode);
+        
+        this.updateSunDetails();
+        this.updateNormalBadge();
+        this.updateUmbrella();
     }
     
-    updateWeatherIcon(weatherCode) {
-        const iconElement = document.getElementById('weatherIcon').querySelector('i');
-        let iconClass = 'fas fa-sun';
-        
-        // Weather code mapping (WMO Weather interpretation codes)
-        if (weatherCode === 0) {
-            iconClass = 'fas fa-sun'; // Clear sky
-        } else if (weatherCode <= 3) {
-            iconClass = 'fas fa-cloud-sun'; // Partly cloudy
-        } else if (weatherCode <= 48) {
-            iconClass = 'fas fa-cloud'; // Cloudy
-        } else if (weatherCode <= 67) {
-            iconClass = 'fas fa-cloud-rain'; // Rain
-        } else if (weatherCode <= 77) {
-            iconClass = 'fas fa-snowflake'; // Snow
-        } else if (weatherCode <= 82) {
-            iconClass = 'fas fa-cloud-showers-heavy'; // Heavy rain
-        } else {
-            iconClass = 'fas fa-bolt'; // Thunderstorm
+    updateUmbrella() {
+        const indicator = document.getElementById('umbrellaIndicator');
+        const units = this.getUnits();
+        const startHour = this.preferences.get('umbrellaStartHour');
+        const endHour = this.preferences.get('umbrellaEndHour');
+        const advice = this.weatherData ? getUmbrellaAdvice(this.weatherData.hourly, {
+            startHour,
+            endHour,
+            timeZone: this.cities[this.currentCity].timezone,
+            units
+        }) : null;
+        
+        indicator.classList.toggle('active', advice !== null);
+        if (advice === null) return;
+        
+        indicator.dataset.level = advice.level.id;
+        indicator.querySelector('i').className = `fas ${advice.level.icon}`;
+        document.getElementById('umbrellaLabel').textContent = translate('umbrella.label', { level: translate(advice.level.labelKey) });
+        
+        const details = [translate(`umbrella.${advice.day}`, { start: `${startHour}:00`, end: `${endHour}:00` })];
+        if (advice.probability !== null) {
+            details.push(translate('umbrella.probability', { value: advice.probability }));
         }
+        if (advice.precipitation !== null) {
+            details.push(translate('umbrella.precipitation', {
+                value: `${formatNumber(advice.precipitation, units.precipitationDigits)} ${units.precipitation}`
+            }));
+        }
+        document.getElementById('umbrellaDetail').textContent = details.join(' · ');
+    }
+    
+    updateNormalBadge() {
+        const badge = document.getElementById('normalBadge');
+        const normals = this.getNormals();
+        const hourly = this.weatherData ? this.weatherData.hourly : null;
+        const units = this.getUnits();
+        const diff = normals && hourly ? getNormalDeparture(hourly.time, hourly.temperature, normals, {
+            timeZone: this.cities[this.currentCity].timezone,
+            units
+        }) : null;
+        
+        badge.classList.toggle('active', diff !== null);
+        if (diff === null) return;
+        
+        const rounded = Math.round(diff * 10) / 10;
+        const sign = rounded > 0 ? '+' : rounded < 0 ? '-' : '±';
+        badge.classList.toggle('warmer', rounded > 0);
+        badge.classList.toggle('cooler', rounded < 0);
+        badge.textContent = translate('normals.departure', { diff: `${sign}${formatNumber(Math.abs(rounded), 1)}${units.temperature}` });
+    }
+    
+    updateSunDetails() {
+        const sun = this.getSunTimes();
+        const day = sun ? getDayLength(sun) : null;
+        const details = document.getElementById('sunDetails');
+        
+        details.classList.toggle('active', Boolean(day && day.duration !== null));
+        if (!details.classList.contains('active')) return;
         
-        iconElement.className = iconClass;
+        const time = (timestamp) => this.formatCityTime(timestamp, { hour: '2-digit', minute: '2-digit', hour12: false });
+        const change = day.change !== null ? translate('sun.change', { change: formatDurationChange(day.change) }) : '';
+        
+        document.getElementById('sunrise').textContent = translate('sun.sunrise', { time: time(day.sunrise) });
+        document.getElementById('sunset').textContent = translate('sun.sunset', { time: time(day.sunset) });
+        document.getElementById('dayLength').textContent = translate('sun.dayLength', { duration: formatDuration(day.duration) }) + change;
+    }
+    
+    // Not every provider supplies every value
+    formatValue(value, unit, round = false) {
+        if (value === null || value === undefined) return `--${unit}`;
+        return `${round ? Math.round(value) : value}${unit}`;
+    }
+    
+    updateWeatherIcon(weatherCode, isDay) {
+        // A missing code shows the unknown icon, never the previous city's
+        const iconElement = document.getElementById('weatherIcon').querySelector('i');
+        iconElement.className = getWeatherIconClass(weatherCode, isDay);
     }
     
-    updateLastUpdateTime() {
-        const now = new Date();
-        const timeString = now.toLocaleTimeString('ja-JP', { 
+    // Format a timestamp in the current city's timezone and the UI language
+    formatCityTime(timestamp, options) {
+        return formatTimeInZone(timestamp, this.cities[this.currentCity].timezone, options);
+    }
+    
+    getCityWeekday(timestamp) {
+        return getWeekdayInZone(timestamp, this.cities[this.currentCity].timezone);
+    }
+    
+    updateLastUpdateTime(timestamp) {
+        const updatedAt = new Date(timestamp);
+        const timeString = updatedAt.toLocaleTimeString(getLocaleTag(), { 
             hour: '2-digit', 
             minute: '2-digit',
             hour12: false
         });
-        document.getElementById('lastUpdate').textContent = `最終更新: ${timeString}`;
+        document.getElementById('lastUpdate').textContent = translate('current.lastUpdate', { time: timeString });
     }
     
     // ===========================
@@ -339,48 +2522,157 @@ class AppleTVWeatherApp {
     // ===========================
     drawChart() {
         const hourly = this.weatherData.hourly;
-        const times = hourly.time;
-        const temps = hourly.temperature_2m;
-        const precip = hourly.precipitation;
+        const units = this.getUnits();
         
         // Current time index
-        const currentIndex = 24;
+        const now = Date.now();
+        const currentIndex = getCurrentIndex(hourly.time, now);
         
         // Split data into past and future
-        const pastTimes = times.slice(0, currentIndex + 1);
-        const futureTimes = times.slice(currentIndex, currentIndex + this.currentTimeRange + 1);
+        const split = (values) => splitPastFuture(values, currentIndex, this.currentTimeRange);
+        const times = split(hourly.time);
+        const temps = split(hourly.temperature);
+        const precip = split(hourly.precipitation);
         
-        const pastTemps = temps.slice(0, currentIndex + 1);
-        const futureTemps = temps.slice(currentIndex, currentIndex + this.currentTimeRange + 1);
+        // Night shading behind the data
+        const sun = this.getSunTimes();
+        const nightBands = sun ? getNightBands(sun, times.visible[0], times.visible[times.visible.length - 1]) : [];
+        const nightAnnotations = Object.fromEntries(nightBands.map((band, i) => [`night${i}`, {
+            type: 'box',
+            xMin: band.start,
+            xMax: band.end,
+            backgroundColor: 'rgba(10, 20, 60, 0.35)',
+            borderWidth: 0,
+            drawTime: 'beforeDatasetsDraw'
+        }]));
         
-        const pastPrecip = precip.slice(0, currentIndex + 1);
-        const futurePrecip = precip.slice(currentIndex, currentIndex + this.currentTimeRange + 1);
+        // Models disagreeing on rain, while a model layer is on
+        const models = this.chartLayers.some(layerId => CHART_LAYERS[layerId].source === 'models') ? this.getAlignedModels(hourly) : null;
+        const rainBands = models
+            ? getRainDisagreementBands(times.visible, models, convertPrecipitation(MODEL_RAIN_THRESHOLD_MM, units))
+            : [];
+        const rainAnnotations = Object.fromEntries(rainBands.map((band, i) => [`rainDisagreement${i}`, {
+            type: 'box',
+            xMin: band.start,
+            xMax: band.end,
+            backgroundColor: 'rgba(255, 167, 38, 0.15)',
+            borderColor: 'rgba(255, 167, 38, 0.6)',
+            borderWidth: 1,
+            borderDash: [6, 4],
+            drawTime: 'beforeDatasetsDraw'
+        }]));
+        this.renderModelLegend(models, rainBands.length > 0);
+        
+        // Optional layers span the whole visible range
+        const layers = {
+            ...hourly.layers,
+            precipitationProbability: hourly.precipitationProbability,
+            ...this.getHistoryLayers(hourly),
+            ...this.getModelLayers(models)
+        };
+        const enabledLayers = this.chartLayers.filter(layerId => layers[layerId]);
+        const layerDatasets = enabledLayers.flatMap(layerId => {
+            const layer = CHART_LAYERS[layerId];
+            const dataset = {
+                label: translate(layer.labelKey),
+                layer: layerId,
+                data: toPoints(times.visible, layers[layerId]),
+                type: layer.type || 'line',
+                borderColor: layer.color,
+                backgroundColor: layer.color,
+                borderWidth: layer.type === 'bar' ? 0 : 3,
+                tension: 0.4,
+                spanGaps: true,
+                pointRadius: 0,
+                pointHoverRadius: 6,
+                barThickness: 8,
+                yAxisID: layer.axis
+            };
+            if (layer.type === 'lines') {
+                return layers[layerId].map(series => ({
+                    ...dataset,
+                    label: translate(series.labelKey),
+                    data: toPoints(times.visible, series.values),
+                    borderColor: series.color,
+                    backgroundColor: series.color,
+                    borderWidth: 2
+                }));
+            }
+            if (layer.type !== 'band') return [dataset];
+            
+            // The low edge fills up to the high edge drawn just before it
+            const edge = { ...dataset, type: 'line', borderWidth: 0, pointHoverRadius: 0 };
+            const band = [
+                { ...edge, label: translate(layer.bandLabelKeys.max), data: toPoints(times.visible, layers[layerId].max), fill: false },
+                { ...edge, label: translate(layer.bandLabelKeys.min), data: toPoints(times.visible, layers[layerId].min), fill: '-1' }
+            ];
+            if (layers[layerId].median) {
+                band.push({
+                    ...dataset,
+                    label: translate(layer.bandLabelKeys.median),
+                    data: toPoints(times.visible, layers[layerId].median),
+                    borderColor: layer.lineColor,
+                    backgroundColor: layer.lineColor,
+                    fill: false
+                });
+            }
+            return band;
+        });
         
-        // Combine for display
-        const allTimes = [...pastTimes, ...futureTimes.slice(1)];
-        const allTemps = [...pastTemps, ...futureTemps.slice(1)];
-        const allPrecip = [...pastPrecip, ...futurePrecip.slice(1)];
+        // Temperature-like layers reuse the temperature axis
+        const layerScales = Object.fromEntries(enabledLayers
+            .filter(layerId => CHART_LAYERS[layerId].axis !== 'y')
+            .map(layerId => {
+                const layer = CHART_LAYERS[layerId];
+                const unit = layer.unit(units).trim();
+                const label = translate(layer.labelKey);
+                return [layer.axis, {
+                    type: 'linear',
+                    position: 'right',
+                    min: layer.min,
+                    max: layer.max,
+                    title: {
+                        display: true,
+                        text: unit ? `${label} (${unit})` : label,
+                        color: layer.color,
+                        font: { size: 16, weight: 'bold' }
+                    },
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        color: layer.color,
+                        font: { size: 14 }
+                    }
+                }];
+            }));
         
         // Destroy existing chart
         if (this.chart) {
             this.chart.destroy();
         }
         
+        this.renderTimelineIcons(hourly, getTimelineIconIndexes(currentIndex, this.currentTimeRange, hourly.time.length));
+        
         const ctx = document.getElementById('mainChart').getContext('2d');
         
         this.chart = new Chart(ctx, {
             type: 'line',
+            // Keep the weather icons above their hours when the chart resizes
+            plugins: [{ id: 'timelineIcons', afterLayout: (chart) => this.positionTimelineIcons(chart) }],
             data: {
-                labels: allTimes,
+                labels: times.visible,
                 datasets: [
                     // Past temperature
                     {
-                        label: '過去の気温',
-                        data: pastTemps.map((temp, i) => ({ x: pastTimes[i], y: temp })),
+                        label: translate('chart.pastTemperature'),
+                        kind: 'temperature',
+                        data: toPoints(times.past, temps.past),
                         borderColor: '#4fc3f7',
                         backgroundColor: 'rgba(79, 195, 247, 0.1)',
                         borderWidth: 4,
                         tension: 0.4,
+                        spanGaps: true,
                         fill: true,
                         pointRadius: 0,
                         pointHoverRadius: 8,
@@ -388,13 +2680,15 @@ class AppleTVWeatherApp {
                     },
                     // Future temperature
                     {
-                        label: '未来の気温',
-                        data: futureTemps.map((temp, i) => ({ x: futureTimes[i], y: temp })),
+                        label: translate('chart.futureTemperature'),
+                        kind: 'temperature',
+                        data: toPoints(times.future, temps.future),
                         borderColor: '#ffd54f',
                         backgroundColor: 'rgba(255, 213, 79, 0.1)',
                         borderWidth: 4,
                         borderDash: [10, 5],
                         tension: 0.4,
+                        spanGaps: true,
                         fill: true,
                         pointRadius: 0,
                         pointHoverRadius: 8,
@@ -402,8 +2696,9 @@ class AppleTVWeatherApp {
                     },
                     // Past precipitation
                     {
-                        label: '過去の降水量',
-                        data: pastPrecip.map((rain, i) => ({ x: pastTimes[i], y: rain })),
+                        label: translate('chart.pastPrecipitation'),
+                        kind: 'precipitation',
+                        data: toPoints(times.past, precip.past),
                         type: 'bar',
                         backgroundColor: 'rgba(63, 81, 181, 0.6)',
                         borderWidth: 0,
@@ -412,19 +2707,26 @@ class AppleTVWeatherApp {
                     },
                     // Future precipitation
                     {
-                        label: '未来の降水量',
-                        data: futurePrecip.map((rain, i) => ({ x: futureTimes[i], y: rain })),
+                        label: translate('chart.futurePrecipitation'),
+                        kind: 'precipitation',
+                        data: toPoints(times.future, precip.future),
                         type: 'bar',
                         backgroundColor: 'rgba(100, 181, 246, 0.4)',
                         borderWidth: 0,
                         yAxisID: 'y1',
                         barThickness: 12
-                    }
+                    },
+                    ...layerDatasets
                 ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                locale: getLocaleTag(),
+                // Room for the weather icons above the plot
+                layout: {
+                    padding: { top: 60 }
+                },
                 interaction: {
                     mode: 'index',
                     intersect: false
@@ -440,10 +2742,11 @@ class AppleTVWeatherApp {
                         padding: 20,
                         cornerRadius: 15,
                         displayColors: true,
+                        // Skip hours the provider has no value for
+                        filter: (context) => context.parsed.y !== null,
                         callbacks: {
                             title: (context) => {
-                                const date = new Date(context[0].parsed.x);
-                                return date.toLocaleString('ja-JP', {
+                                return this.formatCityTime(context[0].parsed.x, {
                                     month: 'long',
                                     day: 'numeric',
                                     hour: '2-digit',
@@ -454,25 +2757,29 @@ class AppleTVWeatherApp {
                             label: (context) => {
                                 const label = context.dataset.label;
                                 const value = context.parsed.y;
-                                if (label.includes('気温')) {
-                                    return `${label}: ${value.toFixed(1)}°C`;
+                                if (context.dataset.layer) {
+                                    return `${label}: ${formatNumber(value, 1)}${CHART_LAYERS[context.dataset.layer].unit(units)}`;
+                                } else if (context.dataset.kind === 'temperature') {
+                                    return `${label}: ${formatNumber(value, 1)}${units.temperature}`;
                                 } else {
-                                    return `${label}: ${value.toFixed(1)} mm`;
+                                    return `${label}: ${formatNumber(value, units.precipitationDigits)} ${units.precipitation}`;
                                 }
                             }
                         }
                     },
                     annotation: {
                         annotations: {
+                            ...nightAnnotations,
+                            ...rainAnnotations,
                             currentTime: {
                                 type: 'line',
-                                xMin: times[currentIndex],
-                                xMax: times[currentIndex],
+                                xMin: now,
+                                xMax: now,
                                 borderColor: 'rgba(255, 50, 50, 0.8)',
                                 borderWidth: 3,
                                 borderDash: [5, 5],
                                 label: {
-                                    content: '現在',
+                                    content: translate('chart.now'),
                                     enabled: true,
                                     position: 'top',
                                     backgroundColor: 'rgba(255, 50, 50, 0.8)',
@@ -503,7 +2810,15 @@ class AppleTVWeatherApp {
                             font: { size: 14 },
                             maxRotation: 0,
                             autoSkip: true,
-                            maxTicksLimit: 12
+                            maxTicksLimit: 12,
+                            // Label ticks in the city's timezone, not the device's
+                            callback: (value) => this.formatCityTime(value, {
+                                month: 'numeric',
+                                day: 'numeric',
+                                hour: '2-digit',
+                                minute: '2-digit',
+                                hour12: false
+                            })
                         }
                     },
                     y: {
@@ -511,7 +2826,7 @@ class AppleTVWeatherApp {
                         position: 'left',
                         title: {
                             display: true,
-                            text: '気温 (°C)',
+                            text: translate('chart.temperatureAxis', { unit: units.temperature }),
                             color: 'rgba(255, 255, 255, 0.9)',
                             font: { size: 18, weight: 'bold' }
                         },
@@ -529,7 +2844,7 @@ class AppleTVWeatherApp {
                         position: 'right',
                         title: {
                             display: true,
-                            text: '降水量 (mm)',
+                            text: translate('chart.precipitationAxis', { unit: units.precipitation }),
                             color: 'rgba(255, 255, 255, 0.9)',
                             font: { size: 18, weight: 'bold' }
                         },
@@ -540,28 +2855,283 @@ class AppleTVWeatherApp {
                             color: 'rgba(255, 255, 255, 0.8)',
                             font: { size: 16 }
                         }
-                    }
+                    },
+                    ...layerScales
                 }
             }
         });
+        
+        // Redrawn by a refresh or range change while being scrubbed
+        if (this.chartCursorTime !== null) {
+            this.updateChartCursor();
+        }
     }
     
     // ===========================
-    // Auto Refresh
+    // Chart Cursor
     // ===========================
-    startAutoRefresh() {
-        // Refresh every 5 minutes
-        this.autoRefreshInterval = setInterval(() => {
-            console.log('🔄 Auto-refreshing weather data...');
-            this.loadWeatherData();
-        }, 5 * 60 * 1000);
+    // One icon per slot; positioned once Chart.js has laid out the axes
+    renderTimelineIcons(hourly, indexes) {
+        const container = document.getElementById('chartWeatherIcons');
+        container.innerHTML = '';
+        
+        indexes.forEach(index => {
+            const icon = document.createElement('i');
+            icon.className = getWeatherIconClass(hourly.weatherCode[index], hourly.isDay ? hourly.isDay[index] : null);
+            icon.dataset.time = hourly.time[index];
+            icon.title = describeWeather(hourly.weatherCode[index]);
+            container.appendChild(icon);
+        });
+    }
+    
+    positionTimelineIcons(chart) {
+        document.querySelectorAll('#chartWeatherIcons i').forEach(icon => {
+            icon.style.left = `${chart.scales.x.getPixelForValue(Number(icon.dataset.time))}px`;
+            icon.style.top = `${chart.chartArea.top - 50}px`;
+        });
+    }
+    
+    isChartFocused() {
+        return this.focusEngine.current === document.getElementById('chartWrapper');
+    }
+    
+    leaveChart() {
+        this.focusOnElement(document.querySelector('.time-range-selector .range-btn.active'));
+    }
+    
+    showChartCursor() {
+        if (!this.chart) return;
+        
+        // Start at the current hour
+        const times = this.chart.data.labels;
+        this.chartCursorTime = times[getCurrentIndex(times)];
+        this.chartScrubRepeats = 0;
+        this.updateChartCursor();
+    }
+    
+    hideChartCursor() {
+        this.chartCursorTime = null;
+        document.getElementById('chartReadout').classList.remove('active');
+        
+        if (this.chart) {
+            delete this.chart.options.plugins.annotation.annotations.cursor;
+            this.chart.update('none');
+        }
+    }
+    
+    moveChartCursor(direction, repeat) {
+        if (!this.chart || this.chartCursorTime === null) return;
+        
+        // Key repeat from a held button: 1 hour, then 3, then 6 at a time
+        this.chartScrubRepeats = repeat ? this.chartScrubRepeats + 1 : 0;
+        const step = this.chartScrubRepeats >= 15 ? 6 : this.chartScrubRepeats >= 5 ? 3 : 1;
+        
+        const times = this.chart.data.labels;
+        const index = Math.max(0, Math.min(times.indexOf(this.chartCursorTime) + direction * step, times.length - 1));
+        this.chartCursorTime = times[index];
+        this.updateChartCursor();
+    }
+    
+    updateChartCursor() {
+        const hourly = this.weatherData.hourly;
+        const times = this.chart.data.labels;
+        
+        // The time range may have changed under the cursor; clamp to what is drawn
+        if (!times.includes(this.chartCursorTime)) {
+            this.chartCursorTime = times[getCurrentIndex(times, this.chartCursorTime)];
+        }
+        
+        const time = this.chartCursorTime;
+        const index = hourly.time.indexOf(time);
+        const units = this.getUnits();
+        
+        this.chart.options.plugins.annotation.annotations.cursor = {
+            type: 'line',
+            xMin: time,
+            xMax: time,
+            borderColor: 'rgba(0, 212, 255, 0.9)',
+            borderWidth: 4
+        };
+        this.chart.update('none');
+        
+        document.getElementById('readoutTime').textContent = this.formatCityTime(time, {
+            month: 'long',
+            day: 'numeric',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+        document.getElementById('readoutTemp').textContent = this.formatValue(hourly.temperature[index], units.temperature);
+        document.getElementById('readoutPrecip').textContent = this.formatValue(hourly.precipitation[index], ` ${units.precipitation}`);
+        document.getElementById('readoutHumidity').textContent = this.formatValue(hourly.humidity[index], '%');
+        document.getElementById('readoutWind').textContent = this.formatValue(hourly.windSpeed[index], ` ${units.windSpeed}`);
+        document.getElementById('chartReadout').classList.add('active');
     }
     
-    stopAutoRefresh() {
-        if (this.autoRefreshInterval) {
-            clearInterval(this.autoRefreshInterval);
-            this.autoRefreshInterval = null;
+    drawDailyChart(days) {
+        if (this.dailyChart) {
+            this.dailyChart.destroy();
+            this.dailyChart = null;
         }
+        
+        if (days.length === 0) return;
+        
+        const units = this.getUnits();
+        const labels = days.map(day => this.formatCityTime(day.time, {
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short'
+        }));
+        
+        const ctx = document.getElementById('dailyChart').getContext('2d');
+        
+        this.dailyChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    // High; filled down to the low to form the band
+                    {
+                        label: translate('daily.max'),
+                        kind: 'temperature',
+                        data: days.map(day => day.temperatureMax),
+                        borderColor: '#ff8a65',
+                        backgroundColor: 'rgba(255, 213, 79, 0.15)',
+                        borderWidth: 4,
+                        tension: 0.3,
+                        spanGaps: true,
+                        fill: '+1',
+                        pointRadius: 6,
+                        pointHoverRadius: 10,
+                        yAxisID: 'y'
+                    },
+                    // Low
+                    {
+                        label: translate('daily.min'),
+                        kind: 'temperature',
+                        data: days.map(day => day.temperatureMin),
+                        borderColor: '#4fc3f7',
+                        backgroundColor: 'rgba(79, 195, 247, 0.1)',
+                        borderWidth: 4,
+                        tension: 0.3,
+                        spanGaps: true,
+                        fill: false,
+                        pointRadius: 6,
+                        pointHoverRadius: 10,
+                        yAxisID: 'y'
+                    },
+                    // Precipitation total
+                    {
+                        label: translate('daily.precipitation'),
+                        kind: 'precipitation',
+                        data: days.map(day => day.precipitationSum),
+                        type: 'bar',
+                        backgroundColor: 'rgba(100, 181, 246, 0.4)',
+                        borderWidth: 0,
+                        yAxisID: 'y1',
+                        barPercentage: 0.5
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                locale: getLocaleTag(),
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+                        titleFont: { size: 18, weight: 'bold' },
+                        bodyFont: { size: 16 },
+                        padding: 20,
+                        cornerRadius: 15,
+                        displayColors: true,
+                        filter: (context) => context.parsed.y !== null,
+                        callbacks: {
+                            label: (context) => {
+                                const label = context.dataset.label;
+                                const value = context.parsed.y;
+                                if (context.dataset.kind === 'temperature') {
+                                    return `${label}: ${formatNumber(value, 1)}${units.temperature}`;
+                                } else {
+                                    return `${label}: ${formatNumber(value, units.precipitationDigits)} ${units.precipitation}`;
+                                }
+                            }
+                        }
+                    },
+                    annotation: {
+                        annotations: {
+                            // Day of the focused card
+                            selectedDay: {
+                                type: 'box',
+                                xMin: this.selectedDayIndex - 0.5,
+                                xMax: this.selectedDayIndex + 0.5,
+                                backgroundColor: 'rgba(0, 212, 255, 0.12)',
+                                borderColor: 'rgba(0, 212, 255, 0.6)',
+                                borderWidth: 2
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)',
+                            lineWidth: 1
+                        },
+                        ticks: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            font: { size: 14 },
+                            maxRotation: 0,
+                            autoSkip: true
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: translate('chart.temperatureAxis', { unit: units.temperature }),
+                            color: 'rgba(255, 255, 255, 0.9)',
+                            font: { size: 18, weight: 'bold' }
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)',
+                            lineWidth: 1
+                        },
+                        ticks: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            font: { size: 16 }
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: translate('chart.precipitationAxis', { unit: units.precipitation }),
+                            color: 'rgba(255, 255, 255, 0.9)',
+                            font: { size: 18, weight: 'bold' }
+                        },
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: 'rgba(255, 255, 255, 0.8)',
+                            font: { size: 16 }
+                        }
+                    }
+                }
+            }
+        });
     }
     
     // ===========================
@@ -576,10 +3146,41 @@ class AppleTVWeatherApp {
         const errorEl = document.getElementById('errorMessage');
         document.getElementById('errorText').innerHTML = message;
         errorEl.classList.add('active');
+        
+        // The error traps focus until it is dismissed
+        this.focusOnElement(document.getElementById('retryBtn'));
     }
     
     hideError() {
-        document.getElementById('errorMessage').classList.remove('active');
+        const errorEl = document.getElementById('errorMessage');
+        if (!errorEl.classList.contains('active')) return;
+        
+        errorEl.classList.remove('active');
+        
+        // Hand focus back to where it was before the error appeared
+        if (errorEl.contains(this.focusEngine.current)) {
+            this.focusEngine.focusDefault();
+        }
+    }
+    
+    showStaleBanner(savedAt) {
+        const banner = document.getElementById('staleBanner');
+        const updateText = () => {
+            document.getElementById('staleText').textContent = translate('stale.offline', { age: formatAge(savedAt) });
+        };
+        
+        updateText();
+        banner.classList.add('active');
+        
+        // Keep the age current while the connection is down
+        clearInterval(this.staleBannerInterval);
+        this.staleBannerInterval = setInterval(updateText, 60 * 1000);
+    }
+    
+    hideStaleBanner() {
+        clearInterval(this.staleBannerInterval);
+        this.staleBannerInterval = null;
+        document.getElementById('staleBanner').classList.remove('active');
     }
 }
 
@@ -588,13 +3189,14 @@ class AppleTVWeatherApp {
 // ===========================
 let app;
 
-document.addEventListener('DOMContentLoaded', () => {
-    app = new AppleTVWeatherApp();
+// config.json is looked for first; the app starts either way
+document.addEventListener('DOMContentLoaded', async () => {
+    app = new AppleTVWeatherApp(await loadAppConfig());
 });
 
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
     if (app) {
-        app.stopAutoRefresh();
+        app.refresher.stop();
     }
 });
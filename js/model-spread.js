@@ -0,0 +1,83 @@
+// ===========================
+// Model Spread
+// - The same hours from several weather models (Open-Meteo `models` parameter)
+// - Lowest / highest / median per hour for the uncertainty band
+// - Hours where the models disagree on whether it rains
+// ===========================
+
+// apiModel: Open-Meteo model id; color: the model's line and legend color
+const FORECAST_MODELS = {
+    jma: { labelKey: 'model.jma', apiModel: 'jma_seamless', color: '#ef9a9a' },
+    ecmwf: { labelKey: 'model.ecmwf', apiModel: 'ecmwf_ifs025', color: '#90caf9' },
+    gfs: { labelKey: 'model.gfs', apiModel: 'gfs_seamless', color: '#a5d6a7' },
+    icon: { labelKey: 'model.icon', apiModel: 'icon_seamless', color: '#ce93d8' }
+};
+
+// Less than this per hour counts as dry (mm; converted for imperial units)
+const MODEL_RAIN_THRESHOLD_MM = 0.1;
+
+// A spread needs at least this many models with a value for the hour
+const MIN_MODELS_FOR_SPREAD = 2;
+
+// { jma: { temperature, precipitation }, ... } lined up with times,
+// null for hours the models do not cover (the past)
+function alignModels(forecast, times) {
+    const index = new Map(forecast.time.map((time, i) => [time, i]));
+    const aligned = {};
+    
+    Object.entries(FORECAST_MODELS).forEach(([modelId, model]) => {
+        const series = forecast.models[model.apiModel];
+        if (!series) return;
+        
+        const pick = (values) => times.map(time => {
+            const i = index.get(time);
+            return i === undefined || values[i] === undefined ? null : values[i];
+        });
+        aligned[modelId] = { temperature: pick(series.temperature), precipitation: pick(series.precipitation) };
+    });
+    return aligned;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// { min, max, median } per hour of one variable ('temperature' | 'precipitation')
+function getModelSpread(aligned, key) {
+    const series = Object.values(aligned).map(model => model[key]);
+    const length = series.length > 0 ? series[0].length : 0;
+    const spread = { min: [], max: [], median: [] };
+    
+    for (let i = 0; i < length; i++) {
+        const values = series.map(values => values[i]).filter(value => value !== null);
+        const enough = values.length >= MIN_MODELS_FOR_SPREAD;
+        spread.min.push(enough ? Math.min(...values) : null);
+        spread.max.push(enough ? Math.max(...values) : null);
+        spread.median.push(enough ? median(values) : null);
+    }
+    return spread;
+}
+
+// Time ranges (each hour ± half an hour, merged) where some models
+// have rain and others do not: [{ start, end }]
+function getRainDisagreementBands(times, aligned, threshold) {
+    const series = Object.values(aligned).map(model => model.precipitation);
+    const bands = [];
+    
+    times.forEach((time, i) => {
+        const values = series.map(values => values[i]).filter(value => value !== null);
+        const wet = values.filter(value => value >= threshold).length;
+        if (values.length < MIN_MODELS_FOR_SPREAD || wet === 0 || wet === values.length) return;
+        
+        const start = time - HOUR_MS / 2;
+        const last = bands[bands.length - 1];
+        if (last && last.end >= start) {
+            last.end = time + HOUR_MS / 2;
+        } else {
+            bands.push({ start, end: time + HOUR_MS / 2 });
+        }
+    });
+    return bands;
+}
@@ -0,0 +1,176 @@
+// ===========================
+// On-Screen Keyboard
+// - Remote-navigable kana / romaji keyboard for text entry
+// - Hiragana, katakana and latin layouts
+// - Dakuten / handakuten applied to the previous character
+// ===========================
+
+const KEYBOARD_LAYOUTS = {
+    hiragana: [
+        'あいうえおかきくけこ',
+        'さしすせそたちつてと',
+        'なにぬねのはひふへほ',
+        'まみむめもやゆよー・',
+        'らりるれろわをん゛゜',
+        'ぁぃぅぇぉっゃゅょ、'
+    ],
+    latin: [
+        'ABCDEFGHIJ',
+        'KLMNOPQRST',
+        'UVWXYZ-\'.,',
+        '1234567890'
+    ]
+};
+
+const KEYBOARD_MODES = [
+    { id: 'hiragana', label: 'かな' },
+    { id: 'katakana', label: 'カナ' },
+    { id: 'latin', label: 'ABC' }
+];
+
+class OnScreenKeyboard {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.mode = 'hiragana';
+        this.value = '';
+    }
+    
+    // Character rows for the current mode plus the control row
+    getRows() {
+        const layout = KEYBOARD_LAYOUTS[this.mode === 'latin' ? 'latin' : 'hiragana'];
+        const rows = layout.map(row => Array.from(row).map(char => ({
+            label: this.mode === 'katakana' ? this.toKatakana(char) : char,
+            action: 'input'
+        })));
+        
+        const nextMode = KEYBOARD_MODES[(KEYBOARD_MODES.findIndex(mode => mode.id === this.mode) + 1) % KEYBOARD_MODES.length];
+        rows.push([
+            { label: nextMode.label, icon: 'fa-language', action: 'mode' },
+            { label: translate('keyboard.space'), icon: 'fa-arrows-alt-h', action: 'space' },
+            { label: translate('keyboard.backspace'), icon: 'fa-backspace', action: 'backspace' },
+            { label: translate('keyboard.clear'), icon: 'fa-times-circle', action: 'clear' }
+        ]);
+        
+        return rows;
+    }
+    
+    render() {
+        this.container.innerHTML = '';
+        
+        this.getRows().forEach((row, rowIndex) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'keyboard-row';
+            
+            row.forEach((key, colIndex) => {
+                const keyEl = document.createElement('button');
+                keyEl.className = `keyboard-key focusable${key.action === 'input' ? '' : ' keyboard-control'}`;
+                keyEl.dataset.row = rowIndex;
+                keyEl.dataset.col = colIndex;
+                keyEl.dataset.action = key.action;
+                keyEl.dataset.char = key.label;
+                keyEl.innerHTML = key.icon ? `<i class="fas ${key.icon}"></i>${key.label}` : key.label;
+                rowEl.appendChild(keyEl);
+            });
+            
+            this.container.appendChild(rowEl);
+        });
+    }
+    
+    keyAt(row, col) {
+        return this.container.querySelector(`.keyboard-key[data-row="${row}"][data-col="${col}"]`);
+    }
+    
+    // Next key in the given direction, or null when leaving the keyboard
+    navigate(keyEl, direction) {
+        const rows = this.container.querySelectorAll('.keyboard-row');
+        const row = Number(keyEl.dataset.row);
+        const col = Number(keyEl.dataset.col);
+        const rowLength = rows[row].children.length;
+        
+        switch (direction) {
+            case 'left':
+                return col > 0 ? this.keyAt(row, col - 1) : null;
+            case 'right':
+                return col < rowLength - 1 ? this.keyAt(row, col + 1) : null;
+            case 'up':
+            case 'down': {
+                const target = direction === 'up' ? row - 1 : row + 1;
+                if (target < 0 || target >= rows.length) return null;
+                
+                // Rows differ in width, so keep the relative horizontal position
+                const targetLength = rows[target].children.length;
+                return this.keyAt(target, Math.floor((col + 0.5) / rowLength * targetLength));
+            }
+            default:
+                return null;
+        }
+    }
+    
+    // Apply a key press; returns the key to focus afterwards (the layout may re-render)
+    press(keyEl) {
+        const { row, col } = keyEl.dataset;
+        
+        switch (keyEl.dataset.action) {
+            case 'input':
+                this.input(keyEl.dataset.char);
+                break;
+            case 'space':
+                this.setValue(`${this.value} `);
+                break;
+            case 'backspace':
+                this.deleteLast();
+                break;
+            case 'clear':
+                this.setValue('');
+                break;
+            case 'mode': {
+                const index = KEYBOARD_MODES.findIndex(mode => mode.id === this.mode);
+                this.mode = KEYBOARD_MODES[(index + 1) % KEYBOARD_MODES.length].id;
+                this.render();
+                // The control row is always last
+                return this.keyAt(this.getRows().length - 1, col);
+            }
+        }
+        
+        return this.keyAt(row, col);
+    }
+    
+    input(char) {
+        if (char === '゛' || char === '゜') {
+            // Combine with the previous kana (か + ゛ → が); ignore if it cannot take the mark
+            const chars = Array.from(this.value);
+            const last = chars.pop();
+            if (!last) return;
+            
+            const combined = (last + (char === '゛' ? '\u3099' : '\u309A')).normalize('NFC');
+            if (Array.from(combined).length === 1) {
+                this.setValue(chars.join('') + combined);
+            }
+            return;
+        }
+        
+        this.setValue(this.value + char);
+    }
+    
+    deleteLast() {
+        this.setValue(Array.from(this.value).slice(0, -1).join(''));
+    }
+    
+    setValue(value) {
+        this.value = value;
+        this.onChange(value);
+    }
+    
+    reset() {
+        this.mode = 'hiragana';
+        this.value = '';
+        this.render();
+    }
+    
+    toKatakana(char) {
+        const code = char.charCodeAt(0);
+        // Hiragana block ぁ..ゖ maps 1:1 onto katakana ァ..ヶ
+        return code >= 0x3041 && code <= 0x3096 ? String.fromCharCode(code + 0x60) : char;
+    }
+}
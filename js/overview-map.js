@@ -0,0 +1,164 @@
+// ===========================
+// Japan Overview Map
+// - Simplified SVG outline of Japan (equirectangular projection)
+// - One focusable marker per saved city
+// - Arrow keys jump to the nearest city in that direction
+// ===========================
+
+// Map bounds in degrees; anything outside is listed beside the map
+const MAP_BOUNDS = { west: 122, east: 146.5, south: 24, north: 46 };
+
+// Longitude is scaled by cos(35°) so the islands keep their shape
+const MAP_WIDTH = Math.round((MAP_BOUNDS.east - MAP_BOUNDS.west) * Math.cos(35 * Math.PI / 180) / (MAP_BOUNDS.north - MAP_BOUNDS.south) * 1000);
+const MAP_HEIGHT = 1000;
+
+// Coarse coastlines as [lon, lat] rings – enough to recognize the country from the couch
+const JAPAN_OUTLINE = {
+    hokkaido: [
+        [141.9, 45.5], [142.6, 45.0], [143.6, 44.2], [144.8, 43.9], [145.3, 44.3], [145.2, 43.6],
+        [145.8, 43.4], [145.2, 43.2], [144.0, 42.9], [143.3, 42.0], [141.8, 42.6], [140.9, 42.5],
+        [140.4, 42.2], [141.2, 41.8], [140.1, 41.4], [139.9, 41.6], [140.1, 42.3], [139.8, 42.6],
+        [140.5, 43.2], [141.4, 43.3], [141.6, 44.3]
+    ],
+    honshu: [
+        [140.9, 41.5], [141.5, 41.4], [141.4, 40.6], [142.0, 39.6], [141.6, 38.9], [141.5, 38.3],
+        [140.9, 38.1], [141.0, 37.0], [140.6, 36.4], [140.8, 35.7], [140.4, 35.1], [139.8, 35.0],
+        [139.7, 35.3], [139.2, 35.2], [138.8, 34.6], [138.2, 34.6], [137.3, 34.6], [136.9, 34.3],
+        [136.3, 34.1], [135.8, 33.5], [135.1, 33.9], [135.3, 34.6], [134.6, 34.7], [133.5, 34.4],
+        [132.4, 34.3], [131.8, 33.9], [130.9, 33.9], [131.0, 34.4], [131.8, 34.7], [132.7, 35.4],
+        [133.4, 35.5], [134.5, 35.6], [135.5, 35.5], [135.9, 35.7], [136.0, 36.0], [136.7, 36.9],
+        [137.3, 37.4], [136.9, 37.1], [137.3, 36.8], [138.2, 37.1], [138.9, 37.8], [139.4, 38.2],
+        [139.8, 39.0], [140.0, 39.9], [139.7, 40.3], [140.0, 40.8], [140.3, 41.2], [140.6, 40.9]
+    ],
+    shikoku: [
+        [132.4, 33.9], [133.1, 34.2], [134.0, 34.4], [134.6, 34.2], [134.8, 33.8], [134.2, 33.2],
+        [133.7, 33.5], [133.0, 32.7], [132.5, 32.9], [132.0, 33.3]
+    ],
+    kyushu: [
+        [130.9, 33.9], [131.2, 33.6], [131.7, 33.3], [131.9, 32.7], [131.4, 31.4], [131.0, 31.0],
+        [130.6, 31.2], [130.2, 31.3], [130.3, 32.0], [130.1, 32.5], [129.8, 32.8], [129.6, 33.3],
+        [130.1, 33.6], [130.5, 33.9]
+    ],
+    okinawa: [
+        [127.65, 26.08], [127.9, 26.4], [128.3, 26.85], [128.2, 26.9], [127.75, 26.5]
+    ]
+};
+
+class JapanMap {
+    constructor(canvas, otherList) {
+        this.canvas = canvas;
+        this.otherList = otherList;
+        this.positions = {};
+        
+        // Markers are placed in percentages, so the box must match the projection
+        this.canvas.style.aspectRatio = `${MAP_WIDTH} / ${MAP_HEIGHT}`;
+    }
+    
+    project(lat, lon) {
+        return {
+            x: (lon - MAP_BOUNDS.west) / (MAP_BOUNDS.east - MAP_BOUNDS.west) * MAP_WIDTH,
+            y: (MAP_BOUNDS.north - lat) / (MAP_BOUNDS.north - MAP_BOUNDS.south) * MAP_HEIGHT
+        };
+    }
+    
+    isInBounds(city) {
+        return city.lat >= MAP_BOUNDS.south && city.lat <= MAP_BOUNDS.north &&
+            city.lon >= MAP_BOUNDS.west && city.lon <= MAP_BOUNDS.east;
+    }
+    
+    renderOutline() {
+        const paths = Object.values(JAPAN_OUTLINE).map(ring => {
+            const points = ring.map(([lon, lat]) => {
+                const { x, y } = this.project(lat, lon);
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+            return `<path class="map-land" d="M${points.join('L')}Z"></path>`;
+        });
+        
+        return `<svg class="map-svg" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" aria-hidden="true">${paths.join('')}</svg>`;
+    }
+    
+    // cities: array of city entries (key, name, lat, lon) in favorites order
+    render(cities) {
+        this.positions = {};
+        this.canvas.innerHTML = this.renderOutline();
+        this.otherList.innerHTML = '';
+        
+        const others = cities.filter(city => !this.isInBounds(city));
+        
+        cities.forEach(city => {
+            const marker = document.createElement('div');
+            marker.className = 'map-marker focusable';
+            marker.tabIndex = 0;
+            marker.dataset.city = city.key;
+            marker.innerHTML = `
+                <i class="fas fa-spinner fa-spin"></i>
+                <span class="map-marker-temp">--°</span>
+                <span class="map-marker-name"></span>
+            `;
+            marker.querySelector('.map-marker-name').textContent = localizeCityName(city);
+            
+            if (this.isInBounds(city)) {
+                const position = this.project(city.lat, city.lon);
+                marker.style.left = `${position.x / MAP_WIDTH * 100}%`;
+                marker.style.top = `${position.y / MAP_HEIGHT * 100}%`;
+                this.positions[city.key] = position;
+                this.canvas.appendChild(marker);
+            } else {
+                // Cities abroad sit in a column to the right of the map
+                const index = others.indexOf(city);
+                this.positions[city.key] = {
+                    x: MAP_WIDTH * 1.2,
+                    y: (index + 1) / (others.length + 1) * MAP_HEIGHT
+                };
+                this.otherList.appendChild(marker);
+            }
+        });
+        
+        this.otherList.classList.toggle('active', others.length > 0);
+    }
+    
+    // weather: { [cityKey]: { temperature, iconClass } }
+    updateWeather(weather) {
+        Object.entries(weather).forEach(([cityKey, current]) => {
+            const marker = this.getMarker(cityKey);
+            if (!marker) return;
+            
+            marker.querySelector('i').className = current.iconClass;
+            marker.querySelector('.map-marker-temp').textContent =
+                current.temperature === null ? '--°' : `${Math.round(current.temperature)}°`;
+        });
+    }
+    
+    getMarker(cityKey) {
+        return document.querySelector(`.map-marker[data-city="${cityKey}"]`);
+    }
+    
+    // Nearest city in the pressed direction, weighting sideways drift more
+    // heavily than distance so "up" prefers cities that are mostly above.
+    findNearest(fromKey, direction) {
+        const from = this.positions[fromKey];
+        if (!from) return null;
+        
+        let best = null;
+        let bestScore = Infinity;
+        
+        Object.entries(this.positions).forEach(([cityKey, to]) => {
+            if (cityKey === fromKey) return;
+            
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const primary = { left: -dx, right: dx, up: -dy, down: dy }[direction];
+            const secondary = direction === 'left' || direction === 'right' ? Math.abs(dy) : Math.abs(dx);
+            if (primary <= 0) return;
+            
+            const score = primary + secondary * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = cityKey;
+            }
+        });
+        
+        return best;
+    }
+}
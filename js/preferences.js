@@ -0,0 +1,166 @@
+// ===========================
+// Preferences
+// - One versioned object in localStorage instead of loose keys
+// - Migrations upgrade stored data one version at a time
+// - Unknown or invalid values fall back to the defaults
+// - Overrides (from the page address) apply for this visit without being saved
+// ===========================
+
+const PREFERENCES_KEY = 'appleTV_preferences';
+const PREFERENCES_VERSION = 1;
+
+// Ranges of the toolbar buttons; view decides between the hourly chart and the daily cards
+const TIME_RANGES = {
+    '24h': { view: 'hourly', value: 24, labelKey: 'range.24h' },
+    '48h': { view: 'hourly', value: 48, labelKey: 'range.48h' },
+    '7d': { view: 'daily', value: 7, labelKey: 'range.7d' },
+    '16d': { view: 'daily', value: 16, labelKey: 'range.16d' }
+};
+
+const REFRESH_INTERVAL_OPTIONS = [1, 5, 10, 15, 30, 60];
+
+// Local hours the umbrella indicator looks at: start ≤ hour < end
+const UMBRELLA_HOUR_OPTIONS = Array.from({ length: 25 }, (_, hour) => hour);
+
+// Each theme only swaps the palette variables in style.css (values are message keys)
+const THEMES = {
+    midnight: 'theme.midnight',
+    ocean: 'theme.ocean',
+    black: 'theme.black'
+};
+
+const PREFERENCE_DEFAULTS = {
+    defaultCity: null, // null reopens the last selected city
+    lastCity: null,
+    defaultTimeRange: '24h',
+    refreshMinutes: 5,
+    units: DEFAULT_UNIT_SYSTEM,
+    language: DEFAULT_LANGUAGE,
+    theme: 'midnight',
+    umbrellaStartHour: 7,
+    umbrellaEndHour: 20
+};
+
+// PREFERENCE_MIGRATIONS[n] upgrades version n to n + 1. obsoleteKeys are
+// removed only after the upgraded object has been saved.
+const PREFERENCE_MIGRATIONS = [
+    // 0 → 1: gather the single keys written before the store existed
+    {
+        obsoleteKeys: ['appleTV_selectedCity', 'appleTV_units'],
+        migrate: (prefs, storage) => ({
+            ...prefs,
+            lastCity: storage.getItem('appleTV_selectedCity'),
+            units: storage.getItem('appleTV_units') || prefs.units
+        })
+    }
+];
+
+// Accepted values per preference; anything else is replaced by the default
+const PREFERENCE_VALIDATORS = {
+    defaultCity: (value) => value === null || typeof value === 'string',
+    lastCity: (value) => value === null || typeof value === 'string',
+    defaultTimeRange: (value) => Object.keys(TIME_RANGES).includes(value),
+    refreshMinutes: (value) => REFRESH_INTERVAL_OPTIONS.includes(value),
+    units: (value) => Object.keys(UNIT_SYSTEMS).includes(value),
+    language: (value) => Object.keys(LANGUAGES).includes(value),
+    theme: (value) => Object.keys(THEMES).includes(value),
+    umbrellaStartHour: (value) => UMBRELLA_HOUR_OPTIONS.slice(0, -1).includes(value),
+    umbrellaEndHour: (value) => UMBRELLA_HOUR_OPTIONS.slice(1).includes(value)
+};
+
+class PreferencesStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.overrides = {};
+        this.values = this.load();
+    }
+    
+    get(key) {
+        return key in this.overrides ? this.overrides[key] : this.values[key];
+    }
+    
+    set(key, value) {
+        if (!PREFERENCE_VALIDATORS[key](value)) {
+            throw new Error(`Invalid value for preference "${key}": ${value}`);
+        }
+        
+        delete this.overrides[key];
+        this.values[key] = value;
+        this.save();
+    }
+    
+    // Used instead of the stored value until the preference is set
+    override(key, value) {
+        if (!PREFERENCE_VALIDATORS[key](value)) {
+            throw new Error(`Invalid value for preference "${key}": ${value}`);
+        }
+        
+        this.overrides[key] = value;
+    }
+    
+    isOverridden(key) {
+        return key in this.overrides;
+    }
+    
+    // Back to the defaults; the last opened city is state, not a preference
+    reset() {
+        this.overrides = {};
+        this.values = { ...PREFERENCE_DEFAULTS, lastCity: this.values.lastCity, version: PREFERENCES_VERSION };
+        this.save();
+    }
+    
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(this.storage.getItem(PREFERENCES_KEY));
+        } catch (e) {
+            console.warn('Could not load preferences from localStorage:', e);
+        }
+        
+        let prefs = stored && typeof stored === 'object' ? stored : {};
+        let version = Number.isInteger(prefs.version) ? prefs.version : 0;
+        const obsoleteKeys = [];
+        
+        try {
+            while (version < PREFERENCES_VERSION) {
+                const migration = PREFERENCE_MIGRATIONS[version];
+                prefs = migration.migrate({ ...PREFERENCE_DEFAULTS, ...prefs }, this.storage);
+                obsoleteKeys.push(...migration.obsoleteKeys);
+                version++;
+            }
+        } catch (e) {
+            console.warn('Could not migrate preferences, using defaults:', e);
+            prefs = {};
+            version = PREFERENCES_VERSION;
+            obsoleteKeys.length = 0;
+        }
+        
+        this.values = this.sanitize(prefs);
+        this.values.version = version;
+        
+        if (obsoleteKeys.length > 0 && this.save()) {
+            obsoleteKeys.forEach(key => this.storage.removeItem(key));
+        }
+        
+        return this.values;
+    }
+    
+    sanitize(prefs) {
+        const values = {};
+        Object.keys(PREFERENCE_DEFAULTS).forEach(key => {
+            values[key] = key in prefs && PREFERENCE_VALIDATORS[key](prefs[key]) ? prefs[key] : PREFERENCE_DEFAULTS[key];
+        });
+        return values;
+    }
+    
+    // Returns true when the preferences were written
+    save() {
+        try {
+            this.storage.setItem(PREFERENCES_KEY, JSON.stringify(this.values));
+            return true;
+        } catch (e) {
+            console.warn('Could not save preferences to localStorage:', e);
+            return false;
+        }
+    }
+}
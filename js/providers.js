@@ -0,0 +1,580 @@
+// ===========================
+// Weather Providers
+// - One normalized hourly / daily model for every data source
+// - Open-Meteo: hourly forecast API
+// - JMA: 気象庁 forecast JSON (bosai)
+// ===========================
+//
+// Normalized model returned by fetchHourly():
+// {
+//     provider: 'openMeteo',
+//     hourly: {
+//         time: [epoch ms, ...],
+//         temperature: [°C], precipitation: [mm], humidity: [%],
+//         windSpeed: [m/s], weatherCode: [WMO code], isDay: [true / false],
+//         precipitationProbability: [%],
+//         layers: { pressure: [hPa], ... }   // only the requested chart layers
+//     },
+//     units: 'metric',
+//     timezone: 'Asia/Tokyo'   // Open-Meteo only: the place's IANA zone
+// }
+// Values are in the unit system passed as options.units (see units.js);
+// the model records its id so cached data is never shown with the wrong labels.
+//
+// Normalized model returned by fetchDaily():
+// {
+//     provider: 'openMeteo',
+//     daily: {
+//         time: [epoch ms of local midnight, ...],
+//         temperatureMax: [°C], temperatureMin: [°C], precipitationSum: [mm],
+//         precipitationProbabilityMax: [%], weatherCode: [WMO code]
+//     },
+//     units: 'metric'
+// }
+// Values a provider cannot supply are null.
+//
+// Sun times from OpenMeteoProvider.fetchSunTimes() (any city, whatever its provider):
+// {
+//     time: [epoch ms of local midnight, ...],   // from yesterday on
+//     sunrise: [epoch ms], sunset: [epoch ms]
+// }
+//
+// Several models side by side from OpenMeteoProvider.fetchModels():
+// {
+//     time: [epoch ms, ...],   // from the current hour on
+//     models: { ecmwf_ifs025: { temperature: [°C], precipitation: [mm] }, ... },
+//     units: 'metric'
+// }
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class WeatherProvider {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        
+        // Whether the past hours of fetchHourly() are measured values, which
+        // the forecast accuracy screen can score forecasts against
+        this.observesPast = false;
+    }
+    
+    // Whether this provider has data for the given city
+    supports(city) {
+        return true;
+    }
+    
+    // Fetch past + future hourly data and return the normalized model.
+    // options.signal (AbortSignal) cancels the request.
+    async fetchHourly(city, options) {
+        throw new Error(`${this.id}: fetchHourly() is not implemented`);
+    }
+    
+    // Fetch up to `days` days of daily highs / lows and return the normalized model
+    async fetchDaily(city, options) {
+        throw new Error(`${this.id}: fetchDaily() is not implemented`);
+    }
+    
+    createModel(time, units) {
+        const empty = () => time.map(() => null);
+        
+        return {
+            provider: this.id,
+            units: units.id,
+            hourly: {
+                time,
+                temperature: empty(),
+                precipitation: empty(),
+                humidity: empty(),
+                windSpeed: empty(),
+                weatherCode: empty(),
+                isDay: empty(),
+                precipitationProbability: empty(),
+                layers: {}
+            }
+        };
+    }
+    
+    createDailyModel(time, units) {
+        const empty = () => time.map(() => null);
+        
+        return {
+            provider: this.id,
+            units: units.id,
+            daily: {
+                time,
+                temperatureMax: empty(),
+                temperatureMin: empty(),
+                precipitationSum: empty(),
+                precipitationProbabilityMax: empty(),
+                weatherCode: empty()
+            }
+        };
+    }
+}
+
+// ===========================
+// Open-Meteo
+// ===========================
+class OpenMeteoProvider extends WeatherProvider {
+    // baseUrl: forecast endpoint of a self-hosted Open-Meteo (config.json)
+    constructor(baseUrl = 'https://api.open-meteo.com/v1/forecast') {
+        super('openMeteo', 'Open-Meteo');
+        this.baseUrl = baseUrl;
+        this.observesPast = true;
+        
+        // Chart layer id → hourly variable
+        this.layerVariables = {
+            apparentTemperature: 'apparent_temperature',
+            dewPoint: 'dew_point_2m',
+            pressure: 'surface_pressure',
+            uvIndex: 'uv_index',
+            cloudCover: 'cloud_cover',
+            snowfall: 'snowfall'
+        };
+    }
+    
+    async fetchHourly(city, { pastHours, forecastHours, units, layers = [], signal }) {
+        const variables = [
+            'temperature_2m', 'precipitation', 'relative_humidity_2m', 'wind_speed_10m', 'weather_code', 'is_day',
+            'precipitation_probability',
+            ...layers.map(layer => this.layerVariables[layer]).filter(Boolean)
+        ];
+        
+        const response = await fetch(
+            `${this.baseUrl}?` +
+            `latitude=${city.lat}&longitude=${city.lon}` +
+            `&hourly=${variables.join(',')}` +
+            `&past_hours=${pastHours}&forecast_hours=${forecastHours}` +
+            `${this.unitQuery(units)}` +
+            `&timezone=${encodeURIComponent(city.timezone || 'auto')}&timeformat=unixtime`,
+            { signal }
+        );
+        
+        if (!response.ok) {
+            throw new Error('Open-Meteo request failed');
+        }
+        
+        return this.normalize(await response.json(), units, layers);
+    }
+    
+    async fetchDaily(city, { days, units, signal }) {
+        const response = await fetch(
+            `${this.baseUrl}?` +
+            `latitude=${city.lat}&longitude=${city.lon}` +
+            `&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code,precipitation_probability_max` +
+            `&forecast_days=${days}` +
+            `${this.unitQuery(units)}` +
+            `&timezone=${encodeURIComponent(city.timezone || 'auto')}&timeformat=unixtime`,
+            { signal }
+        );
+        
+        if (!response.ok) {
+            throw new Error('Open-Meteo daily request failed');
+        }
+        
+        return this.normalizeDaily(await response.json(), units);
+    }
+    
+    // Yesterday is included for the past part of the chart and the day length change
+    async fetchSunTimes(city, { days, signal }) {
+        const response = await fetch(
+            `${this.baseUrl}?` +
+            `latitude=${city.lat}&longitude=${city.lon}` +
+            `&daily=sunrise,sunset&past_days=1&forecast_days=${days}` +
+            `&timezone=${encodeURIComponent(city.timezone || 'auto')}&timeformat=unixtime`,
+            { signal }
+        );
+        
+        if (!response.ok) {
+            throw new Error('Open-Meteo sun times request failed');
+        }
+        
+        return this.normalizeSunTimes(await response.json());
+    }
+    
+    // models: Open-Meteo model ids, e.g. ['jma_seamless', 'gfs_seamless']
+    async fetchModels(city, { forecastHours, units, models, signal }) {
+        const response = await fetch(
+            `${this.baseUrl}?` +
+            `latitude=${city.lat}&longitude=${city.lon}` +
+            `&hourly=temperature_2m,precipitation&models=${models.join(',')}` +
+            `&forecast_hours=${forecastHours}` +
+            `${this.unitQuery(units)}` +
+            `&timezone=${encodeURIComponent(city.timezone || 'auto')}&timeformat=unixtime`,
+            { signal }
+        );
+        
+        if (!response.ok) {
+            throw new Error('Open-Meteo models request failed');
+        }
+        
+        return this.normalizeModels(await response.json(), units, models);
+    }
+    
+    // With several models every variable comes back suffixed with the model id.
+    // A model missing from the response (outside its area) is left out.
+    normalizeModels(data, units, models) {
+        const hourly = data.hourly;
+        const result = { time: hourly.time.map(seconds => seconds * 1000), models: {}, units: units.id };
+        
+        models.forEach(model => {
+            const temperature = hourly[`temperature_2m_${model}`];
+            if (!temperature || temperature.every(value => value === null)) return;
+            
+            const empty = () => new Array(temperature.length).fill(null);
+            result.models[model] = {
+                temperature,
+                precipitation: hourly[`precipitation_${model}`] || empty()
+            };
+        });
+        return result;
+    }
+    
+    // Polar days and nights have no sunrise / sunset
+    normalizeSunTimes(data) {
+        const toMs = (seconds) => (seconds === null ? null : seconds * 1000);
+        
+        return {
+            time: data.daily.time.map(toMs),
+            sunrise: data.daily.sunrise.map(toMs),
+            sunset: data.daily.sunset.map(toMs)
+        };
+    }
+    
+    // Always explicit: the API defaults to km/h for wind
+    unitQuery(units) {
+        return Object.entries(units.params).map(([name, value]) => `&${name}=${value}`).join('');
+    }
+    
+    normalizeDaily(data, units) {
+        const daily = data.daily;
+        const model = this.createDailyModel(daily.time.map(seconds => seconds * 1000), units);
+        
+        model.daily.temperatureMax = daily.temperature_2m_max;
+        model.daily.temperatureMin = daily.temperature_2m_min;
+        model.daily.precipitationSum = daily.precipitation_sum;
+        model.daily.precipitationProbabilityMax = daily.precipitation_probability_max;
+        model.daily.weatherCode = daily.weather_code;
+        
+        return model;
+    }
+    
+    // Current conditions for several cities in one request (overview map)
+    async fetchCurrentBatch(cities, units) {
+        const response = await fetch(
+            `${this.baseUrl}?` +
+            `latitude=${cities.map(city => city.lat).join(',')}` +
+            `&longitude=${cities.map(city => city.lon).join(',')}` +
+            `&current=temperature_2m,weather_code,is_day${this.unitQuery(units)}&timezone=auto`
+        );
+        
+        if (!response.ok) {
+            throw new Error('Open-Meteo batch request failed');
+        }
+        
+        // A single location comes back as an object instead of an array
+        const data = await response.json();
+        const locations = Array.isArray(data) ? data : [data];
+        
+        return locations.map(location => ({
+            temperature: location.current.temperature_2m,
+            weatherCode: location.current.weather_code,
+            isDay: this.toIsDay(location.current.is_day)
+        }));
+    }
+    
+    // is_day is 1 / 0
+    toIsDay(value) {
+        return value === null || value === undefined ? null : value === 1;
+    }
+    
+    normalize(data, units, layers = []) {
+        const hourly = data.hourly;
+        const model = this.createModel(hourly.time.map(seconds => seconds * 1000), units);
+        
+        // With timezone=auto this is the zone Open-Meteo found for the coordinates
+        if (data.timezone) {
+            model.timezone = data.timezone;
+        }
+        
+        model.hourly.temperature = hourly.temperature_2m;
+        model.hourly.precipitation = hourly.precipitation;
+        model.hourly.humidity = hourly.relative_humidity_2m;
+        model.hourly.windSpeed = hourly.wind_speed_10m;
+        model.hourly.weatherCode = hourly.weather_code;
+        if (hourly.is_day) {
+            model.hourly.isDay = hourly.is_day.map(value => this.toIsDay(value));
+        }
+        if (hourly.precipitation_probability) {
+            model.hourly.precipitationProbability = hourly.precipitation_probability;
+        }
+        
+        layers.forEach(layer => {
+            const values = hourly[this.layerVariables[layer]];
+            if (values) {
+                model.hourly.layers[layer] = values;
+            }
+        });
+        
+        return model;
+    }
+}
+
+// ===========================
+// Japan Meteorological Agency
+// ===========================
+class JMAProvider extends WeatherProvider {
+    constructor() {
+        super('jma', '気象庁');
+        this.baseUrl = 'https://www.jma.go.jp/bosai/forecast/data/forecast';
+    }
+    
+    supports(city) {
+        return Boolean(city.jmaArea);
+    }
+    
+    async fetchHourly(city, { pastHours, forecastHours, units, signal }) {
+        const response = await fetch(`${this.baseUrl}/${city.jmaArea}.json`, { signal });
+        
+        if (!response.ok) {
+            throw new Error('JMA forecast request failed');
+        }
+        
+        return this.normalize(await response.json(), { pastHours, forecastHours, units, now: Date.now() });
+    }
+    
+    // JMA publishes °C only; values are converted to the requested units here
+    normalize(reports, { pastHours, forecastHours, units, now }) {
+        // Same hourly grid as Open-Meteo: past hours, then the current hour onwards
+        const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+        const time = Array.from(
+            { length: pastHours + forecastHours },
+            (_, i) => currentHour + (i - pastHours) * HOUR_MS
+        );
+        const model = this.createModel(time, units);
+        
+        // The JMA feed only carries forecasts, so past hours stay empty
+        const temperatureAnchors = this.getTemperatureAnchors(reports);
+        const weatherCodes = this.getWeatherCodes(reports);
+        const pops = this.getPops(reports);
+        
+        time.forEach((t, i) => {
+            if (t < currentHour) return;
+            model.hourly.temperature[i] = convertTemperature(this.interpolate(temperatureAnchors, t), units);
+            model.hourly.weatherCode[i] = this.codeAt(weatherCodes, t);
+            model.hourly.precipitationProbability[i] = this.popAt(pops, t);
+        });
+        
+        return model;
+    }
+    
+    async fetchDaily(city, { days, units, signal }) {
+        const response = await fetch(`${this.baseUrl}/${city.jmaArea}.json`, { signal });
+        
+        if (!response.ok) {
+            throw new Error('JMA forecast request failed');
+        }
+        
+        return this.normalizeDaily(await response.json(), { days, units });
+    }
+    
+    // The weekly report (reports[1]) covers about 7 days; today's values
+    // come from the short-term report when the weekly one starts tomorrow.
+    normalizeDaily(reports, { days, units }) {
+        const entries = {};
+        const entryFor = (timeDefine) => {
+            const midnight = this.toJstMidnight(new Date(timeDefine).getTime());
+            entries[midnight] = entries[midnight] || {};
+            return entries[midnight];
+        };
+        const setIfEmpty = (entry, field, value) => {
+            if (entry[field] === undefined || entry[field] === null) {
+                entry[field] = value;
+            }
+        };
+        const parse = (value) => {
+            const number = parseFloat(value);
+            return Number.isNaN(number) ? null : number;
+        };
+        
+        const weekly = reports[1];
+        if (weekly) {
+            const weather = this.findSeries(weekly, 'weatherCodes');
+            if (weather) {
+                weather.timeDefines.forEach((timeDefine, i) => {
+                    const entry = entryFor(timeDefine);
+                    entry.weatherCode = this.toWmoCode(parseInt(weather.areas[0].weatherCodes[i], 10));
+                    entry.pop = parse(weather.areas[0].pops && weather.areas[0].pops[i]);
+                });
+            }
+            
+            const temps = this.findSeries(weekly, 'tempsMin');
+            if (temps) {
+                temps.timeDefines.forEach((timeDefine, i) => {
+                    const entry = entryFor(timeDefine);
+                    entry.max = parse(temps.areas[0].tempsMax[i]);
+                    entry.min = parse(temps.areas[0].tempsMin[i]);
+                });
+            }
+        }
+        
+        const shortWeather = this.findSeries(reports[0], 'weatherCodes');
+        if (shortWeather) {
+            shortWeather.timeDefines.forEach((timeDefine, i) => {
+                setIfEmpty(entryFor(timeDefine), 'weatherCode',
+                    this.toWmoCode(parseInt(shortWeather.areas[0].weatherCodes[i], 10)));
+            });
+        }
+        
+        const shortPops = this.findSeries(reports[0], 'pops');
+        if (shortPops) {
+            shortPops.timeDefines.forEach((timeDefine, i) => {
+                const entry = entryFor(timeDefine);
+                const pop = parse(shortPops.areas[0].pops[i]);
+                if (pop !== null && (entry.shortPop === undefined || pop > entry.shortPop)) {
+                    entry.shortPop = pop;
+                }
+            });
+        }
+        
+        // Short-term temps: the 00:00 value is the low, the 09:00 value the high
+        const shortTemps = this.findSeries(reports[0], 'temps');
+        if (shortTemps) {
+            shortTemps.timeDefines.forEach((timeDefine, i) => {
+                const t = new Date(timeDefine).getTime();
+                const entry = entryFor(timeDefine);
+                const isHigh = t - this.toJstMidnight(t) >= 9 * HOUR_MS;
+                setIfEmpty(entry, isHigh ? 'max' : 'min', parse(shortTemps.areas[0].temps[i]));
+            });
+        }
+        
+        const time = Object.keys(entries).map(Number).sort((a, b) => a - b).slice(0, days);
+        const model = this.createDailyModel(time, units);
+        
+        time.forEach((t, i) => {
+            const entry = entries[t];
+            model.daily.temperatureMax[i] = convertTemperature(entry.max, units);
+            model.daily.temperatureMin[i] = convertTemperature(entry.min, units);
+            model.daily.weatherCode[i] = entry.weatherCode === undefined ? null : entry.weatherCode;
+            
+            const pop = entry.pop === undefined || entry.pop === null ? entry.shortPop : entry.pop;
+            model.daily.precipitationProbabilityMax[i] = pop === undefined ? null : pop;
+        });
+        
+        return model;
+    }
+    
+    // JMA data is always in JST (UTC+9, no DST)
+    toJstMidnight(t) {
+        const offset = 9 * HOUR_MS;
+        return Math.floor((t + offset) / DAY_MS) * DAY_MS - offset;
+    }
+    
+    // JMA publishes daily lows at 00:00 and highs at 09:00 local time.
+    // Shift them to typical times of day (05:00 and 14:00) so they can be
+    // interpolated into an hourly curve.
+    getTemperatureAnchors(reports) {
+        const anchors = [];
+        const addAnchor = (publishedAt, value) => {
+            const temp = parseFloat(value);
+            if (Number.isNaN(temp)) return;
+            
+            const t = publishedAt + 5 * HOUR_MS;
+            if (anchors.some(anchor => Math.abs(anchor.time - t) < 3 * HOUR_MS)) return;
+            anchors.push({ time: t, value: temp });
+        };
+        
+        const shortTerm = this.findSeries(reports[0], 'temps');
+        if (shortTerm) {
+            shortTerm.timeDefines.forEach((timeDefine, i) => {
+                addAnchor(new Date(timeDefine).getTime(), shortTerm.areas[0].temps[i]);
+            });
+        }
+        
+        const weekly = reports[1] && this.findSeries(reports[1], 'tempsMin');
+        if (weekly) {
+            weekly.timeDefines.forEach((timeDefine, i) => {
+                const midnight = new Date(timeDefine).getTime();
+                addAnchor(midnight, weekly.areas[0].tempsMin[i]);
+                addAnchor(midnight + 9 * HOUR_MS, weekly.areas[0].tempsMax[i]);
+            });
+        }
+        
+        return anchors.sort((a, b) => a.time - b.time);
+    }
+    
+    getWeatherCodes(reports) {
+        const codes = [];
+        const addCodes = (series) => {
+            if (!series) return;
+            series.timeDefines.forEach((timeDefine, i) => {
+                const t = new Date(timeDefine).getTime();
+                const last = codes[codes.length - 1];
+                if (last && t <= last.time) return;
+                codes.push({ time: t, code: this.toWmoCode(parseInt(series.areas[0].weatherCodes[i], 10)) });
+            });
+        };
+        
+        addCodes(this.findSeries(reports[0], 'weatherCodes'));
+        addCodes(reports[1] && this.findSeries(reports[1], 'weatherCodes'));
+        
+        return codes;
+    }
+    
+    // 降水確率 of the short-term report, one value per 6-hour block: [{ time, pop }]
+    getPops(reports) {
+        const series = this.findSeries(reports[0], 'pops');
+        if (!series) return [];
+        
+        return series.timeDefines
+            .map((timeDefine, i) => ({ time: new Date(timeDefine).getTime(), pop: parseFloat(series.areas[0].pops[i]) }))
+            .filter(entry => !Number.isNaN(entry.pop));
+    }
+    
+    popAt(pops, t) {
+        const block = pops.find(entry => t >= entry.time && t < entry.time + 6 * HOUR_MS);
+        return block ? block.pop : null;
+    }
+    
+    findSeries(report, field) {
+        return report.timeSeries.find(series => series.areas[0] && series.areas[0][field]);
+    }
+    
+    interpolate(anchors, t) {
+        for (let i = 0; i < anchors.length - 1; i++) {
+            const a = anchors[i];
+            const b = anchors[i + 1];
+            if (t >= a.time && t <= b.time) {
+                const ratio = (t - a.time) / (b.time - a.time);
+                return Math.round((a.value + (b.value - a.value) * ratio) * 10) / 10;
+            }
+        }
+        return null;
+    }
+    
+    codeAt(codes, t) {
+        if (codes.length === 0) return null;
+        
+        let current = codes[0];
+        for (const entry of codes) {
+            if (entry.time > t) break;
+            current = entry;
+        }
+        return current.code;
+    }
+    
+    // Coarse mapping from JMA 天気コード to WMO weather codes
+    toWmoCode(jmaCode) {
+        if (Number.isNaN(jmaCode)) return null;
+        if (jmaCode === 350 || jmaCode === 450) return 95; // With thunder
+        
+        switch (Math.floor(jmaCode / 100)) {
+            case 1: return jmaCode === 100 ? 0 : 2;   // 晴れ
+            case 2: return 3;                          // 曇り
+            case 3: return 61;                         // 雨
+            case 4: return 71;                         // 雪
+            default: return null;
+        }
+    }
+}
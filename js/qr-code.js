@@ -0,0 +1,358 @@
+// ===========================
+// QR Code
+// - Encodes text locally (byte mode, error correction level M), so sharing
+//   a link needs no external service
+// - Versions 1-10: up to 213 bytes, plenty for a deep link
+// - createQrMatrix(text) → rows of booleans (true = dark); renderQrSvg() draws it
+// ===========================
+
+// Per version (index 0 = version 1): error correction codewords per block
+// and the data codewords of each block, level M
+const QR_VERSIONS = [
+    { ec: 10, blocks: [16] },
+    { ec: 16, blocks: [28] },
+    { ec: 26, blocks: [44] },
+    { ec: 18, blocks: [32, 32] },
+    { ec: 24, blocks: [43, 43] },
+    { ec: 16, blocks: [27, 27, 27, 27] },
+    { ec: 18, blocks: [31, 31, 31, 31] },
+    { ec: 22, blocks: [38, 38, 39, 39] },
+    { ec: 22, blocks: [36, 36, 36, 37, 37] },
+    { ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+
+// Centers of the alignment patterns per version (rows and columns alike)
+const QR_ALIGNMENT_POSITIONS = [
+    [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Format bits of level M (00); levels L / Q / H are not used
+const QR_LEVEL_M_BITS = 0;
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const QR_EXP = new Array(512);
+const QR_LOG = new Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        QR_EXP[i] = value;
+        QR_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) {
+        QR_EXP[i] = QR_EXP[i - 255];
+    }
+})();
+
+// The eight data masks; x is the column, y the row
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function qrMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : QR_EXP[QR_LOG[a] + QR_LOG[b]];
+}
+
+// Reed-Solomon error correction codewords for one block
+function getQrErrorCorrection(data, degree) {
+    // Generator polynomial (x - α^0)(x - α^1)...; highest power first
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= qrMultiply(coefficient, QR_EXP[i]);
+        });
+        generator = next;
+    }
+    
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= qrMultiply(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// Remainder of value · 2^degree divided by a BCH generator, appended to value
+function getQrBchCode(value, generator, degree) {
+    let remainder = value << degree;
+    const top = Math.floor(Math.log2(generator));
+    for (let bit = Math.floor(Math.log2(remainder || 1)); bit >= top; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= generator << (bit - top);
+        }
+    }
+    return (value << degree) | remainder;
+}
+
+// 15 format bits: level and mask, error-protected and masked
+function getQrFormatBits(mask) {
+    return getQrBchCode((QR_LEVEL_M_BITS << 3) | mask, 0x537, 10) ^ 0x5412;
+}
+
+// 18 version bits, only drawn from version 7 on
+function getQrVersionBits(version) {
+    return getQrBchCode(version, 0x1f25, 12);
+}
+
+// Smallest version that holds the bytes; throws for longer text
+function getQrVersion(byteCount) {
+    const index = QR_VERSIONS.findIndex((version, i) => {
+        const countBits = i + 1 < 10 ? 8 : 16;
+        const capacity = version.blocks.reduce((sum, count) => sum + count, 0) * 8;
+        return 4 + countBits + byteCount * 8 <= capacity;
+    });
+    if (index < 0) {
+        throw new Error(`Too long for a QR code: ${byteCount} bytes`);
+    }
+    return index + 1;
+}
+
+// Data codewords: mode, length, bytes, terminator and padding
+function getQrDataCodewords(bytes, version) {
+    const capacity = QR_VERSIONS[version - 1].blocks.reduce((sum, count) => sum + count, 0);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Blocks with their error correction, interleaved in transmission order
+function getQrCodewords(data, version) {
+    const { ec, blocks } = QR_VERSIONS[version - 1];
+    let offset = 0;
+    const dataBlocks = blocks.map(count => {
+        const block = data.slice(offset, offset + count);
+        offset += count;
+        return block;
+    });
+    const ecBlocks = dataBlocks.map(block => getQrErrorCorrection(block, ec));
+    
+    const codewords = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+        dataBlocks.forEach(block => {
+            if (i < block.length) codewords.push(block[i]);
+        });
+    }
+    for (let i = 0; i < ec; i++) {
+        ecBlocks.forEach(block => codewords.push(block[i]));
+    }
+    return codewords;
+}
+
+// Finder, timing and alignment patterns, the dark module and the version
+// bits; reserved marks them and the format bit areas as off-limits for data
+function createQrTemplate(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+    
+    // Finder patterns with their light separators
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+        for (let dy = -1; dy <= 7; dy++) {
+            for (let dx = -1; dx <= 7; dx++) {
+                const x = left + dx;
+                const y = top + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                
+                const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                set(x, y, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+    
+    for (let i = 8; i < size - 8; i++) {
+        set(i, 6, i % 2 === 0);
+        set(6, i, i % 2 === 0);
+    }
+    
+    // Alignment patterns may cross the timing lines, but not the finders
+    const positions = QR_ALIGNMENT_POSITIONS[version - 1];
+    const last = positions[positions.length - 1];
+    positions.forEach(cy => positions.forEach(cx => {
+        if ((cx === 6 && cy === 6) || (cx === 6 && cy === last) || (cx === last && cy === 6)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+    
+    // Format bit areas (filled in per mask) and the always-dark module
+    for (let i = 0; i < 9; i++) {
+        if (!reserved[8][i]) set(i, 8, false);
+        if (!reserved[i][8]) set(8, i, false);
+    }
+    for (let i = 0; i < 8; i++) {
+        set(size - 1 - i, 8, false);
+        set(8, size - 1 - i, false);
+    }
+    set(8, size - 8, true);
+    
+    if (version >= 7) {
+        const bits = getQrVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+    
+    return { size, modules, reserved };
+}
+
+function drawQrFormatBits(modules, size, mask) {
+    const bits = getQrFormatBits(mask);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    
+    // Around the top left finder...
+    for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+    
+    // ...and split between the other two
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+}
+
+// Codeword bits in the two-column zigzag from the bottom right corner
+function placeQrData(modules, reserved, codewords) {
+    const size = modules.length;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // The vertical timing pattern takes a whole column
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x] || i >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                i++;
+            }
+        }
+    }
+}
+
+// Penalty rules of the standard; the mask with the lowest score is used
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    
+    const finderLike = [true, false, true, true, true, false, true];
+    const light = [false, false, false, false];
+    const matches = (line, start, pattern) => pattern.every((dark, k) => line[start + k] === dark);
+    
+    lines.forEach(line => {
+        // Runs of five or more
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        
+        // 1:1:3:1:1 finder lookalikes next to four light modules
+        for (let i = 0; i + 11 <= size; i++) {
+            if ((matches(line, i, finderLike) && matches(line, i + 7, light)) ||
+                (matches(line, i, light) && matches(line, i + 4, finderLike))) {
+                penalty += 40;
+            }
+        }
+    });
+    
+    // 2 × 2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                penalty += 3;
+            }
+        }
+    }
+    
+    // Balance of dark and light
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    
+    return penalty;
+}
+
+function createQrMatrix(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    const version = getQrVersion(bytes.length);
+    const { size, modules, reserved } = createQrTemplate(version);
+    placeQrData(modules, reserved, getQrCodewords(getQrDataCodewords(bytes, version), version));
+    
+    let best = null;
+    QR_MASKS.forEach((mask, maskIndex) => {
+        const masked = modules.map((row, y) => row.map((dark, x) => reserved[y][x] ? dark : dark !== mask(x, y)));
+        drawQrFormatBits(masked, size, maskIndex);
+        
+        const penalty = getQrPenalty(masked);
+        if (!best || penalty < best.penalty) {
+            best = { modules: masked, penalty };
+        }
+    });
+    return best.modules;
+}
+
+// SVG markup with a light quiet zone, one path for all dark modules
+function renderQrSvg(matrix, quietZone = 4) {
+    const size = matrix.length + quietZone * 2;
+    const path = matrix.flatMap((row, y) => row
+        .map((dark, x) => dark ? `M${x + quietZone} ${y + quietZone}h1v1h-1z` : '')
+        .filter(Boolean)).join('');
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,106 @@
+// ===========================
+// Refresh Scheduler
+// - Runs one refresh at a time; starting a new one aborts the one in flight
+// - Regular interval, but never sleeps past the top of the hour,
+//   when the forecast models publish new runs
+// - Exponential backoff with jitter after failures
+// - Pauses while the page is hidden and refreshes at once on return
+// ===========================
+
+// Models publish a little after the hour
+const REFRESH_HOUR_OFFSET_MS = 2 * 60 * 1000;
+
+const REFRESH_BACKOFF_BASE_MS = 30 * 1000;
+const REFRESH_BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+class RefreshScheduler {
+    // task(signal) resolves when the refresh succeeded and rejects when it failed.
+    // It should stop touching the UI once the signal has been aborted.
+    constructor(task, intervalMs) {
+        this.task = task;
+        this.intervalMs = intervalMs;
+        this.failures = 0;
+        this.started = false;
+        this.timeout = null;
+        this.controller = null;
+        
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    }
+    
+    start() {
+        this.started = true;
+        return this.refreshNow();
+    }
+    
+    stop() {
+        this.started = false;
+        clearTimeout(this.timeout);
+        this.abort();
+    }
+    
+    setInterval(intervalMs) {
+        this.intervalMs = intervalMs;
+        this.schedule();
+    }
+    
+    abort() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+    
+    async refreshNow() {
+        clearTimeout(this.timeout);
+        this.abort();
+        
+        const controller = new AbortController();
+        this.controller = controller;
+        
+        try {
+            await this.task(controller.signal);
+            if (controller.signal.aborted) return;
+            this.failures = 0;
+        } catch (error) {
+            // Superseded by a newer refresh, which schedules the next one
+            if (controller.signal.aborted) return;
+            this.failures++;
+        }
+        
+        this.controller = null;
+        this.schedule();
+    }
+    
+    schedule() {
+        clearTimeout(this.timeout);
+        if (!this.started || document.hidden) return;
+        
+        this.timeout = setTimeout(() => this.refreshNow(), this.getDelay());
+    }
+    
+    getDelay(now = Date.now()) {
+        if (this.failures > 0) {
+            // 30 s, 1 min, 2 min, ... up to 30 min, randomized between half and
+            // full length so many screens don't retry in lockstep
+            const backoff = Math.min(REFRESH_BACKOFF_BASE_MS * 2 ** (this.failures - 1), REFRESH_BACKOFF_MAX_MS);
+            return backoff / 2 + Math.random() * backoff / 2;
+        }
+        
+        let nextHour = Math.floor(now / HOUR_MS) * HOUR_MS + REFRESH_HOUR_OFFSET_MS;
+        if (nextHour <= now) {
+            nextHour += HOUR_MS;
+        }
+        
+        return Math.min(this.intervalMs, nextHour - now);
+    }
+    
+    handleVisibilityChange() {
+        if (!this.started) return;
+        
+        if (document.hidden) {
+            clearTimeout(this.timeout);
+        } else {
+            this.refreshNow();
+        }
+    }
+}
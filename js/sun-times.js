@@ -0,0 +1,47 @@
+// ===========================
+// Sun Times
+// - Night intervals for shading the hourly chart
+// - Today's day length and how it changed since yesterday
+// - Works on the sun times model from providers.js
+// ===========================
+
+// Night intervals { start, end } within start..end. Days without a
+// sunrise or sunset (polar regions) are skipped.
+function getNightBands(sun, start, end) {
+    const bands = [];
+    
+    // From midnight of the first day until its sunrise, then sunset to sunrise
+    let nightStart = sun.time[0];
+    sun.time.forEach((_, i) => {
+        const sunrise = sun.sunrise[i];
+        const sunset = sun.sunset[i];
+        if (sunrise === null || sunset === null) return;
+        
+        bands.push({ start: nightStart, end: sunrise });
+        nightStart = sunset;
+    });
+    bands.push({ start: nightStart, end });
+    
+    return bands
+        .map(band => ({ start: Math.max(band.start, start), end: Math.min(band.end, end) }))
+        .filter(band => band.end > band.start);
+}
+
+// Today's sunrise and sunset with the day length in ms; change is null
+// when yesterday's length is unknown
+function getDayLength(sun, now = Date.now()) {
+    const today = getCurrentIndex(sun.time, now);
+    const length = (i) => (
+        i >= 0 && sun.sunrise[i] !== null && sun.sunset[i] !== null ? sun.sunset[i] - sun.sunrise[i] : null
+    );
+    
+    const duration = length(today);
+    const previous = length(today - 1);
+    
+    return {
+        sunrise: sun.sunrise[today],
+        sunset: sun.sunset[today],
+        duration,
+        change: duration !== null && previous !== null ? duration - previous : null
+    };
+}
@@ -0,0 +1,89 @@
+// ===========================
+// Time Formatting
+// - Timestamps are epoch ms; they are shown in the city's timezone,
+//   not the device's, and in the UI language
+// ===========================
+
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+
+function formatTimeInZone(timestamp, timeZone, options) {
+    return new Date(timestamp).toLocaleString(getLocaleTag(), { timeZone: timeZone || DEFAULT_TIME_ZONE, ...options });
+}
+
+// Calendar date { year, month (1-12), day } in the given timezone
+function getDateInZone(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(new Date(timestamp));
+    
+    const part = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+// "2025-03-10", as the Open-Meteo date parameters expect
+function toIsoDate(timestamp, timeZone) {
+    const { year, month, day } = getDateInZone(timestamp, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// "2025-03-10T12:00+09:00": local time with its UTC offset, for exported data
+function toIsoDateTime(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'longOffset'
+    }).formatToParts(new Date(timestamp));
+    
+    const part = (type) => parts.find(p => p.type === type).value;
+    const offset = part('timeZoneName').replace('GMT', '') || '+00:00';
+    return `${toIsoDate(timestamp, timeZone)}T${part('hour')}:${part('minute')}${offset}`;
+}
+
+// 0-23 in the given timezone
+function getHourInZone(timestamp, timeZone) {
+    const hour = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).format(new Date(timestamp));
+    return parseInt(hour, 10);
+}
+
+// 0 (Sunday) - 6 (Saturday) in the given timezone
+function getWeekdayInZone(timestamp, timeZone) {
+    const weekday = new Date(timestamp).toLocaleString('en-US', {
+        timeZone: timeZone || DEFAULT_TIME_ZONE,
+        weekday: 'short'
+    });
+    return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+}
+
+// "5分前" / "3時間前" for data saved at savedAt
+function formatAge(savedAt, now = Date.now()) {
+    const minutes = Math.max(0, Math.floor((now - savedAt) / 60000));
+    return minutes < 60
+        ? translate('stale.minutesAgo', { n: minutes })
+        : translate('stale.hoursAgo', { n: Math.floor(minutes / 60) });
+}
+
+// "11時間42分"
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return translate('time.hoursMinutes', { h: Math.floor(minutes / 60), m: minutes % 60 });
+}
+
+// "+1分52秒" / "-45秒"
+function formatDurationChange(ms) {
+    const seconds = Math.round(Math.abs(ms) / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const text = minutes > 0
+        ? translate('time.minutesSeconds', { m: minutes, s: seconds % 60 })
+        : translate('common.seconds', { n: seconds });
+    return `${ms < 0 ? '-' : '+'}${text}`;
+}
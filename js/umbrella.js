@@ -0,0 +1,58 @@
+// ===========================
+// Umbrella
+// - 必要 / 折りたたみ / 不要 from the precipitation probability and amount
+//   of the hours still to come in the day's window (umbrella preferences)
+// - Once today's window is over, tomorrow's is judged instead
+// ===========================
+
+// Checked in order; the first level either value reaches wins
+// (probability in %, precipitation as the window's total in mm)
+const UMBRELLA_LEVELS = [
+    { id: 'needed', labelKey: 'umbrella.needed', icon: 'fa-umbrella', probability: 50, precipitation: 1 },
+    { id: 'folding', labelKey: 'umbrella.folding', icon: 'fa-umbrella', probability: 30, precipitation: 0.1 }
+];
+
+const UMBRELLA_NONE = { id: 'none', labelKey: 'umbrella.none', icon: 'fa-sun' };
+
+// Hour indexes inside the window on the given local date, from the current hour on
+function getUmbrellaHours(times, { day, startHour, endHour, now, timeZone }) {
+    return times
+        .map((time, i) => ({ time, i }))
+        .filter(({ time }) => time + HOUR_MS > now && toIsoDate(time, timeZone) === day)
+        .filter(({ time }) => {
+            const hour = getHourInZone(time, timeZone);
+            return hour >= startHour && hour < endHour;
+        })
+        .map(({ i }) => i);
+}
+
+// { level, day: 'today' | 'tomorrow', probability (max %), precipitation (total) },
+// or null without any probability or amount for the window.
+// options: { startHour, endHour, now, timeZone, units }
+function getUmbrellaAdvice(hourly, { startHour, endHour, now = Date.now(), timeZone, units }) {
+    const today = toIsoDate(now, timeZone);
+    const windowOver = getHourInZone(now, timeZone) >= endHour;
+    const day = windowOver ? 'tomorrow' : 'today';
+    const hours = getUmbrellaHours(hourly.time, {
+        day: windowOver ? toIsoDate(now + DAY_MS, timeZone) : today,
+        startHour,
+        endHour,
+        now,
+        timeZone
+    });
+    
+    // Data cached before the probability was fetched has none
+    const present = (values) => hours.map(i => values ? values[i] : null).filter(value => value !== null && value !== undefined);
+    const probabilities = present(hourly.precipitationProbability);
+    const amounts = present(hourly.precipitation);
+    if (probabilities.length === 0 && amounts.length === 0) return null;
+    
+    const probability = probabilities.length > 0 ? Math.max(...probabilities) : null;
+    const precipitation = amounts.length > 0 ? amounts.reduce((sum, value) => sum + value, 0) : null;
+    const level = UMBRELLA_LEVELS.find(candidate =>
+        (probability !== null && probability >= candidate.probability) ||
+        (precipitation !== null && precipitation >= convertPrecipitation(candidate.precipitation, units))
+    ) || UMBRELLA_NONE;
+    
+    return { level, day, probability, precipitation };
+}
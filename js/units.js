@@ -0,0 +1,66 @@
+// ===========================
+// Unit Systems
+// - Metric (m/s or km/h) and imperial (°F / mph / inch)
+// - Open-Meteo converts on the server; JMA temperatures are converted locally
+// ===========================
+
+const UNIT_SYSTEMS = {
+    metric: {
+        id: 'metric',
+        name: '°C・m/s',
+        temperature: '°C',
+        windSpeed: 'm/s',
+        precipitation: 'mm',
+        precipitationDigits: 1,
+        params: { temperature_unit: 'celsius', wind_speed_unit: 'ms', precipitation_unit: 'mm' }
+    },
+    metricKmh: {
+        id: 'metricKmh',
+        name: '°C・km/h',
+        temperature: '°C',
+        windSpeed: 'km/h',
+        precipitation: 'mm',
+        precipitationDigits: 1,
+        params: { temperature_unit: 'celsius', wind_speed_unit: 'kmh', precipitation_unit: 'mm' }
+    },
+    imperial: {
+        id: 'imperial',
+        name: '°F・mph',
+        temperature: '°F',
+        windSpeed: 'mph',
+        precipitation: 'inch',
+        precipitationDigits: 2,
+        params: { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' }
+    }
+};
+
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// Metric → display units, for sources that only publish metric values
+// and for thresholds stored in metric (alert rules)
+function convertTemperature(celsius, units) {
+    if (celsius === null || celsius === undefined) return null;
+    return units.temperature === '°F' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+function convertWindSpeed(metersPerSecond, units) {
+    if (metersPerSecond === null || metersPerSecond === undefined) return null;
+    return metersPerSecond * { 'm/s': 1, 'km/h': 3.6, 'mph': 2.236936 }[units.windSpeed];
+}
+
+function convertPrecipitation(millimeters, units) {
+    if (millimeters === null || millimeters === undefined) return null;
+    return units.precipitation === 'inch' ? millimeters / 25.4 : millimeters;
+}
+
+// Display units → °C, for temperatures stored whatever the unit setting (forecast accuracy)
+function toCelsius(temperature, units) {
+    if (temperature === null || temperature === undefined) return null;
+    return units.temperature === '°F' ? (temperature - 32) * 5 / 9 : temperature;
+}
+
+// A temperature difference (such as a forecast error) in °C → display units
+function convertTemperatureDifference(celsius, units) {
+    if (celsius === null || celsius === undefined) return null;
+    return units.temperature === '°F' ? celsius * 9 / 5 : celsius;
+}
@@ -0,0 +1,92 @@
+// ===========================
+// URL Parameters
+// - ?city=osaka&range=48 opens a saved city and range (also after # instead of ?)
+// - ?lat=..&lon=..&name=.. (and tz=) opens a place that is not in the favorites
+// - lang= and units= apply for this visit only; kiosk=1 locks the screen to one city
+// - The address follows the city and range on screen, so it can be bookmarked
+// ===========================
+
+// A key of TIME_RANGES from '48h' or just its number ('48', '7')
+function parseRangeParam(value) {
+    if (!value) return null;
+    if (TIME_RANGES[value]) return value;
+    return Object.keys(TIME_RANGES).find(key => String(TIME_RANGES[key].value) === value) || null;
+}
+
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// { lat, lon, name, timezone } when both coordinates are valid numbers
+function parsePlaceParams(params) {
+    const lat = Number(params.get('lat'));
+    const lon = Number(params.get('lon'));
+    if (!params.get('lat') || !params.get('lon') || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    
+    const timezone = params.get('tz');
+    return {
+        lat,
+        lon,
+        name: (params.get('name') || '').trim() || `${lat}, ${lon}`,
+        timezone: timezone && isTimeZone(timezone) ? timezone : null
+    };
+}
+
+// Everything the app understands from its address; values after # win over
+// the query. Unknown or invalid values come back as null.
+function parseAppParams(search, hash = '') {
+    const params = new URLSearchParams(search);
+    new URLSearchParams(hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+    
+    const language = params.get('lang');
+    const units = params.get('units');
+    return {
+        city: params.get('city') || null,
+        place: parsePlaceParams(params),
+        range: parseRangeParam(params.get('range')),
+        language: language && LANGUAGES[language] ? language : null,
+        units: units && UNIT_SYSTEMS[units] ? units : null,
+        kiosk: ['1', 'true'].includes(params.get('kiosk'))
+    };
+}
+
+// The city object for a linked place. The key comes from the coordinates,
+// so caches never mix two places.
+function createPlaceCity(place) {
+    return {
+        key: `place-${place.lat}_${place.lon}`,
+        name: place.name,
+        icon: 'fa-map-pin',
+        lat: place.lat,
+        lon: place.lon,
+        ...(place.timezone ? { timezone: place.timezone } : {})
+    };
+}
+
+// The app's own address for a state (the query and hash are replaced).
+// A place is written as coordinates, a saved city by its key.
+function buildAppUrl(baseUrl, { city, place = null, range, language = null, units = null, kiosk = false }) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = '';
+    
+    if (place) {
+        url.searchParams.set('lat', place.lat);
+        url.searchParams.set('lon', place.lon);
+        url.searchParams.set('name', place.name);
+        if (place.timezone) url.searchParams.set('tz', place.timezone);
+    } else {
+        url.searchParams.set('city', city);
+    }
+    url.searchParams.set('range', range);
+    if (language) url.searchParams.set('lang', language);
+    if (units) url.searchParams.set('units', units);
+    if (kiosk) url.searchParams.set('kiosk', '1');
+    return url.toString();
+}
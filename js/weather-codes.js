@@ -0,0 +1,57 @@
+// ===========================
+// Weather Codes
+// - The full WMO weather interpretation code table (as used by Open-Meteo)
+// - Descriptions are message keys; icons are Font Awesome classes
+// - Every provider normalizes its codes to WMO (see providers.js)
+// ===========================
+
+// nightIcon replaces icon while the sun is down (codes where the sky shows)
+const WEATHER_CODES = {
+    0: { labelKey: 'weather.clearSky', icon: 'fa-sun', nightIcon: 'fa-moon' },
+    1: { labelKey: 'weather.mainlyClear', icon: 'fa-sun', nightIcon: 'fa-moon' },
+    2: { labelKey: 'weather.partlyCloudy', icon: 'fa-cloud-sun', nightIcon: 'fa-cloud-moon' },
+    3: { labelKey: 'weather.overcast', icon: 'fa-cloud' },
+    45: { labelKey: 'weather.fog', icon: 'fa-smog' },
+    48: { labelKey: 'weather.rimeFog', icon: 'fa-smog' },
+    51: { labelKey: 'weather.drizzleLight', icon: 'fa-droplet' },
+    53: { labelKey: 'weather.drizzleModerate', icon: 'fa-droplet' },
+    55: { labelKey: 'weather.drizzleDense', icon: 'fa-droplet' },
+    56: { labelKey: 'weather.freezingDrizzleLight', icon: 'fa-icicles' },
+    57: { labelKey: 'weather.freezingDrizzleDense', icon: 'fa-icicles' },
+    61: { labelKey: 'weather.rainSlight', icon: 'fa-cloud-rain' },
+    63: { labelKey: 'weather.rainModerate', icon: 'fa-cloud-rain' },
+    65: { labelKey: 'weather.rainHeavy', icon: 'fa-cloud-showers-heavy' },
+    66: { labelKey: 'weather.freezingRainLight', icon: 'fa-icicles' },
+    67: { labelKey: 'weather.freezingRainHeavy', icon: 'fa-icicles' },
+    71: { labelKey: 'weather.snowSlight', icon: 'fa-snowflake' },
+    73: { labelKey: 'weather.snowModerate', icon: 'fa-snowflake' },
+    75: { labelKey: 'weather.snowHeavy', icon: 'fa-snowflake' },
+    77: { labelKey: 'weather.snowGrains', icon: 'fa-cloud-meatball' },
+    80: { labelKey: 'weather.showersSlight', icon: 'fa-cloud-sun-rain', nightIcon: 'fa-cloud-moon-rain' },
+    81: { labelKey: 'weather.showersModerate', icon: 'fa-cloud-sun-rain', nightIcon: 'fa-cloud-moon-rain' },
+    82: { labelKey: 'weather.showersViolent', icon: 'fa-cloud-showers-heavy' },
+    85: { labelKey: 'weather.snowShowersSlight', icon: 'fa-snowflake' },
+    86: { labelKey: 'weather.snowShowersHeavy', icon: 'fa-snowflake' },
+    95: { labelKey: 'weather.thunderstorm', icon: 'fa-bolt' },
+    96: { labelKey: 'weather.thunderstormHailSlight', icon: 'fa-cloud-bolt' },
+    99: { labelKey: 'weather.thunderstormHailHeavy', icon: 'fa-cloud-bolt' }
+};
+
+// Table entry, or null for a missing or unknown code
+function getWeatherInfo(weatherCode) {
+    if (weatherCode === null || weatherCode === undefined) return null;
+    return WEATHER_CODES[weatherCode] || null;
+}
+
+// isDay is false only when the provider says it is night; unknown counts as day
+function getWeatherIconClass(weatherCode, isDay = true) {
+    const info = getWeatherInfo(weatherCode);
+    if (!info) return 'fas fa-question';
+    
+    return `fas ${isDay === false && info.nightIcon ? info.nightIcon : info.icon}`;
+}
+
+function describeWeather(weatherCode) {
+    const info = getWeatherInfo(weatherCode);
+    return info ? translate(info.labelKey) : '';
+}
@@ -0,0 +1,199 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load');
+
+const { validateAppConfig } = loadScripts(['js/i18n.js', 'js/units.js', 'js/preferences.js', 'js/url-params.js', 'js/app-config.js']);
+
+const lobby = { key: 'lobby', name: '本社', lat: 34.6937, lon: 135.5023, timezone: 'Asia/Tokyo' };
+
+// Answers config.json like a web server would; everything else from the fixtures
+function serveConfig(response) {
+    return (url) => new URL(url).pathname.endsWith('/config.json') ? response : undefined;
+}
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+
+describe('validateAppConfig', () => {
+    it('keeps every valid setting', () => {
+        const data = {
+            cities: [lobby, { key: 'tokyo', name: '東京', names: { en: 'Tokyo' }, lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo', jmaArea: '130000', icon: 'fa-building' }],
+            providerUrl: 'https://weather.example.jp/v1/forecast',
+            archiveUrl: 'http://127.0.0.1:8787/v1/archive',
+            refreshMinutes: 10,
+            defaultRange: '7d',
+            theme: 'black',
+            panels: { remoteHelp: false, map: true }
+        };
+        
+        const { config, errors } = validateAppConfig(data);
+        
+        assert.deepEqual(errors, []);
+        assert.deepEqual(config, data);
+    });
+    
+    it('reports each problem with its place and drops only what is wrong', () => {
+        const { config, errors } = validateAppConfig({
+            cities: [lobby, { ...lobby, name: '別館' }, { key: 'roof', lat: '35', lon: 139, color: 'red' }],
+            refreshMinutes: 2,
+            theme: 'black',
+            panels: { map: 'no', clock: false },
+            title: 'Lobby'
+        });
+        
+        assert.deepEqual(errors.map(error => [error.key, error.params.path]), [
+            ['config.error.unknown', 'title'],
+            ['config.error.duplicate', 'cities[1].key'],
+            ['config.error.unknown', 'cities[2].color'],
+            ['config.error.required', 'cities[2].name'],
+            ['config.error.number', 'cities[2].lat'],
+            ['config.error.required', 'cities[2].timezone'],
+            ['config.error.oneOf', 'refreshMinutes'],
+            ['config.error.boolean', 'panels.map'],
+            ['config.error.unknown', 'panels.clock']
+        ]);
+        assert.equal(errors[6].params.values, '1, 5, 10, 15, 30, 60');
+        assert.deepEqual(config, { cities: [lobby], theme: 'black', panels: {} });
+    });
+    
+    it('checks the address, time zones and area codes', () => {
+        const { config, errors } = validateAppConfig({
+            cities: [{ ...lobby, timezone: 'Osaka/Umeda', jmaArea: '27' }],
+            providerUrl: 'ftp://weather.example.jp'
+        });
+        
+        assert.deepEqual(errors.map(error => error.key), ['config.error.timeZone', 'config.error.jmaArea', 'config.error.url']);
+        assert.deepEqual(config, {});
+    });
+    
+    it('needs an object at the top', () => {
+        const { errors } = validateAppConfig([lobby]);
+        
+        assert.deepEqual(errors, [{ key: 'config.error.object', params: { path: 'config.json' } }]);
+    });
+});
+
+describe('config.json', () => {
+    let page;
+    
+    afterEach(() => page && page.close());
+    
+    const errorTexts = () => [...page.document.querySelectorAll('#configErrorsList li')].map(item => item.textContent);
+    
+    it('starts with the built-in settings when there is no file', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        assert.equal(page.app.favoriteCities.length, 10);
+        assert.ok(!page.document.getElementById('configErrors').classList.contains('active'));
+        assert.ok(page.requests.includes('http://localhost/config.json'));
+        assert.ok(!page.document.getElementById('cityEditActions').classList.contains('config-hidden'));
+        assert.ok(page.document.getElementById('cityConfigNote').classList.contains('config-hidden'));
+    });
+    
+    it('shows the cities, interval, range, theme and panels of the file', async () => {
+        page = await loadApp({
+            fetch: serveConfig(jsonResponse({
+                cities: [lobby],
+                refreshMinutes: 15,
+                defaultRange: '48h',
+                theme: 'ocean',
+                panels: { remoteHelp: false, export: false }
+            }))
+        });
+        await page.settle();
+        
+        assert.deepEqual([...page.app.favoriteCities.map(city => city.key)], ['lobby']);
+        assert.equal(page.document.getElementById('selectedCity').textContent, '本社');
+        assert.equal(page.app.refresher.intervalMs, 15 * 60 * 1000);
+        assert.equal(page.app.currentTimeRange, 48);
+        assert.equal(page.document.documentElement.dataset.theme, 'ocean');
+        assert.ok(page.document.getElementById('remoteHelp').classList.contains('config-hidden'));
+        assert.ok(page.document.getElementById('exportBtn').classList.contains('config-hidden'));
+        assert.ok(!page.document.getElementById('mapBtn').classList.contains('config-hidden'));
+        
+        // Nothing of it is saved as the screen's own settings
+        const stored = JSON.parse(page.window.localStorage.getItem('appleTV_preferences'));
+        assert.equal(stored.theme, 'midnight');
+        assert.equal(page.window.localStorage.getItem('appleTV_favoriteCities'), null);
+    });
+    
+    it('does not offer to edit the cities of the file', async () => {
+        const annex = { ...lobby, key: 'annex', name: '別館' };
+        page = await loadApp({ fetch: serveConfig(jsonResponse({ cities: [lobby, annex] })) });
+        await page.settle();
+        
+        assert.ok(page.document.getElementById('cityEditActions').classList.contains('config-hidden'));
+        assert.ok(!page.document.getElementById('cityConfigNote').classList.contains('config-hidden'));
+        
+        page.document.getElementById('addCityBtn').click();
+        page.document.querySelector('.city-row[data-city="annex"] [data-action="delete"]').click();
+        assert.ok(!page.document.getElementById('citySearch').classList.contains('active'));
+        assert.deepEqual([...page.app.favoriteCities.map(city => city.key)], ['lobby', 'annex']);
+        
+        page.document.querySelector('.city-row[data-city="annex"] [data-action="select"]').click();
+        assert.equal(page.app.currentCity, 'annex');
+    });
+    
+    it('asks its own Open-Meteo server for the forecast', async () => {
+        page = await loadApp({
+            fetch: (url) => url.startsWith('https://weather.example.jp/')
+                ? { ok: false, status: 503, json: async () => ({}) }
+                : serveConfig(jsonResponse({ providerUrl: 'https://weather.example.jp/v1/forecast' }))(url)
+        });
+        await page.settle();
+        
+        assert.ok(page.requests.some(url => url.startsWith('https://weather.example.jp/v1/forecast?latitude=35.6762')));
+        assert.ok(!page.requests.some(url => url.startsWith('https://api.open-meteo.com/')));
+    });
+    
+    it('lists what is wrong on screen and uses the rest', async () => {
+        page = await loadApp({
+            fetch: serveConfig(jsonResponse({ cities: [{ ...lobby, lat: 134.7 }], theme: 'ocean', refreshMinutes: 3 }))
+        });
+        await page.settle();
+        
+        assert.ok(page.document.getElementById('configErrors').classList.contains('active'));
+        assert.deepEqual(errorTexts(), [
+            'cities[0].lat: -90〜90の数値にしてください',
+            'refreshMinutes: 1, 5, 10, 15, 30, 60 のいずれかにしてください'
+        ]);
+        assert.equal(page.document.documentElement.dataset.theme, 'ocean');
+        assert.equal(page.app.favoriteCities.length, 10);
+    });
+    
+    it('reports a file that is not JSON', async () => {
+        page = await loadApp({
+            fetch: serveConfig({ ok: true, status: 200, json: async () => { throw new SyntaxError('Unexpected token } in JSON'); } })
+        });
+        await page.settle();
+        
+        assert.deepEqual(errorTexts(), ['config.json: JSONとして読めません（Unexpected token } in JSON）']);
+        
+        page.app.setPreference('language', 'en');
+        assert.deepEqual(errorTexts(), ['config.json: not valid JSON (Unexpected token } in JSON)']);
+    });
+    
+    it('uses the last file read when the server cannot be reached', async () => {
+        page = await loadApp({
+            storage: { appleTV_config: JSON.stringify({ cities: [lobby] }) },
+            fetch: (url) => {
+                if (new URL(url).pathname.endsWith('/config.json')) throw new TypeError('Failed to fetch');
+            }
+        });
+        await page.settle();
+        
+        assert.equal(page.document.getElementById('selectedCity').textContent, '本社');
+    });
+    
+    it('reports a server error but keeps the last file read', async () => {
+        page = await loadApp({
+            storage: { appleTV_config: JSON.stringify({ cities: [lobby], theme: 'ocean' }) },
+            fetch: serveConfig({ ok: false, status: 503, json: async () => ({}) })
+        });
+        await page.settle();
+        
+        assert.deepEqual([...page.app.favoriteCities.map(city => city.key)], ['lobby']);
+        assert.equal(page.document.documentElement.dataset.theme, 'ocean');
+        assert.deepEqual(errorTexts(), ['config.json: 読み込めませんでした（HTTP 503）']);
+    });
+});
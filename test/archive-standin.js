@@ -0,0 +1,125 @@
+// ===========================
+// Archive API Stand-in
+// - Answers /v1/archive like the Open-Meteo archive API, without the network
+// - Made-up but deterministic temperatures for any place and date range:
+//   a seasonal curve, a daily cycle and a little noise per day
+// - Used by the tests; `npm run archive-standin` serves it on port 8787
+// ===========================
+
+const http = require('node:http');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Offsets of the timezones the tests use; anything else is treated as UTC
+const UTC_OFFSETS = {
+    'Asia/Tokyo': 9 * 60 * 60
+};
+
+// -1..1, the same for the same day every time
+function noise(dayNumber) {
+    const x = Math.sin(dayNumber * 12.9898) * 43758.5453;
+    return (x - Math.floor(x)) * 2 - 1;
+}
+
+// °C at a UTC second: coldest in late January, warmest at 14:00 local time
+function temperatureAt(seconds, utcOffset) {
+    const local = seconds + utcOffset;
+    const dayNumber = Math.floor(local / DAY_SECONDS);
+    const dayOfYear = (dayNumber % 365.25 + 365.25) % 365.25;
+    const hour = (local % DAY_SECONDS) / 3600;
+    
+    const seasonal = 15.5 - 10.5 * Math.cos(2 * Math.PI * (dayOfYear - 25) / 365.25);
+    const daily = 4 * Math.cos(2 * Math.PI * (hour - 14) / 24);
+    return seasonal + daily + 2 * noise(dayNumber);
+}
+
+// Local midnights (unixtime) from start to end, both "YYYY-MM-DD"
+function localMidnights(start, end, utcOffset) {
+    const first = Date.parse(`${start}T00:00:00Z`) / 1000;
+    const last = Date.parse(`${end}T00:00:00Z`) / 1000;
+    const days = [];
+    for (let day = first; day <= last; day += DAY_SECONDS) {
+        days.push(day - utcOffset);
+    }
+    return days;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// { status, body } for the query of an archive request
+function archiveResponse(query) {
+    const start = query.get('start_date');
+    const end = query.get('end_date');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '') || start > end) {
+        return { status: 400, body: { error: true, reason: 'Invalid start_date or end_date' } };
+    }
+    
+    const timeZone = query.get('timezone') || 'GMT';
+    const utcOffset = UTC_OFFSETS[timeZone] || 0;
+    const fahrenheit = query.get('temperature_unit') === 'fahrenheit';
+    const unit = (celsius) => round(fahrenheit ? celsius * 9 / 5 + 32 : celsius);
+    const midnights = localMidnights(start, end, utcOffset);
+    
+    const body = {
+        latitude: parseFloat(query.get('latitude')),
+        longitude: parseFloat(query.get('longitude')),
+        generationtime_ms: 1.2,
+        utc_offset_seconds: utcOffset,
+        timezone: timeZone,
+        timezone_abbreviation: utcOffset ? `GMT+${utcOffset / 3600}` : 'GMT',
+        elevation: 40
+    };
+    
+    if (query.has('hourly')) {
+        const time = midnights.flatMap(midnight => Array.from({ length: 24 }, (_, hour) => midnight + hour * 3600));
+        body.hourly_units = { time: 'unixtime', temperature_2m: fahrenheit ? '°F' : '°C' };
+        body.hourly = { time, temperature_2m: time.map(seconds => unit(temperatureAt(seconds, utcOffset))) };
+    }
+    
+    if (query.has('daily')) {
+        const hours = (midnight) => Array.from({ length: 24 }, (_, hour) => temperatureAt(midnight + hour * 3600, utcOffset));
+        const days = midnights.map(hours);
+        body.daily_units = { time: 'unixtime', temperature_2m_mean: '°C', temperature_2m_max: '°C', temperature_2m_min: '°C' };
+        body.daily = {
+            time: midnights,
+            temperature_2m_mean: days.map(values => unit(values.reduce((sum, value) => sum + value, 0) / values.length)),
+            temperature_2m_max: days.map(values => unit(Math.max(...values))),
+            temperature_2m_min: days.map(values => unit(Math.min(...values)))
+        };
+    }
+    
+    return { status: 200, body };
+}
+
+// Resolves to { url, requests, close() }; port 0 picks a free port
+function startArchiveStandIn(port = 0) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        requests.push(url);
+        
+        const { status, body } = url.pathname === '/v1/archive'
+            ? archiveResponse(url.searchParams)
+            : { status: 404, body: { error: true, reason: 'Not found' } };
+        
+        // The app may be served from another port
+        response.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        response.end(JSON.stringify(body));
+    });
+    
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/v1/archive`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    startArchiveStandIn(8787).then(({ url }) => console.log(`Archive API stand-in: ${url}`));
+}
+
+module.exports = { archiveResponse, startArchiveStandIn };
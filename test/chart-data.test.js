@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadScripts } = require('./helpers/load');
+
+const { getCurrentIndex, splitPastFuture, toPoints, getTimelineIconIndexes } = loadScripts(['js/chart-data.js']);
+
+const HOUR = 60 * 60 * 1000;
+
+describe('getCurrentIndex', () => {
+    const times = [0, HOUR, 2 * HOUR, 3 * HOUR];
+    
+    it('finds the slot containing now', () => {
+        assert.equal(getCurrentIndex(times, HOUR), 1);
+        assert.equal(getCurrentIndex(times, HOUR + 59 * 60 * 1000), 1);
+        assert.equal(getCurrentIndex(times, 2 * HOUR), 2);
+    });
+    
+    it('clamps to the first and last slot', () => {
+        assert.equal(getCurrentIndex(times, -HOUR), 0);
+        assert.equal(getCurrentIndex(times, 10 * HOUR), 3);
+    });
+    
+    it('finds the current hour in the recorded forecast', () => {
+        const times = readFixture('open-meteo-hourly-tokyo.json').hourly.time.map(seconds => seconds * 1000);
+        assert.equal(getCurrentIndex(times, FIXTURE_NOW), 24);
+    });
+});
+
+describe('splitPastFuture', () => {
+    const values = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+    
+    it('shares the current value between past and future so the lines meet', () => {
+        const split = splitPastFuture(values, 3, 4);
+        
+        assert.deepEqual(split.past, [0, 1, 2, 3]);
+        assert.deepEqual(split.future, [3, 4, 5, 6, 7]);
+        assert.deepEqual(split.visible, [0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+    
+    it('stops at the end of the data', () => {
+        const split = splitPastFuture(values, 7, 24);
+        
+        assert.deepEqual(split.future, [7, 8, 9]);
+        assert.deepEqual(split.visible, values);
+    });
+    
+    it('cuts the recorded 48 hour forecast to the selected range', () => {
+        const hourly = readFixture('open-meteo-hourly-tokyo.json').hourly;
+        const split = splitPastFuture(hourly.temperature_2m, 24, 24);
+        
+        assert.equal(split.past.length, 25);
+        assert.equal(split.future.length, 25);
+        assert.equal(split.visible.length, 49);
+        assert.equal(split.past.at(-1), split.future[0]);
+    });
+});
+
+describe('toPoints', () => {
+    it('pairs times with values, keeping gaps', () => {
+        assert.deepEqual(toPoints([10, 20, 30], [1.5, null, 3]), [
+            { x: 10, y: 1.5 },
+            { x: 20, y: null },
+            { x: 30, y: 3 }
+        ]);
+    });
+});
+
+describe('getTimelineIconIndexes', () => {
+    it('spaces the icons every three hours for a day', () => {
+        assert.deepEqual(getTimelineIconIndexes(24, 24, 72), [27, 30, 33, 36, 39, 42, 45, 48]);
+    });
+    
+    it('spreads them out for longer ranges', () => {
+        assert.deepEqual(getTimelineIconIndexes(24, 48, 72), [30, 36, 42, 48, 54, 60, 66]);
+    });
+    
+    it('stops at the end of the data', () => {
+        assert.deepEqual(getTimelineIconIndexes(24, 24, 30), [27]);
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadApp } = require('./helpers/load');
+const { screenLayout } = require('./helpers/layout');
+
+const osaka = readFixture('open-meteo-hourly-osaka.json').hourly;
+
+describe('city selection', () => {
+    let page;
+    const focused = () => page.app.focusEngine.current;
+    // Cities whose hourly forecast was requested, in order
+    const latitudes = () => page.requests
+        .map(url => new URL(url).searchParams)
+        .filter(query => query.has('hourly'))
+        .map(query => query.get('latitude'));
+    
+    afterEach(() => page.close());
+    
+    it('loads the first city from the recorded forecast', async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle();
+        
+        assert.deepEqual(latitudes(), ['35.6762']);
+        assert.equal(page.document.getElementById('selectedCity').textContent, '東京');
+        assert.equal(page.document.getElementById('currentTemp').textContent, '13°C');
+    });
+    
+    it('picks a city from the dropdown with the remote', async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle(150);
+        const dropdown = page.document.getElementById('cityDropdown');
+        
+        page.press('Enter');
+        assert.ok(dropdown.classList.contains('active'));
+        assert.equal(focused().closest('.city-row').dataset.city, 'tokyo');
+        
+        page.press('ArrowDown');
+        assert.equal(focused().closest('.city-row').dataset.city, 'osaka');
+        
+        page.press('Enter');
+        await page.settle();
+        
+        assert.ok(!dropdown.classList.contains('active'));
+        assert.equal(focused().id, 'citySelector');
+        assert.equal(page.document.getElementById('selectedCity').textContent, '大阪');
+        assert.equal(latitudes().at(-1), '34.6937');
+        
+        // Current conditions come from the hour containing "now"
+        assert.equal(page.document.getElementById('currentTemp').textContent, `${Math.round(osaka.temperature_2m[24])}°C`);
+        assert.equal(page.document.getElementById('humidity').textContent, `${osaka.relative_humidity_2m[24]}%`);
+        
+        const stored = JSON.parse(page.window.localStorage.getItem('appleTV_preferences'));
+        assert.equal(stored.lastCity, 'osaka');
+    });
+    
+    it('draws the new city split at the current hour', async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle();
+        
+        page.app.selectCity('osaka');
+        await page.settle();
+        
+        const [pastTemperature, futureTemperature] = page.window.lastChart.data.datasets;
+        const currentHour = Math.floor(FIXTURE_NOW / 3600000) * 3600000;
+        
+        assert.equal(pastTemperature.data.length, 25);
+        assert.equal(futureTemperature.data.length, 25);
+        assert.equal(pastTemperature.data.at(-1).x, currentHour);
+        assert.equal(futureTemperature.data[0].x, currentHour);
+        assert.equal(futureTemperature.data[0].y, osaka.temperature_2m[24]);
+    });
+    
+    it('leaves the city unchanged when the dropdown is closed with Escape', async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle(150);
+        
+        page.press('Enter');
+        page.press('ArrowDown');
+        page.press('Escape');
+        await page.settle();
+        
+        assert.ok(!page.document.getElementById('cityDropdown').classList.contains('active'));
+        assert.equal(focused().id, 'citySelector');
+        assert.equal(page.document.getElementById('selectedCity').textContent, '東京');
+        assert.deepEqual(latitudes(), ['35.6762']);
+    });
+    
+    it('drops the stale data banner of the previous city', async () => {
+        let offline = false;
+        page = await loadApp({
+            layout: screenLayout,
+            fetch: () => offline ? { ok: false, status: 503, json: async () => ({}) } : undefined
+        });
+        await page.settle();
+        const banner = page.document.getElementById('staleBanner');
+        
+        // Tokyo stays on screen, dated
+        offline = true;
+        page.app.loadWeatherData();
+        await page.settle();
+        assert.ok(banner.classList.contains('active'));
+        
+        // Osaka has nothing to show, so only the error remains
+        page.app.selectCity('osaka');
+        await page.settle();
+        assert.ok(page.document.getElementById('errorMessage').classList.contains('active'));
+        assert.ok(!banner.classList.contains('active'));
+    });
+    
+    it('forgets the cached data of a removed city', async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle();
+        const stored = (key) => page.window.localStorage.getItem(key);
+        const records = async () => {
+            const { snapshots, observations } = await page.app.accuracy.load('tokyo');
+            return snapshots.length + observations.length;
+        };
+        for (let i = 0; i < 50 && await records() === 0; i++) {
+            await page.settle();
+        }
+        assert.ok(stored('appleTV_weatherCache_tokyo'));
+        assert.ok(stored('appleTV_normals_tokyo'));
+        assert.ok(await records() > 0);
+        
+        page.app.removeFavoriteCity('tokyo');
+        assert.equal(page.app.normalsCity, null);
+        await page.settle();
+        
+        assert.equal(page.app.currentCity, 'osaka');
+        assert.equal(stored('appleTV_weatherCache_tokyo'), null);
+        assert.equal(stored('appleTV_normals_tokyo'), null);
+        assert.equal(await records(), 0);
+    });
+    
+    it('reopens the last selected city', async () => {
+        page = await loadApp({
+            layout: screenLayout,
+            storage: { appleTV_preferences: JSON.stringify({ version: 1, lastCity: 'osaka' }) }
+        });
+        await page.settle();
+        
+        assert.equal(page.document.getElementById('selectedCity').textContent, '大阪');
+        assert.deepEqual(latitudes(), ['34.6937']);
+    });
+});
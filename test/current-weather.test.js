@@ -0,0 +1,119 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadApp } = require('./helpers/load');
+
+const tokyo = readFixture('open-meteo-hourly-tokyo.json').hourly;
+
+describe('current weather', () => {
+    let page;
+    const icon = () => page.document.querySelector('#weatherIcon i').className;
+    const description = () => page.document.getElementById('weatherDescription').textContent;
+    
+    afterEach(() => page.close());
+    
+    it('describes the weather under the temperature', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        assert.equal(tokyo.weather_code[24], 1);
+        assert.equal(description(), '晴れ');
+        assert.equal(icon(), 'fas fa-sun');
+        
+        page.app.setPreference('language', 'en');
+        assert.equal(description(), 'Mainly clear');
+    });
+    
+    it('shows the night icon while the sun is down', async () => {
+        // 03:30 JST, clear sky
+        page = await loadApp({ now: FIXTURE_NOW - 9 * 60 * 60 * 1000 });
+        await page.settle();
+        
+        assert.equal(tokyo.weather_code[15], 0);
+        assert.equal(description(), '快晴');
+        assert.equal(icon(), 'fas fa-moon');
+    });
+    
+    it('does not keep the previous city\'s icon when the weather code is missing', async () => {
+        const osaka = readFixture('open-meteo-hourly-osaka.json');
+        const withoutCodes = { ...osaka, hourly: { ...osaka.hourly, weather_code: osaka.hourly.weather_code.map(() => null) } };
+        page = await loadApp({
+            fetch: (url) => {
+                const query = new URL(url).searchParams;
+                if (query.get('latitude') === '34.6937' && query.has('hourly')) {
+                    return { ok: true, status: 200, json: async () => withoutCodes };
+                }
+            }
+        });
+        await page.settle();
+        assert.equal(icon(), 'fas fa-sun');
+        
+        page.app.selectCity('osaka');
+        await page.settle();
+        
+        assert.equal(icon(), 'fas fa-question');
+        assert.equal(description(), '');
+    });
+    
+    it('puts weather icons along the forecast part of the chart', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        const icons = Array.from(page.document.querySelectorAll('#chartWeatherIcons i'));
+        const times = icons.map(el => Number(el.dataset.time));
+        
+        assert.equal(icons.length, 8);
+        assert.ok(times.every(time => time > FIXTURE_NOW));
+        assert.equal(times[0], tokyo.time[27] * 1000);
+        
+        // 2025-03-11 00:00 JST, overcast
+        assert.equal(icons[3].className, 'fas fa-cloud');
+        assert.equal(icons[3].title, '曇り');
+    });
+});
+
+describe('sunrise and sunset', () => {
+    let page;
+    const text = (id) => page.document.getElementById(id).textContent;
+    
+    afterEach(() => page.close());
+    
+    it('shows today\'s sun times and day length in the city timezone', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        assert.ok(page.document.getElementById('sunDetails').classList.contains('active'));
+        assert.equal(text('sunrise'), '日の出 05:55');
+        assert.equal(text('sunset'), '日の入り 17:44');
+        assert.equal(text('dayLength'), '昼の長さ 11時間48分（昨日より +2分42秒）');
+        
+        page.app.setPreference('language', 'en');
+        assert.equal(text('dayLength'), 'Day length 11 h 48 min (+2 min 42 s vs yesterday)');
+    });
+    
+    it('shades the nights behind the hourly chart', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        const annotations = page.window.lastChart.options.plugins.annotation.annotations;
+        const nights = Object.keys(annotations).filter(key => key.startsWith('night')).map(key => annotations[key]);
+        const sun = readFixture('open-meteo-sun-tokyo.json').daily;
+        
+        // Yesterday 12:00 to tomorrow 12:00: two nights
+        assert.equal(nights.length, 2);
+        assert.equal(nights[0].xMin, sun.sunset[0] * 1000);
+        assert.equal(nights[0].xMax, sun.sunrise[1] * 1000);
+        assert.equal(nights[1].xMin, sun.sunset[1] * 1000);
+        assert.equal(nights[1].xMax, sun.sunrise[2] * 1000);
+        assert.ok(annotations.currentTime);
+    });
+    
+    it('leaves the chart unshaded when the sun times cannot be loaded', async () => {
+        page = await loadApp({ fetch: (url) => new URL(url).searchParams.get('daily') === 'sunrise,sunset' ? { ok: false } : undefined });
+        await page.settle();
+        
+        const annotations = page.window.lastChart.options.plugins.annotation.annotations;
+        assert.deepEqual(Object.keys(annotations), ['currentTime']);
+        assert.ok(!page.document.getElementById('sunDetails').classList.contains('active'));
+        assert.equal(page.document.getElementById('currentTemp').textContent, '13°C');
+    });
+});
@@ -0,0 +1,199 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadScripts, loadApp } = require('./helpers/load');
+
+const {
+    UNIT_SYSTEMS,
+    getHourlyExportRows,
+    toCsv,
+    toExportJson,
+    getExportFileName
+} = loadScripts(['js/i18n.js', 'js/units.js', 'js/time-format.js', 'js/weather-codes.js', 'js/preferences.js', 'js/providers.js', 'js/export.js']);
+
+const HOUR = 60 * 60 * 1000;
+const tokyo = { key: 'tokyo', name: '東京', lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo' };
+
+describe('export rows', () => {
+    const hourly = {
+        time: [FIXTURE_NOW - 30 * 60 * 1000, FIXTURE_NOW + 30 * 60 * 1000],
+        temperature: [12.5, null],
+        precipitation: [0, 1.2],
+        precipitationProbability: [10, 60],
+        humidity: [50, 80],
+        windSpeed: [2.1, 3.4],
+        weatherCode: [1, 61]
+    };
+    
+    it('writes local times with their offset and describes the weather', () => {
+        const rows = getHourlyExportRows(hourly, 0, 2, 'Asia/Tokyo');
+        
+        assert.equal(rows[0].time, '2025-03-10T12:00+09:00');
+        assert.equal(rows[1].weather, '小雨');
+        assert.equal(rows[1].temperature, null);
+    });
+    
+    it('puts the units in the CSV header and leaves missing values empty', () => {
+        const csv = toCsv('hourly', getHourlyExportRows(hourly, 0, 2, 'Asia/Tokyo'), UNIT_SYSTEMS.imperial);
+        const lines = csv.split('\r\n');
+        
+        assert.equal(csv[0], '\uFEFF');
+        assert.equal(lines[0].slice(1), 'time,temperature (°F),precipitation (inch),precipitation_probability (%),humidity (%),wind_speed (mph),weather_code,weather');
+        assert.equal(lines[2], '2025-03-10T13:00+09:00,,1.2,60,80,3.4,61,小雨');
+        assert.equal(lines[3], '');
+    });
+    
+    it('quotes fields that contain commas or quotes', () => {
+        const csv = toCsv('daily', [{ date: '2025-03-10', weather: 'Rain, "heavy"' }], UNIT_SYSTEMS.metric);
+        assert.match(csv, /\r\n2025-03-10,,,,,,"Rain, ""heavy"""\r\n$/);
+    });
+    
+    it('describes the city, range and units in the JSON', () => {
+        const json = JSON.parse(toExportJson({
+            city: tokyo,
+            range: '24h',
+            view: 'hourly',
+            units: UNIT_SYSTEMS.metric,
+            provider: 'openMeteo',
+            exportedAt: FIXTURE_NOW,
+            rows: [{ time: '2025-03-10T12:00+09:00', temperature: 12.5 }]
+        }));
+        
+        assert.deepEqual(json.city, { key: 'tokyo', name: '東京', lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo' });
+        assert.equal(json.range, '24h');
+        assert.deepEqual(json.units, { temperature: '°C', precipitation: 'mm', windSpeed: 'm/s' });
+        assert.equal(json.exportedAt, '2025-03-10T03:30:00.000Z');
+        assert.equal(json.hourly[0].temperature, 12.5);
+    });
+    
+    it('names the files after the city, range and local time', () => {
+        assert.equal(getExportFileName('tokyo', '48h', FIXTURE_NOW, 'Asia/Tokyo', 'csv'), 'tokyo-48h-20250310-1230.csv');
+    });
+});
+
+describe('export screen', () => {
+    let page;
+    
+    afterEach(() => page.close());
+    
+    const text = (id) => page.document.getElementById(id).textContent;
+    
+    // Saved files as { name, blob }; read(download) gives the content back
+    const read = (download) => new Promise(resolve => {
+        const reader = new page.window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(download.blob);
+    });
+    
+    function captureDownloads(page) {
+        const downloads = [];
+        const blobs = new Map();
+        page.window.URL.createObjectURL = (blob) => {
+            const url = `blob:${blobs.size}`;
+            blobs.set(url, blob);
+            return url;
+        };
+        page.window.URL.revokeObjectURL = () => {};
+        page.window.HTMLAnchorElement.prototype.click = function () {
+            downloads.push({ name: this.download, blob: blobs.get(this.href) });
+        };
+        return downloads;
+    }
+    
+    it('exports the hours on the chart as CSV and JSON', async () => {
+        page = await loadApp();
+        await page.settle();
+        const downloads = captureDownloads(page);
+        
+        page.document.getElementById('exportBtn').click();
+        assert.ok(page.document.getElementById('exportPanel').classList.contains('active'));
+        
+        // The past 24 hours, now and the next 24
+        assert.equal(text('exportSummary'), '東京 · 24時間予測 · 49件');
+        
+        page.document.querySelector('#exportPanel [data-action="csv"]').click();
+        page.document.querySelector('#exportPanel [data-action="json"]').click();
+        
+        assert.deepEqual(downloads.map(download => download.name), ['tokyo-24h-20250310-1230.csv', 'tokyo-24h-20250310-1230.json']);
+        assert.match(downloads[0].blob.type, /^text\/csv/);
+        
+        const csv = (await read(downloads[0])).replace(/^\uFEFF/, '').split('\r\n');
+        const fixture = readFixture('open-meteo-hourly-tokyo.json').hourly;
+        assert.equal(csv.length, 51);
+        assert.equal(csv[25].split(',')[1], String(fixture.temperature_2m[24]));
+        
+        const json = JSON.parse(await read(downloads[1]));
+        assert.equal(json.hourly.length, 49);
+        assert.equal(json.provider, 'openMeteo');
+    });
+    
+    it('exports the day cards in the daily view', async () => {
+        page = await loadApp();
+        await page.settle();
+        page.document.getElementById('range7d').click();
+        await page.settle();
+        const downloads = captureDownloads(page);
+        
+        page.app.openExportPanel();
+        assert.equal(text('exportSummary'), '東京 · 7日間 · 7件');
+        
+        page.document.querySelector('#exportPanel [data-action="json"]').click();
+        const json = JSON.parse(await read(downloads[0]));
+        assert.equal(json.range, '7d');
+        assert.equal(json.daily[0].date, '2025-03-10');
+    });
+    
+    it('shows a QR code of a link to the same city and range', async () => {
+        page = await loadApp({ url: 'http://tv.local/weather/?city=tokyo' });
+        await page.settle();
+        page.document.getElementById('range48h').click();
+        page.app.openExportPanel();
+        
+        assert.equal(text('exportLink'), 'http://tv.local/weather/?city=tokyo&range=48h');
+        const svg = page.document.querySelector('#exportQrCode svg');
+        assert.ok(svg);
+        
+        // Version 4 (33 modules) inside a 4-module quiet zone
+        assert.equal(svg.getAttribute('viewBox'), '0 0 41 41');
+        
+        page.press('Escape');
+        assert.ok(!page.document.getElementById('exportPanel').classList.contains('active'));
+        assert.equal(page.app.focusEngine.current.id, 'exportBtn');
+    });
+    
+    it('shows just the link when it is too long for a QR code', async () => {
+        const name = encodeURIComponent('北海道上川郡東川町旭岳温泉姿見の池');
+        page = await loadApp({ url: `http://tv.local/weather/?lat=43.66&lon=142.82&name=${name}&tz=Asia%2FTokyo` });
+        await page.settle();
+        page.app.openExportPanel();
+        
+        assert.ok(page.document.getElementById('exportPanel').classList.contains('active'));
+        assert.equal(page.document.querySelector('#exportQrCode svg'), null);
+        assert.equal(text('exportQrCode'), 'リンクが長すぎるためQRコードにできません。このアドレスを入力して開いてください');
+        assert.match(text('exportLink'), /\?lat=43\.66&lon=142\.82&name=%E5%8C%97/);
+        
+        // The panel still works as usual
+        page.press('Escape');
+        assert.ok(!page.document.getElementById('exportPanel').classList.contains('active'));
+        assert.equal(page.app.isExportOpen, false);
+    });
+    
+    it('opens the city and range of a scanned link', async () => {
+        page = await loadApp({ url: 'http://tv.local/weather/?city=osaka&range=48h' });
+        await page.settle();
+        
+        assert.equal(page.app.currentCity, 'osaka');
+        assert.equal(page.app.currentTimeRange, 48);
+        assert.ok(page.document.getElementById('range48h').classList.contains('active'));
+        
+        // Only the city on screen changes; the saved last city stays
+        assert.equal(page.app.preferences.get('lastCity'), null);
+    });
+    
+    it('falls back to the usual start for a city that is not saved here', async () => {
+        page = await loadApp({ url: 'http://tv.local/weather/?city=custom-9&range=7d' });
+        await page.settle();
+        
+        assert.equal(page.app.currentCity, 'tokyo');
+        assert.equal(page.app.currentView, 'daily');
+    });
+});
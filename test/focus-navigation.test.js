@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load');
+const { screenLayout } = require('./helpers/layout');
+
+describe('focus navigation', () => {
+    let page;
+    const focusedId = () => page.app.focusEngine.current && page.app.focusEngine.current.id;
+    
+    beforeEach(async () => {
+        page = await loadApp({ layout: screenLayout });
+        await page.settle(150);
+    });
+    
+    afterEach(() => page.close());
+    
+    it('starts on the city selector', () => {
+        assert.equal(focusedId(), 'citySelector');
+        assert.ok(page.document.getElementById('citySelector').classList.contains('focused'));
+    });
+    
+    it('moves along the header and stops at its end', () => {
+        ['mapBtn', 'alertsBtn', 'settingsBtn', 'settingsBtn'].forEach(expected => {
+            page.press('ArrowRight');
+            assert.equal(focusedId(), expected);
+        });
+        
+        page.press('ArrowLeft');
+        assert.equal(focusedId(), 'alertsBtn');
+    });
+    
+    it('moves down to the toolbar button below, then to the chart', () => {
+        page.press('ArrowDown');
+        assert.equal(focusedId(), 'range16d');
+        
+        page.press('ArrowDown');
+        assert.equal(focusedId(), 'chartWrapper');
+        
+        page.press('ArrowUp');
+        assert.equal(focusedId(), 'range16d');
+    });
+    
+    it('returns to the button last focused in a group', () => {
+        page.press('ArrowRight');
+        page.press('ArrowDown');
+        assert.equal(focusedId(), 'providerBtn');
+        
+        page.press('ArrowLeft');
+        assert.equal(focusedId(), 'range16d');
+        
+        // The city selector is straight above, but the header remembers the map button
+        page.press('ArrowUp');
+        assert.equal(focusedId(), 'mapBtn');
+    });
+    
+    it('keeps focus inside an open panel and restores it on close', () => {
+        const panel = page.document.getElementById('settingsPanel');
+        
+        page.app.focusOnElement(page.document.getElementById('settingsBtn'));
+        page.press('Enter');
+        assert.ok(panel.classList.contains('active'));
+        assert.ok(panel.contains(page.app.focusEngine.current));
+        
+        ['ArrowUp', 'ArrowUp', 'ArrowLeft', 'ArrowDown', 'ArrowRight'].forEach(key => {
+            page.press(key);
+            assert.ok(panel.contains(page.app.focusEngine.current), `${key} left the panel`);
+        });
+        
+        page.press('Escape');
+        assert.ok(!panel.classList.contains('active'));
+        assert.equal(focusedId(), 'settingsBtn');
+    });
+});
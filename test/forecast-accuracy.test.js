@@ -0,0 +1,284 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { FIXTURE_NOW, readFixture, loadScripts, loadApp } = require('./helpers/load');
+
+const {
+    ForecastAccuracyStore,
+    getMeanAbsoluteErrors,
+    getComparableDays,
+    getDayComparison
+} = loadScripts(['js/units.js', 'js/time-format.js', 'js/providers.js', 'js/forecast-accuracy.js'], { IDBKeyRange });
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Midnight 2025-03-10 in Tokyo
+const MIDNIGHT = Date.UTC(2025, 2, 9, 15);
+
+const snapshot = (issuedAt, time, temperature) => ({ city: 'tokyo', issuedAt, time, temperature });
+const observation = (time, temperature) => ({ city: 'tokyo', time, temperature });
+
+describe('getMeanAbsoluteErrors', () => {
+    it('averages the errors of the forecasts made each lead time ahead', () => {
+        const target = MIDNIGHT + 30 * HOUR;
+        const snapshots = [
+            snapshot(target - 6 * HOUR, [target], [12]),
+            snapshot(target - 6 * HOUR + 20 * 60 * 1000, [target, target + HOUR], [11, 9]),
+            snapshot(target - 24 * HOUR, [target], [14])
+        ];
+        const observations = [observation(target, 10), observation(target + HOUR, 10)];
+        
+        assert.deepEqual(getMeanAbsoluteErrors(snapshots, observations), [
+            { lead: 6, mae: 1.5, count: 2 },
+            { lead: 24, mae: 4, count: 1 },
+            { lead: 48, mae: null, count: 0 }
+        ]);
+    });
+    
+    it('leaves out hours that have not been observed yet', () => {
+        const snapshots = [snapshot(MIDNIGHT, [MIDNIGHT + 6 * HOUR], [12])];
+        assert.equal(getMeanAbsoluteErrors(snapshots, [])[0].count, 0);
+    });
+    
+    it('scores an hour two providers observed against their mean', () => {
+        const snapshots = [snapshot(MIDNIGHT, [MIDNIGHT + 6 * HOUR], [12])];
+        const observations = [
+            { ...observation(MIDNIGHT + 6 * HOUR, 10), provider: 'openMeteo' },
+            { ...observation(MIDNIGHT + 6 * HOUR, 11), provider: 'station' }
+        ];
+        
+        assert.deepEqual(getMeanAbsoluteErrors(snapshots, observations)[0], { lead: 6, mae: 1.5, count: 1 });
+    });
+});
+
+describe('getComparableDays', () => {
+    it('lists the local dates with both a forecast and an observation', () => {
+        const snapshots = [snapshot(MIDNIGHT - 2 * HOUR, [MIDNIGHT - HOUR, MIDNIGHT + HOUR, MIDNIGHT + DAY + HOUR], [1, 2, 3])];
+        const observations = [observation(MIDNIGHT + HOUR, 2), observation(MIDNIGHT - HOUR, 1), observation(MIDNIGHT + 2 * DAY, 5)];
+        
+        assert.deepEqual(getComparableDays(snapshots, observations, 'Asia/Tokyo'), ['2025-03-09', '2025-03-10']);
+    });
+});
+
+describe('getDayComparison', () => {
+    it('pairs the day\'s observations with each lead time\'s forecast', () => {
+        const snapshots = [
+            snapshot(MIDNIGHT - 6 * HOUR, [MIDNIGHT, MIDNIGHT + HOUR], [5, 6]),
+            snapshot(MIDNIGHT - 5 * HOUR, [MIDNIGHT + HOUR], [7]),
+            snapshot(MIDNIGHT - 24 * HOUR, [MIDNIGHT], [8])
+        ];
+        const observations = [observation(MIDNIGHT + HOUR, 6.5), observation(MIDNIGHT, 5.5), observation(MIDNIGHT - HOUR, 4)];
+        
+        const comparison = getDayComparison(snapshots, observations, '2025-03-10', 'Asia/Tokyo');
+        assert.deepEqual(comparison.observed, [{ x: MIDNIGHT, y: 5.5 }, { x: MIDNIGHT + HOUR, y: 6.5 }]);
+        assert.deepEqual(comparison.forecasts[6], [{ x: MIDNIGHT, y: 5 }, { x: MIDNIGHT + HOUR, y: 7 }]);
+        assert.deepEqual(comparison.forecasts[24], [{ x: MIDNIGHT, y: 8 }]);
+        assert.deepEqual(comparison.forecasts[48], []);
+    });
+});
+
+describe('ForecastAccuracyStore', () => {
+    const model = (units, temperatures) => ({
+        provider: 'openMeteo',
+        units,
+        hourly: {
+            time: temperatures.map((_, i) => MIDNIGHT + i * HOUR),
+            temperature: temperatures
+        }
+    });
+    
+    it('splits a forecast into observed hours and a snapshot in °C', async () => {
+        const store = new ForecastAccuracyStore(new IDBFactory());
+        const now = MIDNIGHT + 90 * 60 * 1000;
+        
+        assert.equal(await store.record('tokyo', model('imperial', [50, 41, 59, null]), now), true);
+        
+        const { snapshots, observations } = await store.load('tokyo');
+        assert.deepEqual(observations.map(item => [item.provider, item.time, item.temperature]), [
+            ['openMeteo', MIDNIGHT, 10],
+            ['openMeteo', MIDNIGHT + HOUR, 5]
+        ]);
+        assert.equal(snapshots.length, 1);
+        assert.equal(snapshots[0].issuedAt, now);
+        assert.deepEqual(snapshots[0].time, [MIDNIGHT + 2 * HOUR]);
+        assert.deepEqual(snapshots[0].temperature, [15]);
+    });
+    
+    it('keeps one snapshot an hour but updates the observations on every refresh', async () => {
+        const factory = new IDBFactory();
+        const store = new ForecastAccuracyStore(factory);
+        const now = MIDNIGHT + 30 * 60 * 1000;
+        
+        await store.record('tokyo', model('metric', [10, 11, 12]), now);
+        assert.equal(await store.record('tokyo', model('metric', [10.5, 11, 12]), now + 10 * 60 * 1000), false);
+        
+        // A new page load reads the latest issue time back from the database
+        const reopened = new ForecastAccuracyStore(factory);
+        assert.equal(await reopened.record('tokyo', model('metric', [10.5, 11, 12]), now + 50 * 60 * 1000), false);
+        assert.equal(await reopened.record('tokyo', model('metric', [10.5, 11, 12]), now + HOUR), true);
+        
+        const { snapshots, observations } = await reopened.load('tokyo');
+        assert.equal(snapshots.length, 2);
+        assert.equal(observations.find(item => item.time === MIDNIGHT).temperature, 10.5);
+        assert.equal((await reopened.load('osaka')).snapshots.length, 0);
+    });
+    
+    it('keeps no observations from a provider whose past hours are forecasts', async () => {
+        const store = new ForecastAccuracyStore(new IDBFactory());
+        const jma = { ...model('metric', [10, 11, 12]), provider: 'jma' };
+        
+        assert.equal(await store.record('tokyo', jma, MIDNIGHT + 90 * 60 * 1000, false), true);
+        
+        const { snapshots, observations } = await store.load('tokyo');
+        assert.equal(snapshots[0].provider, 'jma');
+        assert.deepEqual(observations, []);
+    });
+    
+    it('drops the observations of the first version, which had no provider', async () => {
+        const factory = new IDBFactory();
+        await new Promise((resolve) => {
+            const request = factory.open('appleTV_forecastAccuracy', 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                snapshots.createIndex('city', 'city');
+                snapshots.createIndex('issuedAt', 'issuedAt');
+                const observations = db.createObjectStore('observations', { keyPath: ['city', 'time'] });
+                observations.createIndex('city', 'city');
+                observations.createIndex('time', 'time');
+                snapshots.add({ city: 'tokyo', provider: 'jma', issuedAt: MIDNIGHT, time: [MIDNIGHT + HOUR], temperature: [11] });
+                observations.add({ city: 'tokyo', time: MIDNIGHT, temperature: 10 });
+            };
+            request.onsuccess = () => {
+                request.result.close();
+                resolve();
+            };
+        });
+        
+        const store = new ForecastAccuracyStore(factory);
+        const { snapshots, observations } = await store.load('tokyo');
+        assert.equal(snapshots.length, 1);
+        assert.deepEqual(observations, []);
+    });
+    
+    it('deletes what is older than 30 days', async () => {
+        const store = new ForecastAccuracyStore(new IDBFactory());
+        const later = model('metric', [20, 21]);
+        later.hourly.time = later.hourly.time.map(time => time + 31 * DAY);
+        
+        await store.record('tokyo', model('metric', [10, 11, 12]), MIDNIGHT + 30 * 60 * 1000);
+        await store.record('tokyo', later, MIDNIGHT + 31 * DAY + 30 * 60 * 1000);
+        
+        const { snapshots, observations } = await store.load('tokyo');
+        assert.deepEqual(snapshots.map(item => item.issuedAt), [MIDNIGHT + 31 * DAY + 30 * 60 * 1000]);
+        assert.deepEqual(observations.map(item => item.time), [MIDNIGHT + 31 * DAY]);
+    });
+});
+
+describe('forecast accuracy screen', () => {
+    let page;
+    const text = (selector) => [...page.document.querySelectorAll(selector)].map(element => element.textContent);
+    
+    afterEach(() => page.close());
+    
+    // Recording runs in the background; wait until done(stored) holds
+    async function recorded(page, done) {
+        for (let i = 0; i < 50; i++) {
+            if (done(await page.app.accuracy.load('tokyo'))) return;
+            await page.settle();
+        }
+        throw new Error('The forecast was not recorded');
+    }
+    
+    // The fixture's hours, `extraHours` more at the end (the last values repeated)
+    const hourlyData = (extraHours = 0) => {
+        const data = readFixture('open-meteo-hourly-tokyo.json');
+        Object.entries(data.hourly).forEach(([variable, values]) => {
+            const last = values[values.length - 1];
+            data.hourly[variable] = [
+                ...values,
+                ...Array.from({ length: extraHours }, (_, i) => variable === 'time' ? last + (i + 1) * 3600 : last)
+            ];
+        });
+        return data;
+    };
+    
+    // The same hours 1.5° warmer than first forecast
+    const warmer = (data = hourlyData()) => {
+        data.hourly.temperature_2m = data.hourly.temperature_2m.map(value => value + 1.5);
+        return { ok: true, json: async () => data };
+    };
+    
+    const isHourlyForecast = (url) => new URL(url).searchParams.has('hourly') && url.includes('/v1/forecast');
+    
+    it('scores yesterday\'s forecast against what happened', async () => {
+        // The first start records a forecast; 30 hours later the same hours are past
+        const indexedDB = new IDBFactory();
+        page = await loadApp({ indexedDB });
+        await page.settle();
+        await recorded(page, ({ snapshots }) => snapshots.length >= 1);
+        page.close();
+        
+        page = await loadApp({
+            indexedDB,
+            now: FIXTURE_NOW + 30 * HOUR,
+            fetch: (url) => isHourlyForecast(url) ? warmer() : undefined
+        });
+        await page.settle();
+        await recorded(page, ({ snapshots }) => snapshots.length >= 2);
+        await page.app.openAccuracyPanel();
+        
+        assert.ok(page.document.getElementById('accuracyPanel').classList.contains('active'));
+        assert.deepEqual(text('.accuracy-lead'), ['6時間前の予報', '24時間前の予報', '48時間前の予報']);
+        assert.deepEqual(text('.accuracy-error'), ['平均誤差 ±1.5°C', '平均誤差 ±1.5°C', 'データ不足']);
+        assert.deepEqual(text('.accuracy-samples'), ['1件の比較', '1件の比較', '0件の比較']);
+        
+        // Yesterday first, with the actual temperatures and each lead time's forecast
+        assert.equal(page.document.getElementById('accuracyDayLabel').textContent, '3月10日(月)');
+        const datasets = page.app.accuracyChart.data.datasets;
+        assert.deepEqual([...datasets.map(dataset => dataset.label)], ['実際の気温', '6時間前の予報', '24時間前の予報', '48時間前の予報']);
+        assert.equal(datasets[0].data.length, 24);
+        assert.equal(datasets[1].data.length, 1);
+        
+        page.document.querySelector('#accuracyPanel [data-action="dayNext"]').click();
+        assert.equal(page.document.getElementById('accuracyDayLabel').textContent, '3月11日(火)');
+        
+        page.press('Escape');
+        assert.ok(!page.document.getElementById('accuracyPanel').classList.contains('active'));
+        assert.ok(page.document.getElementById('settingsPanel').classList.contains('active'));
+    });
+    
+    it('scores the forecast made 48 hours ahead', async () => {
+        // Two hours past 48 are asked for, so the hour 47.5 h after the issue is stored
+        const indexedDB = new IDBFactory();
+        page = await loadApp({ indexedDB, fetch: (url) => isHourlyForecast(url) ? { ok: true, json: async () => hourlyData(2) } : undefined });
+        await page.settle();
+        await recorded(page, ({ snapshots }) => snapshots.length >= 1);
+        assert.ok(page.requests.some(url => isHourlyForecast(url) && new URL(url).searchParams.get('forecast_hours') === '50'));
+        page.close();
+        
+        const lastHour = FIXTURE_NOW + 48 * HOUR - 30 * 60 * 1000;
+        page = await loadApp({
+            indexedDB,
+            now: FIXTURE_NOW + 49 * HOUR,
+            fetch: (url) => isHourlyForecast(url) ? warmer(hourlyData(2)) : undefined
+        });
+        await page.settle();
+        await recorded(page, ({ observations }) => observations.some(item => item.time === lastHour));
+        await page.app.openAccuracyPanel();
+        
+        assert.deepEqual(text('.accuracy-error'), ['平均誤差 ±1.5°C', '平均誤差 ±1.5°C', '平均誤差 ±1.5°C']);
+        assert.deepEqual(text('.accuracy-samples'), ['1件の比較', '1件の比較', '1件の比較']);
+    });
+    
+    it('explains that nothing can be compared before any forecast hour has passed', async () => {
+        page = await loadApp();
+        await page.settle();
+        await page.app.openAccuracyPanel();
+        
+        assert.deepEqual(text('.accuracy-error'), ['データ不足', 'データ不足', 'データ不足']);
+        assert.match(page.document.getElementById('accuracyEmpty').textContent, /まだ比較できる日がありません/);
+        assert.ok(page.document.getElementById('accuracyChartWrapper').classList.contains('hidden'));
+    });
+});
@@ -0,0 +1,55 @@
+// ===========================
+// Screen Layout
+// - jsdom does no layout, so tests place the elements themselves
+// - A 1920 × 1080 screen like style.css lays it out: header buttons on the
+//   right, the centered toolbar, the chart below it, and the city dropdown /
+//   overlay panels when they are open (other elements are not placed)
+// ===========================
+
+const HEADER_BUTTONS = {
+    citySelector: { left: 940, width: 300 },
+    mapBtn: { left: 1270, width: 170 },
+    alertsBtn: { left: 1470, width: 190 },
+    settingsBtn: { left: 1690, width: 150 }
+};
+
+const TOOLBAR_BUTTONS = ['range24h', 'range48h', 'range7d', 'range16d', 'providerBtn', 'unitBtn', 'exportBtn'];
+
+// Position of element among the focusables of its container
+function indexIn(container, element) {
+    return Array.from(container.querySelectorAll('.focusable')).indexOf(element);
+}
+
+function screenLayout(element) {
+    const header = HEADER_BUTTONS[element.id];
+    if (header) {
+        return { ...header, top: 40, height: 60 };
+    }
+    
+    const toolbarIndex = TOOLBAR_BUTTONS.indexOf(element.id);
+    if (toolbarIndex >= 0) {
+        return { left: 285 + toolbarIndex * 230, top: 560, width: 200, height: 60 };
+    }
+    
+    if (element.id === 'chartWrapper') {
+        return { left: 80, top: 700, width: 1760, height: 380 };
+    }
+    
+    // City options in a column under the selector; edit buttons are hidden
+    // unless the list is being edited
+    const dropdown = element.closest('#cityDropdown.active');
+    if (dropdown && element.matches('.city-option')) {
+        return { left: 940, top: 120 + indexIn(dropdown, element) * 70, width: 300, height: 60 };
+    }
+    
+    // Open panels: two buttons per row
+    const panel = element.closest('.overlay-panel.active');
+    if (panel && element.matches('.focusable')) {
+        const index = indexIn(panel, element);
+        return { left: 700 + (index % 2) * 120, top: 200 + Math.floor(index / 2) * 80, width: 100, height: 60 };
+    }
+    
+    return null;
+}
+
+module.exports = { screenLayout };
@@ -0,0 +1,175 @@
+// ===========================
+// Test Helpers
+// - The app is plain browser scripts sharing globals, so tests evaluate the
+//   same files instead of importing them
+// - loadScripts(): pure modules, evaluated in this realm
+// - loadApp(): index.html and every script in a jsdom window, with fetch
+//   answered from test/fixtures and a fixed clock
+// ===========================
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { archiveResponse } = require('../archive-standin');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// 2025-03-10 12:30 JST, half an hour into slot 24 of the hourly fixtures
+const FIXTURE_NOW = Date.UTC(2025, 2, 10, 3, 30);
+
+// Open-Meteo requests are told apart by the first latitude in the query
+const FIXTURE_CITIES = {
+    35.6762: 'tokyo',
+    34.6937: 'osaka'
+};
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// Evaluate the files in one shared scope and return their top-level
+// declarations. globals are visible to the scripts as free variables.
+function loadScripts(files, globals = {}) {
+    const source = files.map(readSource).join('\n');
+    const names = [...source.matchAll(/^(?:const|let|class|function|async function)\s+([A-Za-z_$][\w$]*)/gm)].map(match => match[1]);
+    
+    const body = `${source}\nreturn { ${names.join(', ')} };`;
+    return new Function(...Object.keys(globals), body)(...Object.values(globals));
+}
+
+// Answers Open-Meteo forecast requests from the recorded responses and
+// archive requests from the stand-in
+function fixtureFetch(url) {
+    const { hostname, searchParams: query } = new URL(url);
+    if (hostname === 'archive-api.open-meteo.com') {
+        const { status, body } = archiveResponse(query);
+        return { ok: status === 200, status, json: async () => body };
+    }
+    
+    const city = FIXTURE_CITIES[parseFloat(query.get('latitude'))];
+    const daily = query.get('daily');
+    const kind = daily ? (daily === 'sunrise,sunset' ? 'sun' : 'daily')
+        : query.has('models') ? 'models'
+        : query.has('hourly') ? 'hourly'
+        : null;
+    const file = city && kind && path.join(FIXTURES, `open-meteo-${kind}-${city}.json`);
+    
+    if (!file || !fs.existsSync(file)) {
+        return { ok: false, status: 404, json: async () => ({ error: true, reason: `No fixture for ${url}` }) };
+    }
+    
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ok: true, status: 200, json: async () => data };
+}
+
+// Elements get a box only when layout(element) returns one; everything
+// else measures 0 × 0, which the focus engine treats as hidden
+function stubLayout(window, layout) {
+    window.Element.prototype.getBoundingClientRect = function () {
+        const box = layout(this) || { left: 0, top: 0, width: 0, height: 0 };
+        return { ...box, right: box.left + box.width, bottom: box.top + box.height, x: box.left, y: box.top };
+    };
+}
+
+// Starts the app the way the browser would. Resolves to the window, the app and
+// every request made; call close() at the end of the test to stop its timers.
+// fetch(url) may answer a request itself; returning undefined uses the fixtures.
+// indexedDB carries recorded forecasts over from an earlier app; url is the
+// address the page was opened at (deep links).
+async function loadApp({ storage = {}, indexedDB = null, layout = () => null, now = FIXTURE_NOW, fetch = () => undefined, url = 'http://localhost/' } = {}) {
+    const html = readSource('index.html');
+    const scripts = [...html.matchAll(/<script src="(js\/[^"]+)"><\/script>/g)].map(match => match[1]);
+    
+    // External scripts (Chart.js from the CDN) are left out and stubbed below
+    const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ''), {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const requests = [];
+    
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    
+    // jsdom has no IndexedDB; each app gets an empty in-memory one
+    window.indexedDB = indexedDB || new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    
+    // Nor TextEncoder (UTF-8 bytes for the QR code)
+    window.TextEncoder = TextEncoder;
+    
+    window.Date.now = () => now;
+    window.fetch = async (url) => {
+        requests.push(url);
+        return fetch(url) || fixtureFetch(url);
+    };
+    
+    // Chart.js: keep the last configuration for assertions
+    window.Chart = class {
+        constructor(context, config) {
+            this.config = config;
+            this.data = config.data;
+            this.options = config.options;
+            window.lastChart = this;
+        }
+        update() {}
+        destroy() {}
+    };
+    window.HTMLCanvasElement.prototype.getContext = () => ({});
+    window.Element.prototype.scrollIntoView = () => {};
+    stubLayout(window, layout);
+    
+    ['log', 'warn', 'error'].forEach(method => {
+        window.console[method] = () => {};
+    });
+    
+    // Run like <script> tags: one global scope shared by all files
+    const context = dom.getInternalVMContext();
+    scripts.forEach(file => new vm.Script(readSource(file), { filename: file }).runInContext(context));
+    
+    // jsdom fires DOMContentLoaded once parsing has finished, after the scripts ran;
+    // the app follows once config.json has been looked for
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    
+    let app;
+    for (let i = 0; i < 100 && !app; i++) {
+        await new Promise(resolve => window.setTimeout(resolve, 0));
+        app = vm.runInContext('app', context);
+    }
+    if (!app) {
+        throw new Error('The app did not start');
+    }
+    
+    return {
+        window,
+        document: window.document,
+        app,
+        requests,
+        
+        // Let pending fetches, renders and delayed focus (ms) finish
+        settle: async (ms = 0) => {
+            await new Promise(resolve => window.setTimeout(resolve, ms));
+            for (let i = 0; i < 10; i++) {
+                await new Promise(resolve => window.setTimeout(resolve, 0));
+            }
+        },
+        
+        press: (key) => {
+            window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+        },
+        
+        close: () => {
+            app.refresher.stop();
+            window.close();
+        }
+    };
+}
+
+module.exports = { FIXTURE_NOW, readFixture, loadScripts, loadApp };
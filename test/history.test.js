@@ -0,0 +1,320 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, loadScripts, loadApp } = require('./helpers/load');
+const { archiveResponse, startArchiveStandIn } = require('./archive-standin');
+
+const {
+    UNIT_SYSTEMS,
+    ArchiveClient,
+    LAST_YEAR_SHIFT_MS,
+    getNormalSlot,
+    computeNormals,
+    alignLastYear,
+    coversLastYear,
+    getNormalsAt,
+    getNormalDeparture
+} = loadScripts(['js/i18n.js', 'js/units.js', 'js/time-format.js', 'js/providers.js', 'js/history.js']);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const tokyo = { lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo' };
+
+// Every slot the same value, so a departure is easy to read off
+const flatNormals = (mean) => ({
+    mean: new Array(366).fill(mean),
+    max: new Array(366).fill(mean + 5),
+    min: new Array(366).fill(mean - 5)
+});
+
+describe('getNormalSlot', () => {
+    it('keeps a slot for February 29th', () => {
+        assert.equal(getNormalSlot(1, 1), 0);
+        assert.equal(getNormalSlot(2, 29), 59);
+        assert.equal(getNormalSlot(3, 1), 60);
+        assert.equal(getNormalSlot(12, 31), 365);
+    });
+});
+
+describe('computeNormals', () => {
+    it('averages every year per calendar day in local time', () => {
+        // Local midnight in Tokyo is 15:00 UTC the day before
+        const day = (iso) => Date.parse(`${iso}T00:00:00+09:00`) / 1000;
+        const normals = computeNormals({
+            time: [day('2001-07-01'), day('2002-07-01')],
+            temperature_2m_mean: [24, 26],
+            temperature_2m_max: [29, 31],
+            temperature_2m_min: [20, null]
+        }, 9 * 60 * 60);
+        
+        const slot = getNormalSlot(7, 1);
+        assert.equal(normals.mean[slot], 25);
+        assert.equal(normals.max[slot], 30);
+        assert.equal(normals.min[slot], 20);
+    });
+    
+    it('smooths over the neighbouring days across the new year', () => {
+        const day = (iso) => Date.parse(`${iso}T00:00:00Z`) / 1000;
+        const normals = computeNormals({
+            time: [day('2001-12-31'), day('2002-01-01')],
+            temperature_2m_mean: [2, 4],
+            temperature_2m_max: [6, 8],
+            temperature_2m_min: [0, 0]
+        }, 0);
+        
+        assert.equal(normals.mean[0], 3);
+        assert.equal(normals.mean[365], 3);
+        assert.equal(normals.mean[7], 4);
+        assert.equal(normals.mean[8], null);
+        assert.equal(normals.mean[358], 2);
+    });
+});
+
+describe('last year', () => {
+    const times = [0, 1, 2].map(i => 400 * DAY + i * HOUR);
+    const lastYear = {
+        time: [0, 1].map(i => 400 * DAY - LAST_YEAR_SHIFT_MS + i * HOUR),
+        temperature: [10, 11]
+    };
+    
+    it('lines up with the same hours a year later', () => {
+        assert.deepEqual(alignLastYear(lastYear, times), [10, 11, null]);
+    });
+    
+    it('knows whether it covers the chart', () => {
+        assert.equal(coversLastYear(lastYear, times), false);
+        assert.equal(coversLastYear(lastYear, times.slice(0, 2)), true);
+    });
+});
+
+describe('getNormalsAt', () => {
+    it('looks up each time on its local calendar day', () => {
+        const normals = flatNormals(0);
+        normals.max[getNormalSlot(3, 9)] = 12;
+        normals.max[getNormalSlot(3, 10)] = 13;
+        
+        // 23:00 and 00:00 JST
+        const times = [Date.UTC(2025, 2, 9, 14), Date.UTC(2025, 2, 9, 15)];
+        assert.deepEqual(getNormalsAt(normals, 'max', times, 'Asia/Tokyo'), [12, 13]);
+        assert.deepEqual(getNormalsAt(normals, 'max', times, 'UTC'), [12, 12]);
+    });
+});
+
+describe('getNormalDeparture', () => {
+    // Today in Tokyo, hour by hour
+    const midnight = Date.UTC(2025, 2, 9, 15);
+    const times = Array.from({ length: 24 }, (_, i) => midnight + i * HOUR);
+    const now = midnight + 12 * HOUR;
+    const timeZone = 'Asia/Tokyo';
+    
+    it('compares today\'s mean with the normal mean', () => {
+        const values = times.map((_, i) => i < 12 ? 10 : 14);
+        const departure = getNormalDeparture(times, values, flatNormals(9.7), { now, timeZone, units: UNIT_SYSTEMS.metric });
+        assert.ok(Math.abs(departure - 2.3) < 1e-9);
+    });
+    
+    it('converts the normal to the display units', () => {
+        const values = times.map(() => 50);
+        const departure = getNormalDeparture(times, values, flatNormals(10), { now, timeZone, units: UNIT_SYSTEMS.imperial });
+        assert.ok(Math.abs(departure) < 1e-9);
+    });
+    
+    it('needs most of today\'s hours', () => {
+        const values = times.map((_, i) => i < 12 ? null : 14);
+        assert.equal(getNormalDeparture(times, values, flatNormals(10), { now, timeZone, units: UNIT_SYSTEMS.metric }), null);
+    });
+});
+
+describe('ArchiveClient', () => {
+    let standIn;
+    let client;
+    
+    before(async () => {
+        standIn = await startArchiveStandIn();
+        client = new ArchiveClient(standIn.url);
+    });
+    
+    after(() => standIn.close());
+    
+    it('fetches the same hours a year earlier in °C', async () => {
+        const times = Array.from({ length: 72 }, (_, i) => Date.UTC(2025, 2, 9, 3) + i * HOUR);
+        const lastYear = await client.fetchLastYear(tokyo, times);
+        const query = standIn.requests[standIn.requests.length - 1].searchParams;
+        
+        assert.equal(query.get('start_date'), '2024-03-09');
+        assert.equal(query.get('end_date'), '2024-03-12');
+        assert.equal(query.get('temperature_unit'), 'celsius');
+        assert.equal(query.get('timezone'), 'Asia/Tokyo');
+        assert.ok(coversLastYear(lastYear, times));
+        assert.ok(alignLastYear(lastYear, times).every(value => typeof value === 'number'));
+    });
+    
+    it('computes the 1991-2020 normals', async () => {
+        const normals = await client.fetchNormals(tokyo);
+        const query = standIn.requests[standIn.requests.length - 1].searchParams;
+        
+        assert.equal(query.get('start_date'), '1991-01-01');
+        assert.equal(query.get('end_date'), '2020-12-31');
+        assert.equal(normals.mean.length, 366);
+        assert.ok(normals.mean.every((mean, slot) => normals.min[slot] < mean && mean < normals.max[slot]));
+        
+        // The stand-in's year is coldest in late January and warmest in late July
+        assert.ok(normals.mean[getNormalSlot(1, 25)] < normals.mean[getNormalSlot(7, 25)]);
+    });
+    
+    it('rejects when the archive refuses the request', async () => {
+        await assert.rejects(client.fetchLastYear(tokyo, [Date.UTC(2025, 2, 10), Date.UTC(2025, 2, 9)]), /archive request failed/);
+    });
+    
+    it('does not ask again for the same data right after a failure', async () => {
+        const sapporo = { lat: 43.0642, lon: 141.3469, timezone: 'Asia/Tokyo' };
+        const times = [Date.UTC(2025, 2, 9), Date.UTC(2025, 2, 10)];
+        await assert.rejects(client.fetchLastYear(sapporo, [...times].reverse()));
+        const count = standIn.requests.length;
+        
+        await assert.rejects(client.fetchLastYear(sapporo, times), /paused/);
+        assert.equal(standIn.requests.length, count);
+        
+        // Other data for the place is not held back
+        await client.fetchNormals(sapporo);
+        assert.equal(standIn.requests.length, count + 1);
+    });
+});
+
+describe('last year and normals on screen', () => {
+    let page;
+    
+    // The stand-in's answer to an archive request made by the app
+    const standInResponse = (url) => {
+        const { status, body } = archiveResponse(new URL(url).searchParams);
+        return { ok: status === 200, status, json: async () => body };
+    };
+    const badge = () => page.document.getElementById('normalBadge');
+    
+    afterEach(() => page.close());
+    
+    // What the badge should say, worked out from the fixture and the stand-in
+    function expectedDeparture() {
+        const hourly = readFixture('open-meteo-hourly-tokyo.json').hourly;
+        const today = (seconds) => new Date(seconds * 1000 + 9 * HOUR).getUTCDate() === 10;
+        const values = hourly.temperature_2m.filter((_, i) => today(hourly.time[i]));
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        
+        const query = new URLSearchParams({
+            start_date: '1991-01-01',
+            end_date: '2020-12-31',
+            daily: 'temperature_2m_mean,temperature_2m_max,temperature_2m_min',
+            timezone: 'Asia/Tokyo'
+        });
+        const { body } = archiveResponse(query);
+        const normals = computeNormals(body.daily, body.utc_offset_seconds);
+        return Math.round((mean - normals.mean[getNormalSlot(3, 10)]) * 10) / 10;
+    }
+    
+    it('shows today\'s departure from normal next to the temperature', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        const diff = expectedDeparture();
+        const sign = diff > 0 ? '+' : '-';
+        assert.ok(badge().classList.contains('active'));
+        assert.ok(badge().classList.contains(diff > 0 ? 'warmer' : 'cooler'));
+        assert.equal(badge().textContent, `平年より ${sign}${Math.abs(diff).toFixed(1)}°C`);
+        
+        page.app.setPreference('language', 'en');
+        assert.equal(badge().textContent, `${sign}${Math.abs(diff).toFixed(1)}°C vs normal`);
+    });
+    
+    it('keeps the normals so the next start needs no archive request', async () => {
+        page = await loadApp();
+        await page.settle();
+        const saved = page.window.localStorage.getItem('appleTV_normals_tokyo');
+        page.close();
+        
+        page = await loadApp({ storage: { appleTV_normals_tokyo: saved } });
+        await page.settle();
+        
+        assert.ok(badge().classList.contains('active'));
+        assert.ok(!page.requests.some(url => url.includes('archive-api')));
+    });
+    
+    it('draws last year and the normal band when their layers are on', async () => {
+        page = await loadApp({ storage: { appleTV_chartLayers: JSON.stringify(['lastYear', 'normals']) } });
+        await page.settle();
+        
+        const datasets = page.window.lastChart.data.datasets.filter(dataset => dataset.layer);
+        assert.deepEqual([...datasets.map(dataset => dataset.label)], ['昨年の気温', '平年の最高気温', '平年の最低気温']);
+        assert.equal(datasets[2].fill, '-1');
+        assert.ok(datasets.every(dataset => dataset.data.some(point => typeof point.y === 'number')));
+    });
+    
+    it('leaves the badge and layers out when the archive is unavailable', async () => {
+        page = await loadApp({
+            storage: { appleTV_chartLayers: JSON.stringify(['lastYear', 'normals']) },
+            fetch: (url) => url.includes('archive-api') ? { ok: false, status: 500 } : undefined
+        });
+        await page.settle();
+        
+        assert.ok(!badge().classList.contains('active'));
+        assert.equal(page.window.lastChart.data.datasets.filter(dataset => dataset.layer).length, 0);
+        assert.equal(page.document.getElementById('currentTemp').textContent, '13°C');
+    });
+    
+    it('draws the forecast without waiting for the archive, and adds the layers later', async () => {
+        let answer;
+        const archive = new Promise(resolve => { answer = resolve; });
+        page = await loadApp({
+            storage: { appleTV_chartLayers: JSON.stringify(['lastYear', 'normals']) },
+            fetch: (url) => url.includes('archive-api') ? archive.then(() => standInResponse(url)) : undefined
+        });
+        await page.settle();
+        
+        assert.equal(page.document.getElementById('currentTemp').textContent, '13°C');
+        assert.ok(!page.document.getElementById('loadingOverlay').classList.contains('active'));
+        assert.ok(!badge().classList.contains('active'));
+        assert.equal(page.window.lastChart.data.datasets.filter(dataset => dataset.layer).length, 0);
+        
+        // The stand-in answers now
+        answer();
+        await page.settle();
+        
+        assert.ok(badge().classList.contains('active'));
+        assert.equal(page.window.lastChart.data.datasets.filter(dataset => dataset.layer).length, 3);
+    });
+    
+    it('waits before downloading the normals again after a failure', async () => {
+        page = await loadApp({ fetch: (url) => url.includes('archive-api') ? { ok: false, status: 429 } : undefined });
+        await page.settle();
+        const archiveRequests = () => page.requests.filter(url => url.includes('archive-api')).length;
+        assert.equal(archiveRequests(), 1);
+        
+        // The next refresh leaves the archive alone
+        page.app.loadWeatherData();
+        await page.settle();
+        assert.equal(archiveRequests(), 1);
+        
+        const now = page.window.Date.now();
+        page.window.Date.now = () => now + 31 * 60 * 1000;
+        page.app.loadWeatherData();
+        await page.settle();
+        assert.equal(archiveRequests(), 2);
+    });
+    
+    it('asks the archive configured in config.json', async () => {
+        const standInUrl = 'http://127.0.0.1:8787/v1/archive';
+        page = await loadApp({
+            fetch: (url) => {
+                if (url.endsWith('/config.json')) {
+                    return { ok: true, status: 200, json: async () => ({ archiveUrl: standInUrl }) };
+                }
+                if (url.startsWith(standInUrl)) {
+                    return standInResponse(url);
+                }
+            }
+        });
+        await page.settle();
+        
+        assert.ok(badge().classList.contains('active'));
+        assert.ok(page.requests.some(url => url.startsWith(`${standInUrl}?`)));
+        assert.ok(!page.requests.some(url => url.includes('archive-api')));
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load');
+
+const { alignModels, getModelSpread, getRainDisagreementBands } = loadScripts(['js/providers.js', 'js/model-spread.js']);
+
+const HOUR = 60 * 60 * 1000;
+const times = [0, 1, 2, 3].map(i => i * HOUR);
+
+// Three models from hour 1 on; ICON has a gap
+const forecast = {
+    time: [1, 2, 3].map(i => i * HOUR),
+    models: {
+        jma_seamless: { temperature: [10, 11, 12], precipitation: [0, 0.5, 0] },
+        gfs_seamless: { temperature: [8, 9, 10], precipitation: [0, 0, 0.2] },
+        icon_seamless: { temperature: [12, null, 11], precipitation: [0, null, 0.4] }
+    }
+};
+
+describe('alignModels', () => {
+    it('lines the models up with the chart hours under their own ids', () => {
+        const aligned = alignModels(forecast, times);
+        
+        assert.deepEqual(Object.keys(aligned), ['jma', 'gfs', 'icon']);
+        assert.deepEqual(aligned.jma.temperature, [null, 10, 11, 12]);
+        assert.deepEqual(aligned.icon.precipitation, [null, 0, null, 0.4]);
+    });
+});
+
+describe('getModelSpread', () => {
+    it('takes the lowest, highest and median model each hour', () => {
+        const spread = getModelSpread(alignModels(forecast, times), 'temperature');
+        
+        assert.deepEqual(spread.min, [null, 8, 9, 10]);
+        assert.deepEqual(spread.max, [null, 12, 11, 12]);
+        assert.deepEqual(spread.median, [null, 10, 10, 11]);
+    });
+    
+    it('needs two models for a spread', () => {
+        const single = { time: forecast.time, models: { jma_seamless: forecast.models.jma_seamless } };
+        assert.deepEqual(getModelSpread(alignModels(single, times), 'temperature').min, [null, null, null, null]);
+    });
+});
+
+describe('getRainDisagreementBands', () => {
+    it('marks the hours where only some models have rain', () => {
+        const bands = getRainDisagreementBands(times, alignModels(forecast, times), 0.1);
+        
+        assert.deepEqual(bands, [{ start: 1.5 * HOUR, end: 3.5 * HOUR }]);
+    });
+    
+    it('leaves hours alone where all models agree', () => {
+        const wet = {
+            time: forecast.time,
+            models: {
+                jma_seamless: { temperature: [1, 1, 1], precipitation: [1, 1, 1] },
+                gfs_seamless: { temperature: [1, 1, 1], precipitation: [2, 2, 2] }
+            }
+        };
+        assert.deepEqual(getRainDisagreementBands(times, alignModels(wet, times), 0.1), []);
+    });
+});
+
+describe('model comparison on the chart', () => {
+    let page;
+    const layerStorage = (layers) => ({ appleTV_chartLayers: JSON.stringify(layers) });
+    const modelRequests = () => page.requests.filter(url => new URL(url).searchParams.has('models'));
+    
+    afterEach(() => page.close());
+    
+    it('draws the spread as a band around the median future line', async () => {
+        page = await loadApp({ storage: layerStorage(['modelSpread']) });
+        await page.settle();
+        
+        assert.equal(modelRequests().length, 1);
+        const datasets = page.window.lastChart.data.datasets.filter(dataset => dataset.layer === 'modelSpread');
+        assert.deepEqual([...datasets.map(dataset => dataset.label)], ['最も高いモデル', '最も低いモデル', 'モデルの中央値']);
+        assert.equal(datasets[1].fill, '-1');
+        
+        // Only the future: the past has no model values
+        const median = datasets[2].data;
+        assert.equal(median[23].y, null);
+        assert.equal(typeof median[24].y, 'number');
+    });
+    
+    it('shows each model as its own line with a legend', async () => {
+        page = await loadApp({ storage: layerStorage(['modelLines']) });
+        await page.settle();
+        
+        const labels = page.window.lastChart.data.datasets.filter(dataset => dataset.layer === 'modelLines').map(dataset => dataset.label);
+        assert.deepEqual([...labels], ['気象庁', 'ECMWF（欧州）', 'GFS（米国）', 'ICON（ドイツ）']);
+        
+        const legend = [...page.document.querySelectorAll('#modelLegend .legend-item')].map(item => item.textContent);
+        assert.deepEqual(legend, ['気象庁', 'ECMWF（欧州）', 'GFS（米国）', 'ICON（ドイツ）', '雨の予想が分かれる']);
+    });
+    
+    it('shades the hours where the models disagree on rain', async () => {
+        page = await loadApp({ storage: layerStorage(['modelSpread']) });
+        await page.settle();
+        
+        // GFS stays dry while the others bring rain early on the 11th
+        const annotations = page.window.lastChart.options.plugins.annotation.annotations;
+        const bands = Object.keys(annotations).filter(key => key.startsWith('rainDisagreement')).map(key => annotations[key]);
+        assert.equal(bands.length, 1);
+        assert.equal(bands[0].xMin, Date.UTC(2025, 2, 10, 19) - HOUR / 2);
+        assert.equal(bands[0].xMax, Date.UTC(2025, 2, 11, 2) + HOUR / 2);
+    });
+    
+    it('does not ask for the models while their layers are off', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        assert.equal(modelRequests().length, 0);
+        assert.equal(page.document.getElementById('modelLegend').children.length, 0);
+    });
+});
@@ -0,0 +1,204 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, loadScripts } = require('./helpers/load');
+
+// Requests made by the providers; each test sets the response
+const requests = [];
+let response = null;
+const fetch = async (url, options) => {
+    requests.push({ url, options });
+    return response;
+};
+
+const { UNIT_SYSTEMS, OpenMeteoProvider, JMAProvider } = loadScripts(['js/i18n.js', 'js/units.js', 'js/providers.js'], { fetch });
+
+const tokyo = { key: 'tokyo', name: '東京', lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo' };
+
+describe('OpenMeteoProvider.normalize', () => {
+    const provider = new OpenMeteoProvider();
+    const data = readFixture('open-meteo-hourly-tokyo.json');
+    
+    it('converts unixtime seconds to epoch ms', () => {
+        const model = provider.normalize(data, UNIT_SYSTEMS.metric);
+        
+        assert.equal(model.hourly.time.length, 72);
+        assert.equal(model.hourly.time[0], Date.UTC(2025, 2, 9, 3));
+        assert.equal(model.hourly.time[1] - model.hourly.time[0], 60 * 60 * 1000);
+    });
+    
+    it('renames the Open-Meteo variables', () => {
+        const model = provider.normalize(data, UNIT_SYSTEMS.metric);
+        
+        assert.equal(model.provider, 'openMeteo');
+        assert.equal(model.units, 'metric');
+        assert.deepEqual(model.hourly.temperature, data.hourly.temperature_2m);
+        assert.deepEqual(model.hourly.precipitation, data.hourly.precipitation);
+        assert.deepEqual(model.hourly.humidity, data.hourly.relative_humidity_2m);
+        assert.deepEqual(model.hourly.windSpeed, data.hourly.wind_speed_10m);
+        assert.deepEqual(model.hourly.weatherCode, data.hourly.weather_code);
+        assert.deepEqual(model.hourly.precipitationProbability, data.hourly.precipitation_probability);
+    });
+    
+    it('turns is_day into booleans', () => {
+        const model = provider.normalize(data, UNIT_SYSTEMS.metric);
+        
+        assert.equal(model.hourly.isDay[24], true);  // 12:00 JST
+        assert.equal(model.hourly.isDay[34], false); // 22:00 JST
+    });
+    
+    it('leaves isDay empty for responses without it', () => {
+        const { is_day, ...hourly } = data.hourly;
+        const model = provider.normalize({ ...data, hourly }, UNIT_SYSTEMS.metric);
+        
+        assert.ok(model.hourly.isDay.every(value => value === null));
+    });
+    
+    it('keeps only the requested layers that came back', () => {
+        const pressure = data.hourly.time.map(() => 1012.5);
+        const withLayer = { ...data, hourly: { ...data.hourly, surface_pressure: pressure } };
+        const model = provider.normalize(withLayer, UNIT_SYSTEMS.metric, ['pressure', 'uvIndex']);
+        
+        assert.deepEqual(Object.keys(model.hourly.layers), ['pressure']);
+        assert.deepEqual(model.hourly.layers.pressure, pressure);
+    });
+});
+
+describe('OpenMeteoProvider.normalizeDaily', () => {
+    it('maps the daily variables with local midnights as times', () => {
+        const data = readFixture('open-meteo-daily-tokyo.json');
+        const model = new OpenMeteoProvider().normalizeDaily(data, UNIT_SYSTEMS.metric);
+        
+        assert.equal(model.daily.time.length, 16);
+        assert.equal(model.daily.time[0], Date.UTC(2025, 2, 9, 15)); // 2025-03-10 00:00 JST
+        assert.deepEqual(model.daily.temperatureMax, data.daily.temperature_2m_max);
+        assert.deepEqual(model.daily.temperatureMin, data.daily.temperature_2m_min);
+        assert.deepEqual(model.daily.precipitationSum, data.daily.precipitation_sum);
+        assert.deepEqual(model.daily.precipitationProbabilityMax, data.daily.precipitation_probability_max);
+        assert.deepEqual(model.daily.weatherCode, data.daily.weather_code);
+    });
+});
+
+describe('OpenMeteoProvider.fetchSunTimes', () => {
+    it('requests sunrise and sunset from yesterday on', async () => {
+        const data = readFixture('open-meteo-sun-tokyo.json');
+        response = { ok: true, json: async () => data };
+        
+        const sun = await new OpenMeteoProvider().fetchSunTimes(tokyo, { days: 3 });
+        
+        const query = new URL(requests.at(-1).url).searchParams;
+        assert.equal(query.get('daily'), 'sunrise,sunset');
+        assert.equal(query.get('past_days'), '1');
+        assert.equal(query.get('forecast_days'), '3');
+        
+        assert.equal(sun.time[0], Date.UTC(2025, 2, 8, 15)); // 2025-03-09 00:00 JST
+        assert.equal(sun.sunrise[1], data.daily.sunrise[1] * 1000);
+        assert.equal(sun.sunset[1], data.daily.sunset[1] * 1000);
+    });
+    
+    it('keeps missing sunrises as null', () => {
+        const sun = new OpenMeteoProvider().normalizeSunTimes({ daily: { time: [0], sunrise: [null], sunset: [null] } });
+        
+        assert.deepEqual(sun, { time: [0], sunrise: [null], sunset: [null] });
+    });
+});
+
+describe('OpenMeteoProvider.fetchHourly', () => {
+    const provider = new OpenMeteoProvider();
+    const data = readFixture('open-meteo-hourly-tokyo.json');
+    
+    it('requests the city, range, units and layers', async () => {
+        response = { ok: true, json: async () => data };
+        const signal = new AbortController().signal;
+        
+        const model = await provider.fetchHourly(tokyo, {
+            pastHours: 24, forecastHours: 48, units: UNIT_SYSTEMS.imperial, layers: ['pressure'], signal
+        });
+        
+        const { url, options } = requests.at(-1);
+        const query = new URL(url).searchParams;
+        assert.equal(query.get('latitude'), '35.6762');
+        assert.equal(query.get('longitude'), '139.6503');
+        assert.equal(query.get('hourly').split(',').at(-1), 'surface_pressure');
+        assert.equal(query.get('past_hours'), '24');
+        assert.equal(query.get('forecast_hours'), '48');
+        assert.equal(query.get('temperature_unit'), 'fahrenheit');
+        assert.equal(query.get('wind_speed_unit'), 'mph');
+        assert.equal(query.get('timezone'), 'Asia/Tokyo');
+        assert.equal(query.get('timeformat'), 'unixtime');
+        assert.equal(options.signal, signal);
+        assert.equal(model.units, 'imperial');
+    });
+    
+    it('rejects when the API answers with an error', async () => {
+        response = { ok: false, status: 400, json: async () => ({ error: true }) };
+        
+        await assert.rejects(provider.fetchHourly(tokyo, { pastHours: 24, forecastHours: 24, units: UNIT_SYSTEMS.metric }));
+    });
+});
+
+describe('OpenMeteoProvider.fetchModels', () => {
+    const provider = new OpenMeteoProvider();
+    const models = ['jma_seamless', 'ecmwf_ifs025', 'gfs_seamless', 'icon_seamless'];
+    
+    it('requests every model at once and splits the suffixed variables', async () => {
+        const data = readFixture('open-meteo-models-tokyo.json');
+        response = { ok: true, json: async () => data };
+        
+        const forecast = await provider.fetchModels(tokyo, { forecastHours: 48, units: UNIT_SYSTEMS.metric, models });
+        
+        const query = new URL(requests.at(-1).url).searchParams;
+        assert.equal(query.get('models'), models.join(','));
+        assert.equal(query.get('hourly'), 'temperature_2m,precipitation');
+        assert.equal(query.get('forecast_hours'), '48');
+        
+        assert.equal(forecast.time[0], data.hourly.time[0] * 1000);
+        assert.deepEqual(Object.keys(forecast.models), models);
+        assert.equal(forecast.models.gfs_seamless.temperature, data.hourly.temperature_2m_gfs_seamless);
+        assert.equal(forecast.units, 'metric');
+    });
+    
+    it('leaves out models without data for the place', () => {
+        const forecast = provider.normalizeModels({
+            hourly: { time: [0], temperature_2m_jma_seamless: [null], temperature_2m_gfs_seamless: [4], precipitation_gfs_seamless: [0] }
+        }, UNIT_SYSTEMS.metric, models);
+        
+        assert.deepEqual(Object.keys(forecast.models), ['gfs_seamless']);
+    });
+});
+
+describe('JMAProvider.normalize', () => {
+    const provider = new JMAProvider();
+    const now = Date.UTC(2025, 2, 10, 3, 30);
+    
+    // Short-term report with 降水確率 for 12-18 and 18-24 JST
+    const reports = [{
+        timeSeries: [{
+            timeDefines: ['2025-03-10T12:00:00+09:00', '2025-03-10T18:00:00+09:00'],
+            areas: [{ pops: ['20', '60'] }]
+        }]
+    }];
+    
+    it('spreads each 6-hour probability of precipitation over its hours', () => {
+        const model = provider.normalize(reports, { pastHours: 1, forecastHours: 13, units: UNIT_SYSTEMS.metric, now });
+        const probability = model.hourly.precipitationProbability;
+        
+        assert.equal(probability[0], null);
+        assert.deepEqual(probability.slice(1, 7), [20, 20, 20, 20, 20, 20]);
+        assert.equal(probability[7], 60);
+        assert.equal(probability[13], null);
+    });
+});
+
+describe('JMAProvider.toWmoCode', () => {
+    const provider = new JMAProvider();
+    
+    it('maps 天気コード groups to WMO codes', () => {
+        assert.equal(provider.toWmoCode(100), 0);
+        assert.equal(provider.toWmoCode(101), 2);
+        assert.equal(provider.toWmoCode(200), 3);
+        assert.equal(provider.toWmoCode(300), 61);
+        assert.equal(provider.toWmoCode(400), 71);
+        assert.equal(provider.toWmoCode(350), 95);
+        assert.equal(provider.toWmoCode(NaN), null);
+    });
+});
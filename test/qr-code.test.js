@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const {
+    QR_VERSIONS,
+    getQrErrorCorrection,
+    getQrFormatBits,
+    getQrVersionBits,
+    createQrTemplate,
+    createQrMatrix,
+    renderQrSvg
+} = loadScripts(['js/qr-code.js']);
+
+// Reads back a code made by createQrMatrix: the mask from the format bits,
+// the codewords from the zigzag, then de-interleaves and parses byte mode
+function readQr(matrix) {
+    const size = matrix.length;
+    const version = (size - 17) / 4;
+    
+    // First copy of the format bits, bit 14 at the left of row 8
+    const formatCells = [[0, 8], [1, 8], [2, 8], [3, 8], [4, 8], [5, 8], [7, 8], [8, 8], [8, 7], [8, 5], [8, 4], [8, 3], [8, 2], [8, 1], [8, 0]];
+    const format = formatCells.reduce((bits, [row, column], i) => bits | (matrix[row][column] ? 1 << i : 0), 0) ^ 0x5412;
+    const level = format >> 13;
+    const mask = (format >> 10) & 7;
+    const masks = [
+        (row, column) => (row + column) % 2 === 0,
+        (row) => row % 2 === 0,
+        (row, column) => column % 3 === 0,
+        (row, column) => (row + column) % 3 === 0,
+        (row, column) => (Math.floor(row / 2) + Math.floor(column / 3)) % 2 === 0,
+        (row, column) => (row * column) % 2 + (row * column) % 3 === 0,
+        (row, column) => ((row * column) % 2 + (row * column) % 3) % 2 === 0,
+        (row, column) => ((row + column) % 2 + (row * column) % 3) % 2 === 0
+    ];
+    
+    const { reserved } = createQrTemplate(version);
+    const bits = [];
+    let upward = true;
+    for (let column = size - 1; column > 0; column -= 2) {
+        if (column === 6) column--;
+        for (let step = 0; step < size; step++) {
+            const row = upward ? size - 1 - step : step;
+            [column, column - 1].forEach(c => {
+                if (!reserved[row][c]) bits.push(matrix[row][c] !== masks[mask](row, c));
+            });
+        }
+        upward = !upward;
+    }
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0));
+    }
+    
+    const { ec, blocks } = QR_VERSIONS[version - 1];
+    const dataBlocks = blocks.map(() => []);
+    let index = 0;
+    for (let i = 0; i < Math.max(...blocks); i++) {
+        blocks.forEach((count, b) => {
+            if (i < count) dataBlocks[b].push(codewords[index++]);
+        });
+    }
+    const ecBlocks = blocks.map(() => []);
+    for (let i = 0; i < ec; i++) {
+        blocks.forEach((_, b) => ecBlocks[b].push(codewords[index++]));
+    }
+    
+    const data = dataBlocks.flat();
+    const dataBits = data.flatMap(byte => Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1));
+    const read = (start, length) => dataBits.slice(start, start + length).reduce((value, bit) => value * 2 + bit, 0);
+    const countBits = version < 10 ? 8 : 16;
+    const length = read(4, countBits);
+    const bytes = Array.from({ length }, (_, i) => read(4 + countBits + i * 8, 8));
+    
+    return {
+        version,
+        level,
+        mode: read(0, 4),
+        text: new TextDecoder().decode(Uint8Array.from(bytes)),
+        errorCorrectionValid: dataBlocks.every((block, b) => getQrErrorCorrection(block, ec).every((byte, i) => byte === ecBlocks[b][i]))
+    };
+}
+
+describe('QR code building blocks', () => {
+    it('computes Reed-Solomon codewords like the standard\'s example', () => {
+        // "HELLO WORLD" as 1-M
+        const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+        assert.deepEqual([...getQrErrorCorrection(data, 10)], [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    });
+    
+    it('protects the format and version information', () => {
+        assert.equal(getQrFormatBits(0).toString(2).padStart(15, '0'), '101010000010010');
+        assert.equal(getQrFormatBits(5).toString(2).padStart(15, '0'), '100000011001110');
+        assert.equal(getQrFormatBits(7).toString(2).padStart(15, '0'), '100101010100000');
+        assert.equal(getQrVersionBits(7).toString(2).padStart(18, '0'), '000111110010010100');
+        assert.equal(getQrVersionBits(10).toString(2).padStart(18, '0'), '001010010011010011');
+    });
+});
+
+describe('createQrMatrix', () => {
+    it('encodes a deep link that reads back', () => {
+        const link = 'https://weather.example/?city=tokyo&range=24h';
+        const matrix = createQrMatrix(link);
+        const code = readQr(matrix);
+        
+        assert.equal(matrix.length, 33);
+        assert.equal(code.version, 4);
+        assert.equal(code.level, 0);
+        assert.equal(code.mode, 0b0100);
+        assert.equal(code.text, link);
+        assert.ok(code.errorCorrectionValid);
+    });
+    
+    it('grows with the text and keeps UTF-8 intact', () => {
+        const link = `https://weather.example/?city=custom-1&name=${'札幌'.repeat(20)}`;
+        const code = readQr(createQrMatrix(link));
+        
+        assert.ok(code.version >= 7);
+        assert.equal(code.text, link);
+        assert.ok(code.errorCorrectionValid);
+    });
+    
+    it('draws the finder patterns in three corners', () => {
+        const matrix = createQrMatrix('tokyo');
+        const size = matrix.length;
+        [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([row, column]) => {
+            assert.deepEqual([...matrix[row + 3].slice(column, column + 7)], [true, false, true, true, true, false, true]);
+        });
+        assert.equal(matrix[size - 8][8], true);
+    });
+    
+    it('refuses text beyond version 10', () => {
+        assert.throws(() => createQrMatrix('x'.repeat(214)), /Too long for a QR code/);
+    });
+});
+
+describe('renderQrSvg', () => {
+    it('draws the dark modules inside a quiet zone', () => {
+        const svg = renderQrSvg([[true, false], [false, true]], 1);
+        assert.match(svg, /viewBox="0 0 4 4"/);
+        assert.match(svg, /d="M1 1h1v1h-1zM2 2h1v1h-1z"/);
+    });
+});
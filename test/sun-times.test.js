@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadScripts } = require('./helpers/load');
+
+const { getNightBands, getDayLength } = loadScripts(['js/chart-data.js', 'js/sun-times.js']);
+
+const HOUR = 60 * 60 * 1000;
+
+// Three days: midnight at 0, 24, 48; sunrise at 6, sunset at 18
+const sun = {
+    time: [0, 24 * HOUR, 48 * HOUR],
+    sunrise: [6 * HOUR, 30 * HOUR, 54 * HOUR],
+    sunset: [18 * HOUR, 42 * HOUR, 66 * HOUR]
+};
+
+describe('getNightBands', () => {
+    it('runs from sunset to the next sunrise', () => {
+        assert.deepEqual(getNightBands(sun, 0, 72 * HOUR), [
+            { start: 0, end: 6 * HOUR },
+            { start: 18 * HOUR, end: 30 * HOUR },
+            { start: 42 * HOUR, end: 54 * HOUR },
+            { start: 66 * HOUR, end: 72 * HOUR }
+        ]);
+    });
+    
+    it('clips the bands to the visible range', () => {
+        assert.deepEqual(getNightBands(sun, 12 * HOUR, 36 * HOUR), [
+            { start: 18 * HOUR, end: 30 * HOUR }
+        ]);
+        assert.deepEqual(getNightBands(sun, 20 * HOUR, 26 * HOUR), [
+            { start: 20 * HOUR, end: 26 * HOUR }
+        ]);
+    });
+    
+    it('skips days without a sunrise or sunset', () => {
+        const polar = { ...sun, sunrise: [6 * HOUR, null, 54 * HOUR], sunset: [18 * HOUR, null, 66 * HOUR] };
+        
+        assert.deepEqual(getNightBands(polar, 0, 72 * HOUR), [
+            { start: 0, end: 6 * HOUR },
+            { start: 18 * HOUR, end: 54 * HOUR },
+            { start: 66 * HOUR, end: 72 * HOUR }
+        ]);
+    });
+});
+
+describe('getDayLength', () => {
+    it('measures today and compares it with yesterday', () => {
+        const longer = { ...sun, sunset: [18 * HOUR, 42 * HOUR + 120000, 66 * HOUR] };
+        
+        assert.deepEqual(getDayLength(longer, 36 * HOUR), {
+            sunrise: 30 * HOUR,
+            sunset: 42 * HOUR + 120000,
+            duration: 12 * HOUR + 120000,
+            change: 120000
+        });
+    });
+    
+    it('has no change on the first day', () => {
+        assert.equal(getDayLength(sun, 12 * HOUR).change, null);
+    });
+    
+    it('has no length on a day without a sunset', () => {
+        const polar = { ...sun, sunset: [18 * HOUR, null, 66 * HOUR] };
+        
+        assert.equal(getDayLength(polar, 36 * HOUR).duration, null);
+        assert.equal(getDayLength(polar, 60 * HOUR).change, null);
+    });
+    
+    it('reads the recorded March days in Tokyo', () => {
+        const data = readFixture('open-meteo-sun-tokyo.json').daily;
+        const recorded = {
+            time: data.time.map(seconds => seconds * 1000),
+            sunrise: data.sunrise.map(seconds => seconds * 1000),
+            sunset: data.sunset.map(seconds => seconds * 1000)
+        };
+        const day = getDayLength(recorded, FIXTURE_NOW);
+        
+        assert.equal(day.sunrise, data.sunrise[1] * 1000);
+        assert.ok(day.change > 0, 'days get longer in March');
+    });
+});
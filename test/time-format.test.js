@@ -0,0 +1,115 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, loadScripts } = require('./helpers/load');
+
+const { setLanguage, formatTimeInZone, getHourInZone, toIsoDateTime, getWeekdayInZone, getDateInZone, toIsoDate, formatAge, formatDuration, formatDurationChange } = loadScripts(['js/i18n.js', 'js/time-format.js']);
+
+const MINUTE = 60 * 1000;
+const hourMinute = { hour: '2-digit', minute: '2-digit', hour12: false };
+
+describe('formatTimeInZone', () => {
+    beforeEach(() => setLanguage('ja'));
+    
+    it('formats in the given timezone, not the device one', () => {
+        assert.equal(formatTimeInZone(FIXTURE_NOW, 'Asia/Tokyo', hourMinute), '12:30');
+        assert.equal(formatTimeInZone(FIXTURE_NOW, 'America/New_York', hourMinute), '23:30');
+    });
+    
+    it('falls back to Japan time for cities without a timezone', () => {
+        assert.equal(formatTimeInZone(FIXTURE_NOW, undefined, hourMinute), '12:30');
+    });
+    
+    it('follows the UI language', () => {
+        assert.equal(formatTimeInZone(FIXTURE_NOW, 'Asia/Tokyo', { weekday: 'short' }), '月');
+        
+        setLanguage('en');
+        assert.equal(formatTimeInZone(FIXTURE_NOW, 'Asia/Tokyo', { weekday: 'short' }), 'Mon');
+    });
+});
+
+describe('getHourInZone', () => {
+    it('returns 0-23 in the given timezone', () => {
+        assert.equal(getHourInZone(FIXTURE_NOW, 'Asia/Tokyo'), 12);
+        assert.equal(getHourInZone(FIXTURE_NOW, 'America/New_York'), 23);
+        assert.equal(getHourInZone(Date.UTC(2025, 2, 9, 15), 'Asia/Tokyo'), 0);
+    });
+});
+
+describe('getWeekdayInZone', () => {
+    it('returns 0 (Sunday) to 6 (Saturday) in the given timezone', () => {
+        assert.equal(getWeekdayInZone(FIXTURE_NOW, 'Asia/Tokyo'), 1);
+        assert.equal(getWeekdayInZone(FIXTURE_NOW, 'America/New_York'), 0);
+    });
+    
+    it('does not depend on the UI language', () => {
+        setLanguage('ja');
+        assert.equal(getWeekdayInZone(FIXTURE_NOW, 'Asia/Tokyo'), 1);
+    });
+});
+
+describe('toIsoDate', () => {
+    it('uses the calendar date in the given timezone', () => {
+        // 2025-03-09 23:30 UTC is already the 10th in Tokyo
+        const timestamp = Date.UTC(2025, 2, 9, 23, 30);
+        
+        assert.deepEqual(getDateInZone(timestamp, 'Asia/Tokyo'), { year: 2025, month: 3, day: 10 });
+        assert.equal(toIsoDate(timestamp, 'Asia/Tokyo'), '2025-03-10');
+        assert.equal(toIsoDate(timestamp, 'UTC'), '2025-03-09');
+    });
+});
+
+describe('toIsoDateTime', () => {
+    it('writes the local time with the zone\'s offset', () => {
+        assert.equal(toIsoDateTime(FIXTURE_NOW, 'Asia/Tokyo'), '2025-03-10T12:30+09:00');
+        assert.equal(toIsoDateTime(FIXTURE_NOW, 'America/New_York'), '2025-03-09T23:30-04:00');
+        assert.equal(toIsoDateTime(FIXTURE_NOW, 'UTC'), '2025-03-10T03:30+00:00');
+    });
+});
+
+describe('formatAge', () => {
+    beforeEach(() => setLanguage('ja'));
+    
+    it('counts minutes for the first hour', () => {
+        assert.equal(formatAge(FIXTURE_NOW - 5 * MINUTE, FIXTURE_NOW), '5分前');
+        assert.equal(formatAge(FIXTURE_NOW - 59 * MINUTE, FIXTURE_NOW), '59分前');
+    });
+    
+    it('counts whole hours after that', () => {
+        assert.equal(formatAge(FIXTURE_NOW - 60 * MINUTE, FIXTURE_NOW), '1時間前');
+        assert.equal(formatAge(FIXTURE_NOW - 150 * MINUTE, FIXTURE_NOW), '2時間前');
+    });
+    
+    it('never goes below zero when the clock moved backwards', () => {
+        assert.equal(formatAge(FIXTURE_NOW + 10 * MINUTE, FIXTURE_NOW), '0分前');
+    });
+    
+    it('follows the UI language', () => {
+        setLanguage('en');
+        assert.equal(formatAge(FIXTURE_NOW - 3 * 60 * MINUTE, FIXTURE_NOW), '3 h ago');
+    });
+});
+
+describe('formatDuration', () => {
+    beforeEach(() => setLanguage('ja'));
+    
+    it('shows hours and minutes', () => {
+        assert.equal(formatDuration(11 * 60 * MINUTE + 42 * MINUTE), '11時間42分');
+        assert.equal(formatDuration(14 * 60 * MINUTE + 29.6 * MINUTE), '14時間30分');
+        
+        setLanguage('en');
+        assert.equal(formatDuration(9 * 60 * MINUTE + 5 * MINUTE), '9 h 5 min');
+    });
+});
+
+describe('formatDurationChange', () => {
+    beforeEach(() => setLanguage('ja'));
+    
+    it('shows the sign with minutes and seconds', () => {
+        assert.equal(formatDurationChange(112 * 1000), '+1分52秒');
+        assert.equal(formatDurationChange(-45 * 1000), '-45秒');
+        assert.equal(formatDurationChange(0), '+0秒');
+        
+        setLanguage('en');
+        assert.equal(formatDurationChange(-125 * 1000), '-2 min 5 s');
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, loadScripts, loadApp } = require('./helpers/load');
+
+const { UNIT_SYSTEMS, getUmbrellaAdvice } = loadScripts(['js/units.js', 'js/time-format.js', 'js/providers.js', 'js/umbrella.js']);
+
+const HOUR = 60 * 60 * 1000;
+const timeZone = 'Asia/Tokyo';
+
+// Midnight 2025-03-10 in Tokyo, then 48 hours
+const MIDNIGHT = Date.UTC(2025, 2, 9, 15);
+const hourly = (values = {}) => {
+    const time = Array.from({ length: 48 }, (_, i) => MIDNIGHT + i * HOUR);
+    return {
+        time,
+        precipitation: time.map((_, i) => values.precipitation ? values.precipitation(i) : 0),
+        precipitationProbability: time.map((_, i) => values.probability ? values.probability(i) : 0)
+    };
+};
+const advise = (data, options = {}) => getUmbrellaAdvice(data, {
+    startHour: 7,
+    endHour: 20,
+    now: MIDNIGHT + 8 * HOUR,
+    timeZone,
+    units: UNIT_SYSTEMS.metric,
+    ...options
+});
+
+describe('getUmbrellaAdvice', () => {
+    it('needs an umbrella when rain is likely or heavy enough', () => {
+        assert.equal(advise(hourly({ probability: (i) => i === 15 ? 50 : 0 })).level.id, 'needed');
+        assert.equal(advise(hourly({ precipitation: (i) => i === 10 || i === 11 ? 0.5 : 0 })).level.id, 'needed');
+    });
+    
+    it('suggests a folding umbrella for a possible shower', () => {
+        assert.equal(advise(hourly({ probability: (i) => i === 15 ? 30 : 10 })).level.id, 'folding');
+        assert.equal(advise(hourly({ precipitation: (i) => i === 10 ? 0.2 : 0 })).level.id, 'folding');
+    });
+    
+    it('looks only at the rest of today\'s window', () => {
+        // Rain before 08:00 and after 20:00 does not count
+        const data = hourly({ probability: (i) => i === 7 || i === 20 ? 90 : 10 });
+        const advice = advise(data);
+        
+        assert.equal(advice.level.id, 'none');
+        assert.equal(advice.day, 'today');
+        assert.equal(advice.probability, 10);
+        assert.equal(advice.precipitation, 0);
+    });
+    
+    it('moves on to tomorrow once today\'s window is over', () => {
+        const data = hourly({ probability: (i) => i === 24 + 9 ? 70 : 0 });
+        const advice = advise(data, { now: MIDNIGHT + 21 * HOUR });
+        
+        assert.equal(advice.day, 'tomorrow');
+        assert.equal(advice.level.id, 'needed');
+    });
+    
+    it('compares the amount in the display units', () => {
+        // 0.03 inch is about 0.8 mm: a folding umbrella, not a full one
+        const data = hourly({ precipitation: (i) => i === 10 ? 0.03 : 0 });
+        assert.equal(advise(data, { units: UNIT_SYSTEMS.imperial }).level.id, 'folding');
+    });
+    
+    it('gives no advice without any data for the window', () => {
+        const data = hourly();
+        data.precipitation = data.precipitation.map(() => null);
+        delete data.precipitationProbability;
+        
+        assert.equal(advise(data), null);
+    });
+});
+
+describe('umbrella indicator', () => {
+    let page;
+    const text = (id) => page.document.getElementById(id).textContent;
+    const indicator = () => page.document.getElementById('umbrellaIndicator');
+    
+    afterEach(() => page.close());
+    
+    it('judges the rest of today from 7:00 to 20:00 by default', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        // 12:00-19:00: no rain, but up to 32% in the evening
+        assert.ok(indicator().classList.contains('active'));
+        assert.equal(indicator().dataset.level, 'folding');
+        assert.equal(text('umbrellaLabel'), '傘: 折りたたみ');
+        assert.equal(text('umbrellaDetail'), '今日 7:00〜20:00 · 降水確率 最大32% · 降水量 0.0 mm');
+        
+        page.app.setPreference('language', 'en');
+        assert.equal(text('umbrellaLabel'), 'Umbrella: Folding');
+    });
+    
+    it('follows the window set in the settings', async () => {
+        page = await loadApp();
+        await page.settle();
+        
+        page.app.openSettings();
+        const endDown = page.document.querySelector('#settingsPanel [data-pref="umbrellaEndHour"][data-step="-1"]');
+        endDown.click();
+        endDown.click();
+        
+        assert.equal(text('prefUmbrellaEndValue'), '18:00');
+        assert.equal(text('umbrellaLabel'), '傘: 不要');
+        assert.equal(indicator().dataset.level, 'none');
+    });
+    
+    it('looks at tomorrow morning\'s rain in the evening', async () => {
+        // 21:00 JST; rain from 04:00 to 10:00 the next day
+        page = await loadApp({ now: FIXTURE_NOW + 8.5 * HOUR });
+        await page.settle();
+        
+        assert.equal(text('umbrellaLabel'), '傘: 必要');
+        assert.match(text('umbrellaDetail'), /^明日 7:00〜20:00 · 降水確率 最大80% · /);
+    });
+    
+    it('charts the probability on its own axis as a layer', async () => {
+        page = await loadApp({ storage: { appleTV_chartLayers: JSON.stringify(['precipitationProbability']) } });
+        await page.settle();
+        
+        const chart = page.window.lastChart;
+        const dataset = chart.data.datasets.find(item => item.layer === 'precipitationProbability');
+        assert.equal(dataset.label, '降水確率');
+        assert.equal(dataset.yAxisID, 'yProbability');
+        assert.equal(chart.options.scales.yProbability.max, 100);
+        
+        // Part of the forecast request, not an extra layer variable
+        const query = new URL(page.requests.find(url => url.includes('hourly=temperature_2m'))).searchParams;
+        assert.ok(query.get('hourly').split(',').includes('precipitation_probability'));
+    });
+});
@@ -0,0 +1,204 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_NOW, readFixture, loadScripts, loadApp } = require('./helpers/load');
+
+const { UNIT_SYSTEMS, parseAppParams, createPlaceCity, buildAppUrl } = loadScripts(['js/i18n.js', 'js/units.js', 'js/preferences.js', 'js/url-params.js']);
+
+describe('parseAppParams', () => {
+    it('reads the city, range, language, units and kiosk mode', () => {
+        assert.deepEqual(parseAppParams('?city=osaka&range=48h&lang=en&units=imperial&kiosk=1'), {
+            city: 'osaka', place: null, range: '48h', language: 'en', units: 'imperial', kiosk: true
+        });
+    });
+    
+    it('accepts a range as just its number', () => {
+        assert.equal(parseAppParams('?range=48').range, '48h');
+        assert.equal(parseAppParams('?range=16').range, '16d');
+        assert.equal(parseAppParams('?range=3h').range, null);
+    });
+    
+    it('drops unknown languages and units', () => {
+        const params = parseAppParams('?lang=fr&units=furlongs&kiosk=yes');
+        
+        assert.equal(params.language, null);
+        assert.equal(params.units, null);
+        assert.equal(params.kiosk, false);
+    });
+    
+    it('reads a place from its coordinates', () => {
+        assert.deepEqual(parseAppParams('?lat=35.3606&lon=138.7274&name=%E5%AF%8C%E5%A3%AB%E5%B1%B1&tz=Asia%2FTokyo').place, {
+            lat: 35.3606, lon: 138.7274, name: '富士山', timezone: 'Asia/Tokyo'
+        });
+        assert.deepEqual(parseAppParams('?lat=-33.87&lon=151.21&tz=Mars%2FOlympus').place, {
+            lat: -33.87, lon: 151.21, name: '-33.87, 151.21', timezone: null
+        });
+        assert.equal(parseAppParams('?lat=95&lon=10').place, null);
+        assert.equal(parseAppParams('?lat=35&lon=').place, null);
+    });
+    
+    it('lets values after # win over the query', () => {
+        const params = parseAppParams('?city=osaka&range=24h', '#range=7&kiosk=1');
+        
+        assert.equal(params.city, 'osaka');
+        assert.equal(params.range, '7d');
+        assert.equal(params.kiosk, true);
+    });
+});
+
+describe('buildAppUrl', () => {
+    it('replaces the query and hash of the app\'s address', () => {
+        assert.equal(
+            buildAppUrl('https://tv.example/weather/index.html?city=osaka#chart', { city: 'tokyo', range: '7d' }),
+            'https://tv.example/weather/index.html?city=tokyo&range=7d'
+        );
+    });
+    
+    it('writes a place as coordinates and keeps the optional parameters', () => {
+        const place = createPlaceCity({ lat: 35.3606, lon: 138.7274, name: '富士山', timezone: 'Asia/Tokyo' });
+        const url = new URL(buildAppUrl('http://tv.local/', {
+            city: place.key, place, range: '48h', language: 'en', units: 'imperial', kiosk: true
+        }));
+        
+        assert.equal(url.searchParams.get('city'), null);
+        assert.equal(url.search, '?lat=35.3606&lon=138.7274&name=%E5%AF%8C%E5%A3%AB%E5%B1%B1&tz=Asia%2FTokyo&range=48h&lang=en&units=imperial&kiosk=1');
+    });
+    
+    it('reads back what it writes', () => {
+        const place = { lat: 43.06, lon: 141.35, name: 'Sapporo & around', timezone: null };
+        const url = new URL(buildAppUrl('http://tv.local/', { place, range: '16d' }));
+        
+        assert.deepEqual(parseAppParams(url.search).place, place);
+    });
+});
+
+describe('URL parameters', () => {
+    let page;
+    
+    afterEach(() => page && page.close());
+    
+    const search = () => new URLSearchParams(page.window.location.search);
+    
+    it('opens a range given as just its number', async () => {
+        page = await loadApp({ url: 'http://tv.local/?city=osaka&range=48' });
+        await page.settle();
+        
+        assert.equal(page.app.currentCity, 'osaka');
+        assert.equal(page.app.currentTimeRange, 48);
+        assert.equal(page.window.location.search, '?city=osaka&range=48h');
+    });
+    
+    it('follows the city and range on screen so the page can be bookmarked', async () => {
+        page = await loadApp({ url: 'http://tv.local/#city=osaka' });
+        await page.settle();
+        
+        assert.equal(page.window.location.search, '?city=osaka&range=24h');
+        assert.equal(page.window.location.hash, '');
+        
+        page.app.selectCity('naha');
+        page.document.getElementById('range7d').click();
+        await page.settle();
+        
+        assert.equal(search().get('city'), 'naha');
+        assert.equal(search().get('range'), '7d');
+    });
+    
+    it('shows a place from its coordinates without saving it', async () => {
+        page = await loadApp({ url: 'http://tv.local/?lat=34.6937&lon=135.5023&name=Umeda&range=48' });
+        await page.settle();
+        
+        assert.equal(page.document.getElementById('selectedCity').textContent, 'Umeda');
+        assert.ok(page.requests.some(url => new URL(url).searchParams.get('latitude') === '34.6937'));
+        assert.equal(page.app.favoriteCities.length, 10);
+        assert.equal(page.window.localStorage.getItem('appleTV_favoriteCities'), null);
+        assert.equal(page.app.preferences.get('lastCity'), null);
+        
+        // The address and the export link keep the place, with the zone of its forecast
+        assert.equal(search().get('lat'), '34.6937');
+        page.app.openExportPanel();
+        assert.match(page.document.getElementById('exportLink').textContent, /\?lat=34\.6937&lon=135\.5023&name=Umeda&tz=Asia%2FTokyo&range=48h$/);
+    });
+    
+    it('shows a place without tz= in the time zone of its forecast', async () => {
+        const honolulu = () => {
+            const data = readFixture('open-meteo-hourly-tokyo.json');
+            data.timezone = 'Pacific/Honolulu';
+            return { ok: true, status: 200, json: async () => data };
+        };
+        page = await loadApp({
+            url: 'http://tv.local/?lat=35.6762&lon=139.6503&name=Honolulu',
+            fetch: (url) => new URL(url).searchParams.has('hourly') && url.includes('/v1/forecast') ? honolulu() : undefined
+        });
+        await page.settle();
+        
+        assert.ok(page.requests.some(url => url.includes('latitude=35.6762') && url.includes('timezone=auto')));
+        assert.equal(page.app.cities[page.app.currentCity].timezone, 'Pacific/Honolulu');
+        assert.equal(page.app.formatCityTime(FIXTURE_NOW, { hour: '2-digit', minute: '2-digit', hour12: false }), '17:30');
+        assert.equal(search().get('tz'), 'Pacific/Honolulu');
+    });
+    
+    it('uses the language and units of the address for this visit only', async () => {
+        page = await loadApp({ url: 'http://tv.local/?city=tokyo&lang=en&units=imperial' });
+        await page.settle();
+        
+        assert.equal(page.document.getElementById('selectedCity').textContent, 'Tokyo');
+        assert.equal(page.document.getElementById('unitName').textContent, UNIT_SYSTEMS.imperial.name);
+        assert.ok(page.requests.some(url => new URL(url).searchParams.get('temperature_unit') === 'fahrenheit'));
+        assert.equal(search().get('lang'), 'en');
+        
+        const stored = () => JSON.parse(page.window.localStorage.getItem('appleTV_preferences'));
+        page.app.preferences.set('theme', 'ocean');
+        assert.equal(stored().language, 'ja');
+        assert.equal(stored().units, 'metric');
+        
+        // Changing a setting replaces the override, and the address drops it
+        page.app.cycleUnits();
+        assert.equal(search().get('units'), null);
+        assert.equal(stored().units, 'metric');
+        assert.equal(search().get('lang'), 'en');
+    });
+    
+    it('keeps a kiosk display on one city without the remote help', async () => {
+        page = await loadApp({ url: 'http://tv.local/?city=sapporo&kiosk=1' });
+        await page.settle();
+        
+        assert.ok(page.document.body.classList.contains('kiosk'));
+        assert.ok(page.document.getElementById('citySelector').disabled);
+        assert.ok(page.document.getElementById('mapBtn').disabled);
+        
+        page.document.getElementById('citySelector').click();
+        page.app.selectCity('osaka');
+        await page.settle();
+        
+        assert.ok(!page.document.getElementById('cityDropdown').classList.contains('active'));
+        assert.equal(page.app.currentCity, 'sapporo');
+        assert.equal(search().get('kiosk'), '1');
+    });
+    
+    it('shows only the kiosk\'s city in the screensaver', async () => {
+        page = await loadApp({ url: 'http://tv.local/?city=sapporo&kiosk=1' });
+        await page.settle();
+        
+        page.app.startAmbientMode();
+        
+        assert.deepEqual([...page.app.ambient.cities.map(city => city.key)], ['sapporo']);
+        assert.equal(page.document.querySelector('.ambient-city').textContent, '札幌');
+        page.app.ambient.stop();
+    });
+    
+    it('locks the city settings of a kiosk', async () => {
+        page = await loadApp({ url: 'http://tv.local/?city=sapporo&kiosk=1' });
+        await page.settle();
+        
+        page.app.openSettings();
+        const cityButtons = [...page.document.querySelectorAll('#settingsPanel [data-pref="defaultCity"]')];
+        assert.ok(cityButtons.every(button => button.disabled && button.closest('.kiosk-locked')));
+        assert.equal(page.app.focusEngine.current.dataset.pref, 'defaultTimeRange');
+        
+        cityButtons[1].click();
+        assert.equal(page.app.preferences.get('defaultCity'), null);
+        
+        page.document.querySelector('#settingsPanel [data-action="ambient"]').click();
+        const chips = [...page.document.querySelectorAll('#ambientCities .toggle-chip')];
+        assert.ok(chips.length > 0 && chips.every(chip => chip.disabled && chip.closest('.kiosk-locked')));
+    });
+});
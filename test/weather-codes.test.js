@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const { MESSAGES, setLanguage, WEATHER_CODES, getWeatherIconClass, describeWeather } = loadScripts(['js/i18n.js', 'js/weather-codes.js']);
+
+// Every code Open-Meteo documents
+const WMO_CODES = [0, 1, 2, 3, 45, 48, 51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 71, 73, 75, 77, 80, 81, 82, 85, 86, 95, 96, 99];
+
+describe('WEATHER_CODES', () => {
+    it('covers the whole WMO table', () => {
+        assert.deepEqual(Object.keys(WEATHER_CODES).map(Number), WMO_CODES);
+    });
+    
+    it('has a Japanese and an English description for every code', () => {
+        Object.values(WEATHER_CODES).forEach(({ labelKey }) => {
+            assert.ok(MESSAGES.ja[labelKey], `ja: ${labelKey}`);
+            assert.ok(MESSAGES.en[labelKey], `en: ${labelKey}`);
+        });
+    });
+});
+
+describe('getWeatherIconClass', () => {
+    it('tells apart fog, drizzle, freezing rain, snow grains and hail', () => {
+        const icons = [3, 45, 51, 61, 66, 71, 77, 95, 96].map(code => getWeatherIconClass(code));
+        
+        assert.equal(new Set(icons).size, icons.length);
+        assert.equal(getWeatherIconClass(45), 'fas fa-smog');
+        assert.equal(getWeatherIconClass(56), 'fas fa-icicles');
+        assert.equal(getWeatherIconClass(99), 'fas fa-cloud-bolt');
+    });
+    
+    it('uses night variants when the sky shows', () => {
+        assert.equal(getWeatherIconClass(0, false), 'fas fa-moon');
+        assert.equal(getWeatherIconClass(2, false), 'fas fa-cloud-moon');
+        assert.equal(getWeatherIconClass(80, false), 'fas fa-cloud-moon-rain');
+        assert.equal(getWeatherIconClass(61, false), 'fas fa-cloud-rain');
+    });
+    
+    it('shows day icons when it is unknown whether the sun is up', () => {
+        assert.equal(getWeatherIconClass(0), 'fas fa-sun');
+        assert.equal(getWeatherIconClass(0, null), 'fas fa-sun');
+        assert.equal(getWeatherIconClass(0, true), 'fas fa-sun');
+    });
+    
+    it('shows a question mark for missing and unknown codes', () => {
+        assert.equal(getWeatherIconClass(null), 'fas fa-question');
+        assert.equal(getWeatherIconClass(undefined), 'fas fa-question');
+        assert.equal(getWeatherIconClass(42), 'fas fa-question');
+    });
+});
+
+describe('describeWeather', () => {
+    beforeEach(() => setLanguage('ja'));
+    
+    it('describes the code in the UI language', () => {
+        assert.equal(describeWeather(0), '快晴');
+        assert.equal(describeWeather(77), '霧雪');
+        
+        setLanguage('en');
+        assert.equal(describeWeather(66), 'Light freezing rain');
+    });
+    
+    it('is empty for missing and unknown codes', () => {
+        assert.equal(describeWeather(null), '');
+        assert.equal(describeWeather(42), '');
+    });
+});